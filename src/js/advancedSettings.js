@@ -0,0 +1,251 @@
+/**
+ * Photo Coloring Converter - Advanced Settings Panel
+ * Exposes the engine parameters (ImageProcessor.processingSettings and
+ * SVGGenerator.optimizationSettings) as validated sliders and persists them
+ */
+
+class AdvancedSettingsPanel {
+    constructor() {
+        this.storageKey = 'photoColoringConverter_advancedSettings';
+
+        // Slider definitions; min/max/step double as validation rules
+        this.parameters = [
+            { key: 'edgeThreshold', target: 'processing', label: 'Edge Threshold', min: 10, max: 200, step: 1,
+                help: 'Gradient strength needed for a Sobel edge' },
+            { key: 'gaussianRadius', target: 'processing', label: 'Blur Radius', min: 0.5, max: 5, step: 0.1,
+                help: 'Noise reduction before edge detection' },
+            { key: 'morphologyRadius', target: 'processing', label: 'Cleanup Radius', min: 1, max: 5, step: 1,
+                help: 'Size of the gap closing and speck removal' },
+            { key: 'contrastBoost', target: 'processing', label: 'Contrast', min: 0.5, max: 2.5, step: 0.05,
+                help: 'Contrast multiplier applied to the photo' },
+            { key: 'brightnessAdjust', target: 'processing', label: 'Brightness', min: -100, max: 100, step: 1,
+                help: 'Brightness offset applied to the photo' },
+            { key: 'simplifyTolerance', target: 'optimization', label: 'Simplify Tolerance', min: 0.1, max: 10, step: 0.1,
+                help: 'Maximum deviation when reducing path points' },
+            { key: 'minPathLength', target: 'optimization', label: 'Minimum Path Length', min: 2, max: 100, step: 1,
+                help: 'Shorter traced paths are dropped' },
+            { key: 'maxPoints', target: 'optimization', label: 'Max Points per Path', min: 100, max: 5000, step: 50,
+                help: 'Longer contours are evenly decimated' },
+            { key: 'smoothingFactor', target: 'optimization', label: 'Smoothing', min: 0, max: 3, step: 0.1,
+                help: 'Moving average window used on traced contours' }
+        ];
+
+        this.defaults = null;
+
+        this.initializePanel();
+    }
+
+    /**
+     * Capture engine defaults, restore saved values and build the panel
+     */
+    initializePanel() {
+        this.defaults = this.readEngineValues();
+        this.applyValues(this.loadSavedValues());
+
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', () => this.renderPanel());
+        } else {
+            this.renderPanel();
+        }
+
+        console.log('Advanced Settings Panel initialized');
+    }
+
+    /**
+     * Get the engine settings object a parameter belongs to
+     * @param {Object} parameter - Parameter definition
+     * @returns {Object|null} processingSettings or optimizationSettings
+     */
+    getTarget(parameter) {
+        if (parameter.target === 'processing') {
+            return window.ImageProcessor ? window.ImageProcessor.processingSettings : null;
+        }
+
+        return window.SVGGenerator ? window.SVGGenerator.optimizationSettings : null;
+    }
+
+    /**
+     * Read the current engine values for every parameter
+     * @returns {Object} Values keyed by parameter key
+     */
+    readEngineValues() {
+        const values = {};
+
+        this.parameters.forEach(parameter => {
+            const target = this.getTarget(parameter);
+            if (target && parameter.key in target) {
+                values[parameter.key] = target[parameter.key];
+            }
+        });
+
+        return values;
+    }
+
+    /**
+     * Validate a value against the parameter range
+     * @param {Object} parameter - Parameter definition
+     * @param {*} value - Raw value (number or string)
+     * @returns {number|null} Clamped value snapped to the step, or null when not numeric
+     */
+    validateValue(parameter, value) {
+        const number = typeof value === 'number' ? value : parseFloat(value);
+        if (!Number.isFinite(number)) return null;
+
+        const clamped = Math.min(parameter.max, Math.max(parameter.min, number));
+        const steps = Math.round((clamped - parameter.min) / parameter.step);
+
+        // Round away floating point noise from the step arithmetic
+        return parseFloat((parameter.min + steps * parameter.step).toFixed(4));
+    }
+
+    /**
+     * Apply values to the engines, ignoring unknown keys and invalid values
+     * @param {Object} values - Values keyed by parameter key
+     * @returns {Object} The values that were applied
+     */
+    applyValues(values) {
+        const applied = {};
+
+        this.parameters.forEach(parameter => {
+            if (!(parameter.key in values)) return;
+
+            const value = this.validateValue(parameter, values[parameter.key]);
+            const target = this.getTarget(parameter);
+
+            if (value === null) {
+                console.warn(`Ignoring invalid ${parameter.key}: ${values[parameter.key]}`);
+                return;
+            }
+
+            if (target) {
+                target[parameter.key] = value;
+                applied[parameter.key] = value;
+            }
+        });
+
+        return applied;
+    }
+
+    /**
+     * Load saved values from localStorage
+     * @returns {Object} Saved values (empty when none)
+     */
+    loadSavedValues() {
+        try {
+            const saved = localStorage.getItem(this.storageKey);
+            return saved ? JSON.parse(saved) || {} : {};
+        } catch (error) {
+            console.log('No saved advanced settings found or invalid settings');
+            return {};
+        }
+    }
+
+    /**
+     * Save the current engine values to localStorage
+     */
+    saveValues() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.readEngineValues()));
+        } catch (error) {
+            console.log('Could not save advanced settings to localStorage');
+        }
+    }
+
+    /**
+     * Build the slider rows inside the Advanced panel
+     */
+    renderPanel() {
+        const container = document.getElementById('advancedSettingsGrid');
+        if (!container) return;
+
+        container.innerHTML = '';
+        const values = this.readEngineValues();
+
+        this.parameters.forEach(parameter => {
+            const id = `advanced-${parameter.key}`;
+            const group = document.createElement('div');
+            group.className = 'setting-group advanced-setting';
+
+            group.innerHTML = `
+                <label for="${id}">${parameter.label}
+                    <output class="advanced-value" for="${id}">${values[parameter.key]}</output>
+                </label>
+                <input type="range" id="${id}" class="advanced-input" data-key="${parameter.key}"
+                       min="${parameter.min}" max="${parameter.max}" step="${parameter.step}"
+                       value="${values[parameter.key]}">
+                <small class="setting-help">${parameter.help}</small>
+            `;
+
+            const input = group.querySelector('input');
+            const output = group.querySelector('output');
+
+            input.addEventListener('input', () => {
+                output.textContent = input.value;
+            });
+            input.addEventListener('change', () => this.handleChange(parameter, input, output));
+
+            container.appendChild(group);
+        });
+
+        const resetButton = document.getElementById('advancedResetBtn');
+        if (resetButton) {
+            resetButton.onclick = () => this.resetToDefaults();
+        }
+    }
+
+    /**
+     * Validate, apply and persist a slider change
+     * @param {Object} parameter - Parameter definition
+     * @param {HTMLInputElement} input - Slider element
+     * @param {HTMLOutputElement} output - Value display
+     */
+    handleChange(parameter, input, output) {
+        const applied = this.applyValues({ [parameter.key]: input.value });
+        const value = parameter.key in applied ? applied[parameter.key] : this.readEngineValues()[parameter.key];
+
+        input.value = value;
+        output.textContent = value;
+
+        this.saveValues();
+        this.dispatchChange(parameter.key, value);
+
+        console.log(`Advanced setting changed: ${parameter.key} = ${value}`);
+    }
+
+    /**
+     * Restore engine defaults and clear the saved values
+     */
+    resetToDefaults() {
+        this.applyValues(this.defaults);
+
+        try {
+            localStorage.removeItem(this.storageKey);
+        } catch (error) {
+            console.log('Could not clear advanced settings');
+        }
+
+        this.renderPanel();
+        this.dispatchChange('advancedDefaults', null);
+    }
+
+    /**
+     * Notify listeners (live preview) that an engine parameter changed
+     * @param {string} key - Parameter key
+     * @param {*} value - New value
+     */
+    dispatchChange(key, value) {
+        document.dispatchEvent(new CustomEvent('settings:changed', {
+            detail: {
+                setting: key,
+                value: value,
+                advanced: true,
+                timestamp: new Date().toISOString()
+            }
+        }));
+    }
+}
+
+// Initialize global advanced settings panel
+window.AdvancedSettings = new AdvancedSettingsPanel();
+
+console.log('Advanced Settings Panel loaded successfully');
@@ -0,0 +1,689 @@
+/**
+ * Photo Coloring Converter - Color Region Segmenter
+ * Paint-by-number segmentation: k-means colour quantization in CIE Lab,
+ * speckle cleanup, merging of regions too small to colour, and one label
+ * position per region at its pole of inaccessibility
+ * Loaded by the page and by processing workers (no DOM access)
+ */
+
+class ColorRegionSegmenter {
+    constructor() {
+        this.segmentationSettings = {
+            defaultColors: 12,
+            sampleSize: 20000,          // Pixels used to train the colour clusters
+            kMeansIterations: 12,
+            smoothingFraction: 0.003,   // Box blur radius (share of the longest side) applied before clustering
+            minColorDistance: 8,        // Clusters closer than this (Lab delta E) share one palette colour
+            modeFilterPasses: 2,        // 3x3 majority passes that remove speckle
+            minRegionFraction: 0.001,   // Regions below this share of the image are merged away
+            minRegionPixels: 30,
+            minLabelFraction: 0.005,    // Regions too thin to hold a number (share of the longest side) are merged too
+            minLabelRadius: 2.5,
+            mergePasses: 6
+        };
+
+        // sRGB to linear lookup for the Lab conversion
+        this.linearLookup = new Float32Array(256);
+        for (let i = 0; i < 256; i++) {
+            const value = i / 255;
+            this.linearLookup[i] = value <= 0.04045 ? value / 12.92 : Math.pow((value + 0.055) / 1.055, 2.4);
+        }
+    }
+
+    /**
+     * Segment a colour image into numbered regions
+     * @param {ImageData} imageData - Colour source image
+     * @param {Object} options - Segmentation options
+     * @param {number} options.colors - Number of palette colours
+     * @param {Uint8Array} options.mask - Optional subject mask; pixels outside it stay unnumbered
+     * @returns {Object} Region map { width, height, labels, regions, palette }
+     */
+    segment(imageData, options = {}) {
+        const { width, height } = imageData;
+        const pixelCount = width * height;
+        const mask = options.mask || null;
+        const colorCount = Math.max(2, Math.min(64, Math.round(options.colors || this.segmentationSettings.defaultColors)));
+
+        const longestSide = Math.max(width, height);
+        const blurRadius = Math.round(longestSide * this.segmentationSettings.smoothingFraction);
+        const lab = this.smoothLab(this.convertToLab(imageData), width, height, blurRadius);
+        const centers = this.mergeCloseCenters(this.trainClusters(lab, pixelCount, mask, colorCount));
+
+        // Palette index per pixel; 255 marks pixels outside the subject
+        let indices = this.assignClusters(lab, pixelCount, mask, centers);
+        for (let pass = 0; pass < this.segmentationSettings.modeFilterPasses; pass++) {
+            indices = this.applyModeFilter(indices, width, height, centers.length);
+        }
+
+        const minArea = Math.max(this.segmentationSettings.minRegionPixels,
+            Math.round(pixelCount * this.segmentationSettings.minRegionFraction));
+        const minRadius = Math.max(this.segmentationSettings.minLabelRadius,
+            longestSide * this.segmentationSettings.minLabelFraction);
+
+        let components = null;
+        let distances = null;
+
+        for (let pass = 0; pass < this.segmentationSettings.mergePasses; pass++) {
+            components = this.labelComponents(indices, width, height);
+            distances = this.computeBoundaryDistances(components.labels, width, height);
+
+            const radii = this.findLabelPoints(components, distances, width).map(point => point.radius);
+            const small = components.regions.map((region, id) =>
+                region.area < minArea || radii[id] < minRadius);
+
+            if (!this.mergeSmallRegions(indices, components, small, width, height)) break;
+        }
+
+        components = this.labelComponents(indices, width, height);
+        distances = this.computeBoundaryDistances(components.labels, width, height);
+        const labelPoints = this.findLabelPoints(components, distances, width);
+
+        const palette = this.buildPalette(imageData, indices, centers.length);
+
+        return {
+            width: width,
+            height: height,
+            labels: components.labels,
+            palette: palette.colors,
+            regions: components.regions.map((region, id) => ({
+                id: id,
+                colorIndex: palette.remap[region.index],
+                area: region.area,
+                labelPoint: { x: labelPoints[id].x, y: labelPoints[id].y },
+                labelRadius: labelPoints[id].radius
+            }))
+        };
+    }
+
+    /**
+     * Convert RGBA pixels to CIE Lab (D65)
+     * @param {ImageData} imageData - Source image
+     * @returns {Float32Array} L, a, b per pixel
+     */
+    convertToLab(imageData) {
+        const data = imageData.data;
+        const pixelCount = imageData.width * imageData.height;
+        const lab = new Float32Array(pixelCount * 3);
+        const f = (t) => t > 0.008856 ? Math.cbrt(t) : 7.787 * t + 16 / 116;
+
+        for (let i = 0; i < pixelCount; i++) {
+            const r = this.linearLookup[data[i * 4]];
+            const g = this.linearLookup[data[i * 4 + 1]];
+            const b = this.linearLookup[data[i * 4 + 2]];
+
+            const x = f((0.4124 * r + 0.3576 * g + 0.1805 * b) / 0.95047);
+            const y = f(0.2126 * r + 0.7152 * g + 0.0722 * b);
+            const z = f((0.0193 * r + 0.1192 * g + 0.9505 * b) / 1.08883);
+
+            lab[i * 3] = 116 * y - 16;
+            lab[i * 3 + 1] = 500 * (x - y);
+            lab[i * 3 + 2] = 200 * (y - z);
+        }
+
+        return lab;
+    }
+
+    /**
+     * Blur Lab colours with a separable box filter so texture and noise do not split regions
+     * @param {Float32Array} lab - Lab colours
+     * @param {number} width - Image width
+     * @param {number} height - Image height
+     * @param {number} radius - Box radius in pixels (0 keeps the input)
+     * @returns {Float32Array} Smoothed Lab colours
+     */
+    smoothLab(lab, width, height, radius) {
+        if (radius < 1) return lab;
+
+        const pass = (source, length, count, stride, step) => {
+            const target = new Float32Array(source.length);
+
+            for (let line = 0; line < count; line++) {
+                const base = line * stride;
+
+                for (let channel = 0; channel < 3; channel++) {
+                    let sum = 0;
+                    let weight = 0;
+
+                    for (let j = 0; j <= Math.min(radius, length - 1); j++) {
+                        sum += source[(base + j * step) * 3 + channel];
+                        weight++;
+                    }
+
+                    for (let j = 0; j < length; j++) {
+                        target[(base + j * step) * 3 + channel] = sum / weight;
+
+                        const incoming = j + radius + 1;
+                        const outgoing = j - radius;
+                        if (incoming < length) {
+                            sum += source[(base + incoming * step) * 3 + channel];
+                            weight++;
+                        }
+                        if (outgoing >= 0) {
+                            sum -= source[(base + outgoing * step) * 3 + channel];
+                            weight--;
+                        }
+                    }
+                }
+            }
+
+            return target;
+        };
+
+        const horizontal = pass(lab, width, height, width, 1);
+        return pass(horizontal, height, width, 1, width);
+    }
+
+    /**
+     * Merge cluster centres that are nearly the same colour
+     * @param {Array} centers - Cluster centres as [L, a, b]
+     * @returns {Array} Remaining centres
+     */
+    mergeCloseCenters(centers) {
+        const threshold = this.segmentationSettings.minColorDistance;
+        const merged = [];
+
+        centers.forEach(center => {
+            const close = merged.find(kept =>
+                Math.hypot(kept[0] - center[0], kept[1] - center[1], kept[2] - center[2]) < threshold);
+            if (!close) merged.push(center);
+        });
+
+        return merged;
+    }
+
+    /**
+     * Train k-means cluster centres on a pixel sample (k-means++ seeding)
+     * @param {Float32Array} lab - Lab colours
+     * @param {number} pixelCount - Number of pixels
+     * @param {Uint8Array|null} mask - Subject mask
+     * @param {number} colorCount - Requested number of clusters
+     * @returns {Array} Cluster centres as [L, a, b]
+     */
+    trainClusters(lab, pixelCount, mask, colorCount) {
+        const step = Math.max(1, Math.floor(pixelCount / this.segmentationSettings.sampleSize));
+        const sample = [];
+        for (let i = 0; i < pixelCount; i += step) {
+            if (!mask || mask[i]) sample.push(i);
+        }
+        if (sample.length === 0) sample.push(0);
+
+        const random = this.createRandom(colorCount);
+        const distanceTo = (i, center) => {
+            const dl = lab[i * 3] - center[0];
+            const da = lab[i * 3 + 1] - center[1];
+            const db = lab[i * 3 + 2] - center[2];
+            return dl * dl + da * da + db * db;
+        };
+
+        // k-means++: each new centre is picked with probability proportional to its squared distance
+        const first = sample[Math.floor(random() * sample.length)];
+        const centers = [[lab[first * 3], lab[first * 3 + 1], lab[first * 3 + 2]]];
+        const nearest = new Float64Array(sample.length).fill(Infinity);
+
+        while (centers.length < colorCount) {
+            const latest = centers[centers.length - 1];
+            let total = 0;
+
+            sample.forEach((i, s) => {
+                nearest[s] = Math.min(nearest[s], distanceTo(i, latest));
+                total += nearest[s];
+            });
+
+            if (total === 0) break; // Fewer distinct colours than requested
+
+            let target = random() * total;
+            let chosen = sample[sample.length - 1];
+            for (let s = 0; s < sample.length; s++) {
+                target -= nearest[s];
+                if (target <= 0) {
+                    chosen = sample[s];
+                    break;
+                }
+            }
+
+            centers.push([lab[chosen * 3], lab[chosen * 3 + 1], lab[chosen * 3 + 2]]);
+        }
+
+        // Lloyd iterations
+        const sums = new Float64Array(centers.length * 3);
+        const counts = new Float64Array(centers.length);
+
+        for (let iteration = 0; iteration < this.segmentationSettings.kMeansIterations; iteration++) {
+            sums.fill(0);
+            counts.fill(0);
+
+            sample.forEach(i => {
+                const k = this.findNearestCenter(lab, i, centers);
+                sums[k * 3] += lab[i * 3];
+                sums[k * 3 + 1] += lab[i * 3 + 1];
+                sums[k * 3 + 2] += lab[i * 3 + 2];
+                counts[k]++;
+            });
+
+            let moved = 0;
+            centers.forEach((center, k) => {
+                if (counts[k] === 0) return;
+
+                const updated = [sums[k * 3] / counts[k], sums[k * 3 + 1] / counts[k], sums[k * 3 + 2] / counts[k]];
+                moved = Math.max(moved, Math.hypot(updated[0] - center[0], updated[1] - center[1], updated[2] - center[2]));
+                centers[k] = updated;
+            });
+
+            if (moved < 0.5) break;
+        }
+
+        return centers;
+    }
+
+    /**
+     * Find the closest cluster centre of a pixel
+     * @param {Float32Array} lab - Lab colours
+     * @param {number} i - Pixel index
+     * @param {Array} centers - Cluster centres
+     * @returns {number} Centre index
+     */
+    findNearestCenter(lab, i, centers) {
+        let best = 0;
+        let bestDistance = Infinity;
+
+        for (let k = 0; k < centers.length; k++) {
+            const dl = lab[i * 3] - centers[k][0];
+            const da = lab[i * 3 + 1] - centers[k][1];
+            const db = lab[i * 3 + 2] - centers[k][2];
+            const distance = dl * dl + da * da + db * db;
+
+            if (distance < bestDistance) {
+                bestDistance = distance;
+                best = k;
+            }
+        }
+
+        return best;
+    }
+
+    /**
+     * Assign every pixel to its closest cluster
+     * @param {Float32Array} lab - Lab colours
+     * @param {number} pixelCount - Number of pixels
+     * @param {Uint8Array|null} mask - Subject mask
+     * @param {Array} centers - Cluster centres
+     * @returns {Uint8Array} Palette index per pixel (255 outside the mask)
+     */
+    assignClusters(lab, pixelCount, mask, centers) {
+        const indices = new Uint8Array(pixelCount);
+
+        for (let i = 0; i < pixelCount; i++) {
+            indices[i] = mask && !mask[i] ? 255 : this.findNearestCenter(lab, i, centers);
+        }
+
+        return indices;
+    }
+
+    /**
+     * Replace each pixel by the most common index in its 3x3 neighbourhood
+     * @param {Uint8Array} indices - Palette indices
+     * @param {number} width - Image width
+     * @param {number} height - Image height
+     * @param {number} colorCount - Number of palette entries
+     * @returns {Uint8Array} Filtered indices
+     */
+    applyModeFilter(indices, width, height, colorCount) {
+        const result = new Uint8Array(indices);
+        const votes = new Uint8Array(colorCount);
+
+        for (let y = 1; y < height - 1; y++) {
+            for (let x = 1; x < width - 1; x++) {
+                const i = y * width + x;
+                if (indices[i] === 255) continue;
+
+                votes.fill(0);
+                for (let dy = -1; dy <= 1; dy++) {
+                    for (let dx = -1; dx <= 1; dx++) {
+                        const value = indices[i + dy * width + dx];
+                        if (value !== 255) votes[value]++;
+                    }
+                }
+
+                let best = indices[i];
+                for (let k = 0; k < colorCount; k++) {
+                    if (votes[k] > votes[best]) best = k;
+                }
+                result[i] = best;
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Label 4-connected regions of equal palette index
+     * @param {Uint8Array} indices - Palette indices
+     * @param {number} width - Image width
+     * @param {number} height - Image height
+     * @returns {Object} { labels: Int32Array (-1 outside the mask), regions: [{ index, area }] }
+     */
+    labelComponents(indices, width, height) {
+        const labels = new Int32Array(indices.length).fill(-1);
+        const regions = [];
+        const stack = new Int32Array(indices.length);
+
+        for (let start = 0; start < indices.length; start++) {
+            if (labels[start] !== -1 || indices[start] === 255) continue;
+
+            const id = regions.length;
+            const index = indices[start];
+            let area = 0;
+            let top = 0;
+
+            labels[start] = id;
+            stack[top++] = start;
+
+            while (top > 0) {
+                const i = stack[--top];
+                const x = i % width;
+                area++;
+
+                if (x > 0 && labels[i - 1] === -1 && indices[i - 1] === index) { labels[i - 1] = id; stack[top++] = i - 1; }
+                if (x + 1 < width && labels[i + 1] === -1 && indices[i + 1] === index) { labels[i + 1] = id; stack[top++] = i + 1; }
+                if (i >= width && labels[i - width] === -1 && indices[i - width] === index) { labels[i - width] = id; stack[top++] = i - width; }
+                if (i + width < indices.length && labels[i + width] === -1 && indices[i + width] === index) { labels[i + width] = id; stack[top++] = i + width; }
+            }
+
+            regions.push({ index, area });
+        }
+
+        return { labels, regions };
+    }
+
+    /**
+     * Recolour regions flagged as too small with the neighbour they share the longest border with
+     * @param {Uint8Array} indices - Palette indices (modified)
+     * @param {Object} components - Labelled regions
+     * @param {Array} small - Flag per region
+     * @param {number} width - Image width
+     * @param {number} height - Image height
+     * @returns {boolean} True when any region was merged
+     */
+    mergeSmallRegions(indices, components, small, width, height) {
+        const { labels, regions } = components;
+        const borders = regions.map(() => null);
+
+        const count = (a, b) => {
+            if (a === b || a < 0 || b < 0) return;
+            if (small[a]) {
+                borders[a] = borders[a] || new Map();
+                borders[a].set(b, (borders[a].get(b) || 0) + 1);
+            }
+            if (small[b]) {
+                borders[b] = borders[b] || new Map();
+                borders[b].set(a, (borders[b].get(a) || 0) + 1);
+            }
+        };
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const i = y * width + x;
+                if (x + 1 < width) count(labels[i], labels[i + 1]);
+                if (y + 1 < height) count(labels[i], labels[i + width]);
+            }
+        }
+
+        // Prefer large neighbours so chains of small regions collapse into real ones
+        const targetIndex = regions.map(region => region.index);
+        let merged = false;
+
+        regions
+            .map((region, id) => id)
+            .filter(id => small[id] && borders[id])
+            .sort((a, b) => regions[a].area - regions[b].area)
+            .forEach(id => {
+                let best = -1;
+                let bestScore = -1;
+
+                borders[id].forEach((length, neighbor) => {
+                    const score = length * (small[neighbor] ? 1 : 4);
+                    if (score > bestScore) {
+                        bestScore = score;
+                        best = neighbor;
+                    }
+                });
+
+                if (best >= 0 && targetIndex[best] !== targetIndex[id]) {
+                    targetIndex[id] = targetIndex[best];
+                    merged = true;
+                }
+            });
+
+        if (!merged) return false;
+
+        for (let i = 0; i < indices.length; i++) {
+            if (labels[i] >= 0) indices[i] = targetIndex[labels[i]];
+        }
+
+        return true;
+    }
+
+    /**
+     * Euclidean distance from every pixel to the nearest region border
+     * Border pixels are those touching another region, the mask or the image edge.
+     * @param {Int32Array} labels - Region labels
+     * @param {number} width - Image width
+     * @param {number} height - Image height
+     * @returns {Float32Array} Distance per pixel
+     */
+    computeBoundaryDistances(labels, width, height) {
+        const infinity = 1e20;
+        const squared = new Float64Array(width * height);
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const i = y * width + x;
+                const label = labels[i];
+                const border = x === 0 || y === 0 || x === width - 1 || y === height - 1 ||
+                    labels[i - 1] !== label || labels[i + 1] !== label ||
+                    labels[i - width] !== label || labels[i + width] !== label;
+
+                squared[i] = border ? 0 : infinity;
+            }
+        }
+
+        // Separable exact transform (Felzenszwalb & Huttenlocher): columns, then rows
+        const size = Math.max(width, height);
+        const line = new Float64Array(size);
+        const output = new Float64Array(size);
+        const vertices = new Int32Array(size);
+        const bounds = new Float64Array(size + 1);
+
+        for (let x = 0; x < width; x++) {
+            for (let y = 0; y < height; y++) line[y] = squared[y * width + x];
+            this.transformLine(line, height, output, vertices, bounds);
+            for (let y = 0; y < height; y++) squared[y * width + x] = output[y];
+        }
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) line[x] = squared[y * width + x];
+            this.transformLine(line, width, output, vertices, bounds);
+            for (let x = 0; x < width; x++) squared[y * width + x] = output[x];
+        }
+
+        const distances = new Float32Array(width * height);
+        for (let i = 0; i < distances.length; i++) {
+            distances[i] = Math.sqrt(squared[i]);
+        }
+
+        return distances;
+    }
+
+    /**
+     * One-dimensional squared distance transform (lower envelope of parabolas)
+     * @param {Float64Array} values - Input squared distances
+     * @param {number} length - Number of samples
+     * @param {Float64Array} output - Output squared distances
+     * @param {Int32Array} vertices - Scratch: parabola vertices
+     * @param {Float64Array} bounds - Scratch: envelope boundaries
+     */
+    transformLine(values, length, output, vertices, bounds) {
+        let k = 0;
+        vertices[0] = 0;
+        bounds[0] = -Infinity;
+        bounds[1] = Infinity;
+
+        for (let q = 1; q < length; q++) {
+            let s;
+            for (;;) {
+                const v = vertices[k];
+                s = ((values[q] + q * q) - (values[v] + v * v)) / (2 * q - 2 * v);
+                if (s > bounds[k] || k === 0) break;
+                k--;
+            }
+
+            if (s <= bounds[k]) {
+                // Only reachable with k === 0: the new parabola replaces the first one
+                vertices[0] = q;
+                bounds[0] = -Infinity;
+                bounds[1] = Infinity;
+                continue;
+            }
+
+            k++;
+            vertices[k] = q;
+            bounds[k] = s;
+            bounds[k + 1] = Infinity;
+        }
+
+        k = 0;
+        for (let q = 0; q < length; q++) {
+            while (bounds[k + 1] < q) k++;
+            const v = vertices[k];
+            output[q] = (q - v) * (q - v) + values[v];
+        }
+    }
+
+    /**
+     * Pick each region's pole of inaccessibility: its pixel farthest from any border
+     * @param {Object} components - Labelled regions
+     * @param {Float32Array} distances - Distance to the nearest border
+     * @param {number} width - Image width
+     * @returns {Array} { x, y, radius } per region (pixel centres)
+     */
+    findLabelPoints(components, distances, width) {
+        const best = components.regions.map(() => ({ index: -1, radius: -1 }));
+        const labels = components.labels;
+
+        for (let i = 0; i < labels.length; i++) {
+            const label = labels[i];
+            if (label >= 0 && distances[i] > best[label].radius) {
+                best[label].index = i;
+                best[label].radius = distances[i];
+            }
+        }
+
+        return best.map(point => ({
+            x: (point.index % width) + 0.5,
+            y: Math.floor(point.index / width) + 0.5,
+            radius: point.radius + 0.5 // Border pixels are half a pixel inside the region
+        }));
+    }
+
+    /**
+     * Average source colour of every palette entry still in use, numbered light to dark
+     * @param {ImageData} imageData - Source image
+     * @param {Uint8Array} indices - Palette indices
+     * @param {number} colorCount - Number of trained clusters
+     * @returns {Object} { colors: [{ number, rgb, hex, area }], remap: cluster index -> palette position }
+     */
+    buildPalette(imageData, indices, colorCount) {
+        const sums = new Float64Array(colorCount * 3);
+        const areas = new Float64Array(colorCount);
+        const data = imageData.data;
+
+        for (let i = 0; i < indices.length; i++) {
+            const k = indices[i];
+            if (k === 255) continue;
+
+            sums[k * 3] += data[i * 4];
+            sums[k * 3 + 1] += data[i * 4 + 1];
+            sums[k * 3 + 2] += data[i * 4 + 2];
+            areas[k]++;
+        }
+
+        const used = [];
+        for (let k = 0; k < colorCount; k++) {
+            if (areas[k] === 0) continue;
+
+            const rgb = [0, 1, 2].map(c => Math.round(sums[k * 3 + c] / areas[k]));
+            used.push({ cluster: k, rgb, area: areas[k], lightness: 0.299 * rgb[0] + 0.587 * rgb[1] + 0.114 * rgb[2] });
+        }
+
+        used.sort((a, b) => b.lightness - a.lightness);
+
+        const remap = new Int32Array(colorCount).fill(-1);
+        const colors = used.map((entry, position) => {
+            remap[entry.cluster] = position;
+            return {
+                number: position + 1,
+                rgb: entry.rgb,
+                hex: '#' + entry.rgb.map(value => value.toString(16).padStart(2, '0')).join(''),
+                area: entry.area
+            };
+        });
+
+        return { colors, remap: Array.from(remap) };
+    }
+
+    /**
+     * Draw region borders (and the image frame) as one-pixel black lines
+     * @param {Object} regionMap - Region map from segment()
+     * @returns {ImageData} Line art
+     */
+    renderBoundaries(regionMap) {
+        const { width, height, labels } = regionMap;
+        const data = new Uint8ClampedArray(width * height * 4).fill(255);
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const i = y * width + x;
+                const label = labels[i];
+                if (label < 0) continue;
+
+                const onFrame = x === 0 || y === 0 || x === width - 1 || y === height - 1;
+                const border = onFrame ||
+                    (x + 1 < width && labels[i + 1] !== label) ||
+                    (y + 1 < height && labels[i + width] !== label) ||
+                    labels[i - 1] < 0 || labels[i - width] < 0;
+
+                if (border) {
+                    data[i * 4] = 0;
+                    data[i * 4 + 1] = 0;
+                    data[i * 4 + 2] = 0;
+                }
+            }
+        }
+
+        return new ImageData(data, width, height);
+    }
+
+    /**
+     * Create a deterministic pseudo-random generator (mulberry32)
+     * @param {number} seed - Seed value
+     * @returns {Function} Generator returning numbers in [0, 1)
+     */
+    createRandom(seed) {
+        let state = seed >>> 0;
+
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+}
+
+// Expose the segmenter class; the image processor creates its own instance
+if (typeof window !== 'undefined') {
+    window.ColorRegionSegmenter = ColorRegionSegmenter;
+
+    console.log('Color Region Segmenter loaded successfully');
+}
@@ -0,0 +1,373 @@
+/**
+ * Photo Coloring Converter - Comparison Viewer
+ * Before/after viewer for result cards: the original photo and the processed page
+ * are overlaid with a draggable split, zoom and pan, and a raster/vector toggle
+ */
+
+class ComparisonViewer {
+    constructor() {
+        this.viewSettings = {
+            minZoom: 1,
+            maxZoom: 8,
+            zoomStep: 1.25,
+            initialSplit: 50
+        };
+
+        this.initializeViewer();
+    }
+
+    /**
+     * Initialize the comparison viewer
+     */
+    initializeViewer() {
+        console.log('Comparison Viewer initialized');
+    }
+
+    /**
+     * Create a comparison viewer for one processing result
+     * @param {Object} result - Processing result with originalImageData and processedImageData
+     * @returns {HTMLElement} Viewer element
+     */
+    createViewer(result) {
+        const viewer = document.createElement('div');
+        viewer.className = 'comparison-viewer';
+
+        viewer.innerHTML = `
+            <div class="comparison-toolbar">
+                <div class="comparison-mode" role="group" aria-label="Result type">
+                    <button type="button" class="comparison-btn active" data-mode="raster">Raster</button>
+                    <button type="button" class="comparison-btn" data-mode="vector">Vector</button>
+                </div>
+                <div class="comparison-zoom" role="group" aria-label="Zoom">
+                    <button type="button" class="comparison-btn" data-zoom="out" title="Zoom out">−</button>
+                    <span class="comparison-zoom-level">100%</span>
+                    <button type="button" class="comparison-btn" data-zoom="in" title="Zoom in">+</button>
+                    <button type="button" class="comparison-btn" data-zoom="reset" title="Fit to view">Fit</button>
+                </div>
+            </div>
+            <div class="comparison-stage">
+                <div class="comparison-layer comparison-before"><div class="comparison-content"></div></div>
+                <div class="comparison-layer comparison-after"><div class="comparison-content"></div></div>
+                <span class="comparison-label comparison-label-before">Before</span>
+                <span class="comparison-label comparison-label-after">After</span>
+                <div class="comparison-divider">
+                    <button type="button" class="comparison-handle" role="slider" aria-label="Before/after split"
+                            aria-valuemin="0" aria-valuemax="100"></button>
+                </div>
+                <div class="comparison-status" hidden></div>
+            </div>
+        `;
+
+        const stage = viewer.querySelector('.comparison-stage');
+        stage.style.aspectRatio = `${result.processedImageData.width} / ${result.processedImageData.height}`;
+
+        viewer.querySelector('.comparison-before .comparison-content')
+            .appendChild(this.createImageCanvas(result.originalImageData));
+        viewer.querySelector('.comparison-after .comparison-content')
+            .appendChild(this.createImageCanvas(result.processedImageData));
+
+        const state = {
+            result: result,
+            viewer: viewer,
+            stage: stage,
+            split: this.viewSettings.initialSplit,
+            zoom: 1,
+            panX: 0,
+            panY: 0,
+            mode: 'raster',
+            vectorUrl: null
+        };
+
+        this.setupSplitHandlers(state);
+        this.setupZoomPanHandlers(state);
+        this.setupModeHandlers(state);
+        this.render(state);
+
+        return viewer;
+    }
+
+    /**
+     * Draw image data into a canvas sized to fill its layer
+     * @param {ImageData} imageData - Image data to draw
+     * @returns {HTMLCanvasElement} Canvas element
+     */
+    createImageCanvas(imageData) {
+        const canvas = document.createElement('canvas');
+        canvas.width = imageData.width;
+        canvas.height = imageData.height;
+        canvas.getContext('2d').putImageData(imageData, 0, 0);
+
+        return canvas;
+    }
+
+    /**
+     * Dragging the divider (or using the arrow keys on it) moves the split
+     * @param {Object} state - Viewer state
+     */
+    setupSplitHandlers(state) {
+        const handle = state.viewer.querySelector('.comparison-handle');
+
+        const moveTo = (clientX) => {
+            const rect = state.stage.getBoundingClientRect();
+            state.split = this.clamp(((clientX - rect.left) / rect.width) * 100, 0, 100);
+            this.render(state);
+        };
+
+        handle.addEventListener('pointerdown', (event) => {
+            event.preventDefault();
+            event.stopPropagation();
+            handle.setPointerCapture(event.pointerId);
+
+            const onMove = (moveEvent) => moveTo(moveEvent.clientX);
+            const onUp = () => {
+                handle.removeEventListener('pointermove', onMove);
+                handle.removeEventListener('pointerup', onUp);
+                handle.removeEventListener('pointercancel', onUp);
+            };
+
+            handle.addEventListener('pointermove', onMove);
+            handle.addEventListener('pointerup', onUp);
+            handle.addEventListener('pointercancel', onUp);
+        });
+
+        handle.addEventListener('keydown', (event) => {
+            const step = event.shiftKey ? 10 : 2;
+            if (event.key === 'ArrowLeft') {
+                state.split = this.clamp(state.split - step, 0, 100);
+            } else if (event.key === 'ArrowRight') {
+                state.split = this.clamp(state.split + step, 0, 100);
+            } else {
+                return;
+            }
+
+            event.preventDefault();
+            this.render(state);
+        });
+    }
+
+    /**
+     * Wheel and buttons zoom, dragging the stage pans while zoomed in
+     * @param {Object} state - Viewer state
+     */
+    setupZoomPanHandlers(state) {
+        const stage = state.stage;
+
+        state.viewer.querySelectorAll('[data-zoom]').forEach(button => {
+            button.addEventListener('click', () => {
+                const rect = stage.getBoundingClientRect();
+                const center = { x: rect.width / 2, y: rect.height / 2 };
+
+                switch (button.dataset.zoom) {
+                    case 'in':
+                        this.zoomAt(state, state.zoom * this.viewSettings.zoomStep, center);
+                        break;
+                    case 'out':
+                        this.zoomAt(state, state.zoom / this.viewSettings.zoomStep, center);
+                        break;
+                    case 'reset':
+                        state.zoom = 1;
+                        state.panX = 0;
+                        state.panY = 0;
+                        this.render(state);
+                        break;
+                }
+            });
+        });
+
+        stage.addEventListener('wheel', (event) => {
+            event.preventDefault();
+
+            const rect = stage.getBoundingClientRect();
+            const factor = event.deltaY < 0 ? this.viewSettings.zoomStep : 1 / this.viewSettings.zoomStep;
+            this.zoomAt(state, state.zoom * factor, { x: event.clientX - rect.left, y: event.clientY - rect.top });
+        }, { passive: false });
+
+        stage.addEventListener('pointerdown', (event) => {
+            if (state.zoom <= 1 || event.button !== 0) return;
+
+            event.preventDefault();
+            stage.setPointerCapture(event.pointerId);
+            stage.classList.add('panning');
+
+            let lastX = event.clientX;
+            let lastY = event.clientY;
+
+            const onMove = (moveEvent) => {
+                state.panX += moveEvent.clientX - lastX;
+                state.panY += moveEvent.clientY - lastY;
+                lastX = moveEvent.clientX;
+                lastY = moveEvent.clientY;
+                this.render(state);
+            };
+            const onUp = () => {
+                stage.classList.remove('panning');
+                stage.removeEventListener('pointermove', onMove);
+                stage.removeEventListener('pointerup', onUp);
+                stage.removeEventListener('pointercancel', onUp);
+            };
+
+            stage.addEventListener('pointermove', onMove);
+            stage.addEventListener('pointerup', onUp);
+            stage.addEventListener('pointercancel', onUp);
+        });
+    }
+
+    /**
+     * Change the zoom level keeping the given stage point fixed
+     * @param {Object} state - Viewer state
+     * @param {number} zoom - Requested zoom level
+     * @param {Object} anchor - Stage coordinates { x, y } that should stay in place
+     */
+    zoomAt(state, zoom, anchor) {
+        const newZoom = this.clamp(zoom, this.viewSettings.minZoom, this.viewSettings.maxZoom);
+        const ratio = newZoom / state.zoom;
+
+        state.panX = anchor.x - (anchor.x - state.panX) * ratio;
+        state.panY = anchor.y - (anchor.y - state.panY) * ratio;
+        state.zoom = newZoom;
+
+        this.render(state);
+    }
+
+    /**
+     * Raster/vector toggle; the vector result is traced on first use
+     * @param {Object} state - Viewer state
+     */
+    setupModeHandlers(state) {
+        state.viewer.querySelectorAll('[data-mode]').forEach(button => {
+            button.addEventListener('click', async () => {
+                const mode = button.dataset.mode;
+                if (mode === state.mode) return;
+
+                state.viewer.querySelectorAll('[data-mode]').forEach(item => {
+                    item.classList.toggle('active', item === button);
+                });
+                state.mode = mode;
+
+                try {
+                    await this.showMode(state);
+                } catch (error) {
+                    console.error('Error preparing vector preview:', error);
+                    this.setStatus(state, 'Vector preview unavailable');
+                }
+            });
+        });
+    }
+
+    /**
+     * Show the raster or vector result in the "after" layer
+     * @param {Object} state - Viewer state
+     */
+    async showMode(state) {
+        const content = state.viewer.querySelector('.comparison-after .comparison-content');
+        const canvas = content.querySelector('canvas');
+        let vectorImage = content.querySelector('img');
+
+        if (state.mode === 'raster') {
+            canvas.hidden = false;
+            if (vectorImage) vectorImage.hidden = true;
+            this.setStatus(state, null);
+            return;
+        }
+
+        if (!vectorImage) {
+            this.setStatus(state, 'Tracing vector paths...');
+
+            const url = await this.getVectorPreviewUrl(state);
+            vectorImage = document.createElement('img');
+            vectorImage.alt = 'Vector result';
+            vectorImage.draggable = false;
+            vectorImage.src = url;
+            content.appendChild(vectorImage);
+        }
+
+        // The user may have switched back while the paths were being traced
+        if (state.mode !== 'vector') return;
+
+        canvas.hidden = true;
+        vectorImage.hidden = false;
+        this.setStatus(state, null);
+    }
+
+    /**
+     * Trace the processed image and serialize it in image coordinates
+     * Reuses the vector paths of an existing SVG result when available.
+     * @param {Object} state - Viewer state
+     * @returns {Promise<string>} Data URL of the SVG overlay
+     */
+    async getVectorPreviewUrl(state) {
+        if (state.vectorUrl) return state.vectorUrl;
+
+        if (!window.SVGGenerator) {
+            throw new Error('SVG generator not available');
+        }
+
+        const result = state.result;
+        const effective = window.SVGGenerator.resolvePageSettings(result);
+        const vectorPaths = result.vectorPaths ||
+            await window.SVGGenerator.getPageVectorPaths(result, effective);
+
+        const svgString = window.SVGGenerator.createImageSpaceSVGString(
+            vectorPaths,
+            result.processedImageData.width,
+            result.processedImageData.height,
+            effective.settings
+        );
+
+        // A data URL is released with the viewer; viewers are rebuilt on every edit and
+        // an object URL would have to be revoked wherever a card replaces its viewer
+        state.vectorUrl = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svgString)}`;
+        return state.vectorUrl;
+    }
+
+    /**
+     * Show or hide the status overlay
+     * @param {Object} state - Viewer state
+     * @param {string|null} message - Status text, or null to hide
+     */
+    setStatus(state, message) {
+        const status = state.viewer.querySelector('.comparison-status');
+        status.hidden = !message;
+        status.textContent = message || '';
+    }
+
+    /**
+     * Apply split, zoom and pan to the viewer elements
+     * @param {Object} state - Viewer state
+     */
+    render(state) {
+        const rect = state.stage.getBoundingClientRect();
+
+        // Keep the zoomed content covering the stage
+        state.panX = this.clamp(state.panX, rect.width * (1 - state.zoom), 0);
+        state.panY = this.clamp(state.panY, rect.height * (1 - state.zoom), 0);
+
+        const transform = `translate(${state.panX}px, ${state.panY}px) scale(${state.zoom})`;
+        state.viewer.querySelectorAll('.comparison-content').forEach(content => {
+            content.style.transform = transform;
+        });
+
+        // The split is in stage coordinates, so it stays put while zooming
+        state.viewer.querySelector('.comparison-after').style.clipPath = `inset(0 0 0 ${state.split}%)`;
+        state.viewer.querySelector('.comparison-divider').style.left = `${state.split}%`;
+        state.viewer.querySelector('.comparison-handle').setAttribute('aria-valuenow', Math.round(state.split));
+        state.viewer.querySelector('.comparison-zoom-level').textContent = `${Math.round(state.zoom * 100)}%`;
+        state.stage.classList.toggle('zoomed', state.zoom > 1);
+    }
+
+    /**
+     * Clamp a value to a range
+     * @param {number} value - Value
+     * @param {number} min - Minimum
+     * @param {number} max - Maximum
+     * @returns {number} Clamped value
+     */
+    clamp(value, min, max) {
+        return Math.min(max, Math.max(min, value));
+    }
+}
+
+// Initialize global comparison viewer
+window.ComparisonViewer = new ComparisonViewer();
+
+console.log('Comparison Viewer loaded successfully');
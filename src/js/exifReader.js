@@ -0,0 +1,268 @@
+/**
+ * Photo Coloring Converter - EXIF Reader
+ * Minimal JPEG EXIF parser: orientation, capture date and camera model
+ * Used to turn phone photos upright and to fill result metadata
+ */
+
+class ExifMetadataReader {
+    constructor() {
+        // EXIF data lives in the first APP1 segment; the frame header follows shortly after
+        this.readLimit = 256 * 1024;
+
+        this.tags = {
+            0x010F: 'make',
+            0x0110: 'model',
+            0x0112: 'orientation',
+            0x0132: 'dateTime',
+            0x8769: 'exifIFDPointer',
+            0x9003: 'dateTimeOriginal'
+        };
+
+        this.initializeReader();
+    }
+
+    /**
+     * Initialize the EXIF reader
+     */
+    initializeReader() {
+        console.log('EXIF Reader initialized');
+    }
+
+    /**
+     * Read EXIF metadata from an image file
+     * Non-JPEG files and files without EXIF return an empty result.
+     * @param {File} file - Image file
+     * @returns {Promise<Object>} { orientation, captureDate, camera, storedWidth, storedHeight }
+     */
+    async readFile(file) {
+        try {
+            const buffer = await file.slice(0, this.readLimit).arrayBuffer();
+            return this.parse(buffer);
+        } catch (error) {
+            console.warn(`Could not read EXIF data from ${file.name}:`, error.message);
+            return { orientation: 1 };
+        }
+    }
+
+    /**
+     * Parse JPEG markers and the EXIF block
+     * @param {ArrayBuffer} buffer - Start of the JPEG file
+     * @returns {Object} Parsed metadata
+     */
+    parse(buffer) {
+        const view = new DataView(buffer);
+        const result = { orientation: 1 };
+
+        if (view.byteLength < 4 || view.getUint16(0) !== 0xFFD8) {
+            return result; // Not a JPEG
+        }
+
+        let offset = 2;
+        while (offset + 4 <= view.byteLength) {
+            if (view.getUint8(offset) !== 0xFF) break;
+
+            const marker = view.getUint8(offset + 1);
+            const length = view.getUint16(offset + 2);
+            const segmentStart = offset + 4;
+
+            // APP1 with the "Exif\0\0" identifier
+            if (marker === 0xE1 && segmentStart + 6 <= view.byteLength &&
+                view.getUint32(segmentStart) === 0x45786966 && view.getUint16(segmentStart + 4) === 0) {
+                Object.assign(result, this.parseTIFF(view, segmentStart + 6));
+            }
+
+            // Start of frame (baseline, progressive, ...): stored pixel dimensions
+            if (marker >= 0xC0 && marker <= 0xCF && marker !== 0xC4 && marker !== 0xC8 && marker !== 0xCC &&
+                segmentStart + 5 <= view.byteLength) {
+                result.storedHeight = view.getUint16(segmentStart + 1);
+                result.storedWidth = view.getUint16(segmentStart + 3);
+            }
+
+            // Start of scan: no more metadata after this
+            if (marker === 0xDA) break;
+
+            offset = segmentStart + length - 2;
+        }
+
+        return result;
+    }
+
+    /**
+     * Parse the TIFF structure inside the EXIF segment
+     * @param {DataView} view - File data
+     * @param {number} tiffStart - Offset of the TIFF header
+     * @returns {Object} { orientation, captureDate, camera }
+     */
+    parseTIFF(view, tiffStart) {
+        const byteOrder = view.getUint16(tiffStart);
+        if (byteOrder !== 0x4949 && byteOrder !== 0x4D4D) return {};
+
+        const littleEndian = byteOrder === 0x4949;
+        if (view.getUint16(tiffStart + 2, littleEndian) !== 42) return {};
+
+        const firstIFD = view.getUint32(tiffStart + 4, littleEndian);
+        const values = this.readIFD(view, tiffStart, tiffStart + firstIFD, littleEndian);
+
+        // Capture date lives in the EXIF sub-IFD
+        if (values.exifIFDPointer) {
+            Object.assign(values, this.readIFD(view, tiffStart, tiffStart + values.exifIFDPointer, littleEndian));
+        }
+
+        const orientation = values.orientation >= 1 && values.orientation <= 8 ? values.orientation : 1;
+        const camera = this.formatCamera(values.make, values.model);
+        const captureDate = this.formatDate(values.dateTimeOriginal || values.dateTime);
+
+        return {
+            orientation,
+            ...(camera && { camera }),
+            ...(captureDate && { captureDate })
+        };
+    }
+
+    /**
+     * Read the known tags of one IFD
+     * @param {DataView} view - File data
+     * @param {number} tiffStart - Offset of the TIFF header (base for value offsets)
+     * @param {number} ifdStart - Offset of the IFD
+     * @param {boolean} littleEndian - TIFF byte order
+     * @returns {Object} Tag values keyed by name
+     */
+    readIFD(view, tiffStart, ifdStart, littleEndian) {
+        const values = {};
+        if (ifdStart + 2 > view.byteLength) return values;
+
+        const entryCount = view.getUint16(ifdStart, littleEndian);
+
+        for (let i = 0; i < entryCount; i++) {
+            const entry = ifdStart + 2 + i * 12;
+            if (entry + 12 > view.byteLength) break;
+
+            const name = this.tags[view.getUint16(entry, littleEndian)];
+            if (!name) continue;
+
+            const type = view.getUint16(entry + 2, littleEndian);
+            const count = view.getUint32(entry + 4, littleEndian);
+
+            switch (type) {
+                case 2: { // ASCII, inline when it fits in four bytes
+                    const start = count > 4 ? tiffStart + view.getUint32(entry + 8, littleEndian) : entry + 8;
+                    values[name] = this.readASCII(view, start, count);
+                    break;
+                }
+                case 3: // SHORT
+                    values[name] = view.getUint16(entry + 8, littleEndian);
+                    break;
+                case 4: // LONG
+                    values[name] = view.getUint32(entry + 8, littleEndian);
+                    break;
+            }
+        }
+
+        return values;
+    }
+
+    /**
+     * Read a NUL-terminated ASCII value
+     * @param {DataView} view - File data
+     * @param {number} start - Offset of the string
+     * @param {number} count - Declared byte count
+     * @returns {string} Trimmed string
+     */
+    readASCII(view, start, count) {
+        let text = '';
+        const end = Math.min(start + count, view.byteLength);
+
+        for (let i = start; i < end; i++) {
+            const code = view.getUint8(i);
+            if (code === 0) break;
+            text += String.fromCharCode(code);
+        }
+
+        return text.trim();
+    }
+
+    /**
+     * Combine make and model without repeating the brand ("Canon Canon EOS" → "Canon EOS")
+     * @param {string} make - Camera make
+     * @param {string} model - Camera model
+     * @returns {string} Camera description
+     */
+    formatCamera(make, model) {
+        if (!make) return model || '';
+        if (!model) return make;
+
+        return model.toLowerCase().startsWith(make.toLowerCase()) ? model : `${make} ${model}`;
+    }
+
+    /**
+     * Convert an EXIF date ("YYYY:MM:DD HH:MM:SS", local time) to ISO 8601 without a zone
+     * @param {string} value - EXIF date string
+     * @returns {string} ISO date string, or empty when invalid
+     */
+    formatDate(value) {
+        const match = /^(\d{4}):(\d{2}):(\d{2})[ T](\d{2}):(\d{2}):(\d{2})/.exec(value || '');
+        if (!match || match[1] === '0000') return '';
+
+        return `${match[1]}-${match[2]}-${match[3]}T${match[4]}:${match[5]}:${match[6]}`;
+    }
+
+    /**
+     * Work out the rotation/flip still needed after the browser decoded the image
+     * Most browsers already apply the orientation when drawing; a changed aspect
+     * ratio (orientations 5-8) tells us for sure, otherwise CSS support decides.
+     * @param {Object} exif - Parsed metadata
+     * @param {number} decodedWidth - Width of the decoded image
+     * @param {number} decodedHeight - Height of the decoded image
+     * @returns {Object|null} Photo edits { rotation, flipH, flipV }, or null when upright
+     */
+    getOrientationCorrection(exif, decodedWidth, decodedHeight) {
+        const orientation = exif ? exif.orientation : 1;
+        if (!orientation || orientation === 1) return null;
+
+        let alreadyApplied;
+        const swapsAxes = orientation >= 5;
+
+        if (swapsAxes && exif.storedWidth && exif.storedWidth !== exif.storedHeight && decodedWidth !== decodedHeight) {
+            alreadyApplied = (exif.storedWidth > exif.storedHeight) !== (decodedWidth > decodedHeight);
+        } else {
+            alreadyApplied = typeof CSS !== 'undefined' && CSS.supports && CSS.supports('image-orientation', 'from-image');
+        }
+
+        if (alreadyApplied) return null;
+
+        const corrections = {
+            2: { rotation: 0, flipH: true, flipV: false },
+            3: { rotation: 180, flipH: false, flipV: false },
+            4: { rotation: 0, flipH: false, flipV: true },
+            5: { rotation: 90, flipH: true, flipV: false },
+            6: { rotation: 90, flipH: false, flipV: false },
+            7: { rotation: 90, flipH: false, flipV: true },
+            8: { rotation: 270, flipH: false, flipV: false }
+        };
+
+        return corrections[orientation] || null;
+    }
+
+    /**
+     * Decode-side helper: read EXIF and return upright image data
+     * @param {File} file - Image file
+     * @param {ImageData} imageData - Image data as decoded by the browser
+     * @returns {Promise<Object>} { imageData, exif }
+     */
+    async orientImageData(file, imageData) {
+        const exif = await this.readFile(file);
+        const correction = this.getOrientationCorrection(exif, imageData.width, imageData.height);
+
+        if (correction && window.ImageProcessor) {
+            console.log(`Applying EXIF orientation ${exif.orientation} to ${file.name}`);
+            imageData = window.ImageProcessor.applyPhotoEdits(imageData, correction);
+        }
+
+        return { imageData, exif };
+    }
+}
+
+// Initialize global EXIF reader
+window.ExifReader = new ExifMetadataReader();
+
+console.log('EXIF Reader loaded successfully');
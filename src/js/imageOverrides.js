@@ -0,0 +1,320 @@
+/**
+ * Photo Coloring Converter - Per-Image Settings Overrides
+ * Lets a single photo in a batch use its own style settings and engine parameters
+ * Overrides are edited from the preview card and resolved per page by the
+ * pipeline, the SVG generator and the PDF exporter
+ */
+
+class ImageOverrideManager {
+    constructor() {
+        // Page-level settings that may differ per image (document settings stay global)
+        this.overridableSettings = ['complexityLevel', 'outputStyle', 'edgeMethod', 'vectorMode', 'paletteSize', 'lineWeight'];
+
+        this.overrides = new Map(); // File -> { settings, processing, optimization }
+
+        this.initializeOverrides();
+    }
+
+    /**
+     * Initialize the override manager
+     */
+    initializeOverrides() {
+        console.log('Image Override Manager initialized');
+    }
+
+    /**
+     * Get the overrides stored for a file
+     * @param {File} file - Image file
+     * @returns {Object} { settings, processing, optimization } (empty objects when none)
+     */
+    getOverrides(file) {
+        return this.overrides.get(file) || { settings: {}, processing: {}, optimization: {} };
+    }
+
+    /**
+     * Check whether a file has any overrides
+     * @param {File} file - Image file
+     * @returns {boolean} True if at least one value is overridden
+     */
+    hasOverrides(file) {
+        const overrides = this.overrides.get(file);
+        if (!overrides) return false;
+
+        return Object.keys(overrides.settings).length > 0 ||
+            Object.keys(overrides.processing).length > 0 ||
+            Object.keys(overrides.optimization).length > 0;
+    }
+
+    /**
+     * Store overrides for a file; empty overrides remove the entry
+     * @param {File} file - Image file
+     * @param {Object} overrides - { settings, processing, optimization }
+     */
+    setOverrides(file, overrides) {
+        this.overrides.set(file, {
+            settings: { ...overrides.settings },
+            processing: { ...overrides.processing },
+            optimization: { ...overrides.optimization }
+        });
+
+        if (!this.hasOverrides(file)) {
+            this.overrides.delete(file);
+        }
+    }
+
+    /**
+     * Remove the overrides of a file
+     * @param {File} file - Image file
+     */
+    clearOverrides(file) {
+        this.overrides.delete(file);
+    }
+
+    /**
+     * Forget all overrides (a new set of files was selected)
+     */
+    reset() {
+        this.overrides.clear();
+    }
+
+    /**
+     * Resolve the effective settings for one image
+     * @param {File} file - Image file (may be undefined for unknown sources)
+     * @returns {Object} { settings, processingSettings, optimizationSettings, hasOverrides }
+     */
+    resolveSettings(file) {
+        const overrides = this.getOverrides(file);
+        const processingDefaults = window.ImageProcessor ? window.ImageProcessor.processingSettings : {};
+        const optimizationDefaults = window.SVGGenerator ? window.SVGGenerator.optimizationSettings : {};
+
+        // Subject isolation is chosen in the photo editor, per image only
+        const subjectSettings = window.PhotoEdits ? window.PhotoEdits.getSubjectSettings(file) : {};
+
+        return {
+            settings: { ...window.AppState.currentSettings, ...overrides.settings, ...subjectSettings },
+            processingSettings: { ...processingDefaults, ...overrides.processing },
+            optimizationSettings: { ...optimizationDefaults, ...overrides.optimization },
+            hasOverrides: this.hasOverrides(file)
+        };
+    }
+
+    /**
+     * Resolve the settings of a processing result
+     * Page-level settings and engine parameters are the ones the line art was made with,
+     * so editing an override after processing does not restyle an old result; document
+     * settings and path parameters follow the current settings.
+     * @param {Object} result - Processing result (pageSettings holds its resolved settings)
+     * @returns {Object} { settings, processingSettings, optimizationSettings, hasOverrides }
+     */
+    resolveResultSettings(result) {
+        const current = this.resolveSettings(result.originalFile);
+        const processed = result.pageSettings;
+        if (!processed) return current;
+
+        const pageSettings = {};
+        this.overridableSettings.forEach(key => {
+            if (key in processed.settings) pageSettings[key] = processed.settings[key];
+        });
+
+        return {
+            ...current,
+            settings: { ...current.settings, ...pageSettings },
+            processingSettings: processed.processingSettings,
+            hasOverrides: processed.hasOverrides
+        };
+    }
+
+    /**
+     * Open the override editor inside a preview card
+     * @param {number} index - Index into the selected files
+     * @param {HTMLElement} card - Preview card element
+     */
+    openEditor(index, card) {
+        const file = window.AppState.selectedFiles[index];
+        if (!file || !card) return;
+
+        const existing = card.querySelector('.override-editor');
+        if (existing) {
+            existing.remove();
+            return;
+        }
+
+        const editor = this.createEditor(file, card);
+        card.appendChild(editor);
+    }
+
+    /**
+     * Build the editor form for one file
+     * @param {File} file - Image file
+     * @param {HTMLElement} card - Preview card element
+     * @returns {HTMLElement} Editor element
+     */
+    createEditor(file, card) {
+        const overrides = this.getOverrides(file);
+        const editor = document.createElement('div');
+        editor.className = 'override-editor';
+
+        const grid = document.createElement('div');
+        grid.className = 'override-grid';
+
+        this.overridableSettings.forEach(key => {
+            const globalSelect = document.getElementById(key);
+            if (!globalSelect) return;
+
+            const label = document.createElement('label');
+            label.textContent = this.getSettingLabel(key);
+
+            const select = document.createElement('select');
+            select.dataset.setting = key;
+
+            const globalOption = globalSelect.options[globalSelect.selectedIndex];
+            select.appendChild(new Option(`Global (${globalOption ? globalOption.textContent : '-'})`, ''));
+            Array.from(globalSelect.options).forEach(option => {
+                select.appendChild(new Option(option.textContent, option.value));
+            });
+            select.value = overrides.settings[key] || '';
+
+            label.appendChild(select);
+            grid.appendChild(label);
+        });
+
+        this.getParameters().forEach(parameter => {
+            const target = parameter.target === 'processing' ? 'processing' : 'optimization';
+            const label = document.createElement('label');
+            label.textContent = parameter.label;
+
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.dataset.parameter = parameter.key;
+            input.dataset.target = target;
+            input.min = parameter.min;
+            input.max = parameter.max;
+            input.step = parameter.step;
+            input.placeholder = `Global: ${window.AdvancedSettings.readEngineValues()[parameter.key]}`;
+            input.value = parameter.key in overrides[target] ? overrides[target][parameter.key] : '';
+
+            label.appendChild(input);
+            grid.appendChild(label);
+        });
+
+        editor.appendChild(grid);
+
+        const actions = document.createElement('div');
+        actions.className = 'override-actions';
+        actions.innerHTML = `
+            <button type="button" class="preset-btn" data-override-action="apply">✅ Apply</button>
+            <button type="button" class="preset-btn" data-override-action="clear">↩️ Use global</button>
+            <button type="button" class="preset-btn" data-override-action="close">Close</button>
+        `;
+        editor.appendChild(actions);
+
+        // Keep clicks inside the editor from re-selecting the card
+        editor.addEventListener('click', (event) => event.stopPropagation());
+
+        actions.querySelectorAll('[data-override-action]').forEach(button => {
+            button.addEventListener('click', () => {
+                const action = button.dataset.overrideAction;
+
+                if (action === 'apply') {
+                    this.setOverrides(file, this.readEditor(editor));
+                } else if (action === 'clear') {
+                    this.clearOverrides(file);
+                }
+
+                editor.remove();
+                this.updateCardBadge(card, file);
+
+                if (action !== 'close') {
+                    this.dispatchChange(file);
+                }
+            });
+        });
+
+        return editor;
+    }
+
+    /**
+     * Read and validate the values entered in an editor
+     * @param {HTMLElement} editor - Editor element
+     * @returns {Object} { settings, processing, optimization }
+     */
+    readEditor(editor) {
+        const overrides = { settings: {}, processing: {}, optimization: {} };
+
+        editor.querySelectorAll('select[data-setting]').forEach(select => {
+            if (select.value) {
+                overrides.settings[select.dataset.setting] = select.value;
+            }
+        });
+
+        this.getParameters().forEach(parameter => {
+            const input = editor.querySelector(`input[data-parameter="${parameter.key}"]`);
+            if (!input || input.value.trim() === '') return;
+
+            const value = window.AdvancedSettings.validateValue(parameter, input.value);
+            if (value !== null) {
+                overrides[input.dataset.target][parameter.key] = value;
+            }
+        });
+
+        return overrides;
+    }
+
+    /**
+     * Show or hide the "custom settings" badge on a preview card
+     * @param {HTMLElement} card - Preview card element
+     * @param {File} file - Image file
+     */
+    updateCardBadge(card, file) {
+        let badge = card.querySelector('.override-badge');
+
+        if (this.hasOverrides(file)) {
+            if (!badge) {
+                badge = document.createElement('span');
+                badge.className = 'override-badge';
+                badge.textContent = 'Custom settings';
+                card.insertBefore(badge, card.firstChild);
+            }
+        } else if (badge) {
+            badge.remove();
+        }
+    }
+
+    /**
+     * Get the engine parameters that can be overridden
+     * @returns {Array} Parameter definitions from the Advanced panel
+     */
+    getParameters() {
+        return window.AdvancedSettings ? window.AdvancedSettings.parameters : [];
+    }
+
+    /**
+     * Get the visible label of a global setting
+     * @param {string} key - Setting id
+     * @returns {string} Label text
+     */
+    getSettingLabel(key) {
+        const label = document.querySelector(`label[for="${key}"]`);
+        return label ? label.textContent.trim() : key;
+    }
+
+    /**
+     * Notify listeners (live preview) that a file's settings changed
+     * @param {File} file - Image file
+     */
+    dispatchChange(file) {
+        document.dispatchEvent(new CustomEvent('settings:changed', {
+            detail: {
+                setting: 'imageOverrides',
+                value: file.name,
+                advanced: true,
+                timestamp: new Date().toISOString()
+            }
+        }));
+    }
+}
+
+// Initialize global override manager
+window.ImageOverrides = new ImageOverrideManager();
+
+console.log('Image Override Manager loaded successfully');
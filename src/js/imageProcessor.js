@@ -22,7 +22,7 @@ class ImageProcessingEngine {
         console.log('Image Processing Engine initialized');
         
         // Create off-screen canvas for processing
-        this.canvas = document.createElement('canvas');
+        this.canvas = this.createCanvas(1, 1);
         this.context = this.canvas.getContext('2d');
         
         // Default processing settings
@@ -34,32 +34,83 @@ class ImageProcessingEngine {
             contrastBoost: 1.2,
             brightnessAdjust: 0
         };
+        
+        // Edge detector used for each complexity level when the edge method is 'auto'
+        this.edgeDetectionProfiles = {
+            simple: { method: 'canny', thresholdMethod: 'otsu', highScale: 1.4, lowRatio: 0.5 },
+            moderate: { method: 'canny', thresholdMethod: 'otsu', highScale: 1.0, lowRatio: 0.4 },
+            complex: { method: 'canny', thresholdMethod: 'median', highScale: 1.0, lowRatio: 0.5 }
+        };
     }
 
     /**
      * Main image processing pipeline
+     * Files are processed in parallel when the worker pool is available.
      * @param {File[]} imageFiles - Array of image files to process
+     * @param {Object} options - Processing options
+     * @param {AbortSignal} options.signal - Cancels processing; rejects with an AbortError
+     *     whose partialResults holds the images finished so far
      * @returns {Promise} Processing results
      */
-    async processImages(imageFiles) {
-        const results = [];
+    async processImages(imageFiles, options = {}) {
+        const signal = options.signal;
         const totalFiles = imageFiles.length;
+        const results = new Array(totalFiles);
+        const fileProgress = new Array(totalFiles).fill(0);
         
         console.log(`Starting batch processing of ${totalFiles} images`);
         
-        try {
-            for (let i = 0; i < imageFiles.length; i++) {
+        // Overall progress is the sum of per-file stage progress
+        const reportProgress = (message) => {
+            const completed = fileProgress.reduce((sum, value) => sum + value, 0);
+            this.updateProgressUI(completed, totalFiles, message);
+        };
+        
+        const pool = window.ProcessingWorkers;
+        const concurrency = pool && pool.isSupported ? Math.min(pool.size, totalFiles) : 1;
+        let nextIndex = 0;
+        
+        // Aborted on cancellation or on the first failure, so no lane keeps working after the batch ends
+        const batchController = new AbortController();
+        const abortBatch = () => batchController.abort();
+        if (signal) {
+            if (signal.aborted) abortBatch();
+            else signal.addEventListener('abort', abortBatch, { once: true });
+        }
+        const batchSignal = batchController.signal;
+        
+        // Each lane takes the next file until the batch is exhausted
+        const processLane = async () => {
+            while (nextIndex < totalFiles) {
+                this.throwIfAborted(batchSignal);
+                
+                const i = nextIndex++;
                 const file = imageFiles[i];
                 
-                // Update progress
-                this.updateProgressUI(i, totalFiles, `Processing ${file.name}...`);
+                reportProgress(`Processing ${file.name}...`);
                 
-                // Process single image
-                const processedResult = await this.processSingleImage(file, i);
-                results.push(processedResult);
+                results[i] = await this.processSingleImage(file, i, (fraction, stage) => {
+                    fileProgress[i] = fraction;
+                    reportProgress(`${file.name}: ${stage}`);
+                }, batchSignal);
+                
+                fileProgress[i] = 1;
+                reportProgress(`Finished ${file.name}`);
+            }
+        };
+        
+        try {
+            const lanes = Array.from({ length: concurrency }, processLane);
+            
+            try {
+                await Promise.all(lanes);
+            } catch (error) {
+                // Stop the other lanes and let them settle, so nothing runs on after this rejects
+                batchController.abort();
+                await Promise.allSettled(lanes);
                 
-                // Small delay to prevent UI blocking
-                await this.delay(100);
+                if (!signal || !signal.aborted) throw error;
+                this.throwIfAborted(signal, results.filter(Boolean));
             }
             
             // Store results globally and update UI
@@ -70,9 +121,17 @@ class ImageProcessingEngine {
             return results;
             
         } catch (error) {
+            if (error.name === 'AbortError') {
+                console.log('Image processing cancelled');
+                throw error;
+            }
+            
             console.error('Error during image processing:', error);
             this.handleProcessingError(error);
             throw error;
+            
+        } finally {
+            if (signal) signal.removeEventListener('abort', abortBatch);
         }
     }
 
@@ -80,43 +139,86 @@ class ImageProcessingEngine {
      * Process a single image file
      * @param {File} file - Image file to process
      * @param {number} index - File index for naming
+     * @param {Function} onProgress - Called with (fraction, stageName) as stages complete
+     * @param {AbortSignal} signal - Cancellation signal
      * @returns {Promise<Object>} Processed image data
      */
-    async processSingleImage(file, index) {
+    async processSingleImage(file, index, onProgress, signal) {
+        const decoded = await this.decodeImageFile(file);
+        const canvas = decoded.canvas;
+        this.throwIfAborted(signal);
+        
+        // Turn phone photos upright and pick up capture date / camera
+        const oriented = window.ExifReader
+            ? await window.ExifReader.orientImageData(file, decoded.imageData)
+            : { imageData: decoded.imageData, exif: {} };
+        this.throwIfAborted(signal);
+        
+        // Crop/rotate/straighten edits from the preview card come first
+        const edits = window.PhotoEdits ? window.PhotoEdits.getEdits(file) : null;
+        const imageData = this.applyPhotoEdits(oriented.imageData, edits);
+        this.originalImageData = imageData;
+        
+        // Per-image overrides on top of the global settings
+        const effective = window.ImageOverrides
+            ? window.ImageOverrides.resolveSettings(file)
+            : { settings: window.AppState.currentSettings, processingSettings: this.processingSettings, hasOverrides: false };
+        
+        // Apply processing pipeline (worker pool when available)
+        let regionMap = null;
+        const processed = await this.runPipeline(imageData, effective.settings, {
+            onProgress,
+            signal,
+            processingSettings: effective.processingSettings,
+            onRegionMap: (map) => { regionMap = map; }
+        });
+        
+        // Generate result object
+        return {
+            index: index,
+            originalFile: file,
+            originalImageData: imageData,
+            processedImageData: processed,
+            regionMap: regionMap,
+            pageSettings: effective, // Settings the line art was made with, reused at export
+            canvas: canvas.cloneNode(),
+            metadata: {
+                filename: file.name,
+                width: imageData.width,
+                height: imageData.height,
+                fileSize: file.size,
+                hasOverrides: effective.hasOverrides,
+                exifOrientation: oriented.exif.orientation || 1,
+                captureDate: oriented.exif.captureDate || null,
+                camera: oriented.exif.camera || null,
+                processedAt: new Date().toISOString()
+            }
+        };
+    }
+
+    /**
+     * Decode an image file into a size-limited canvas and its pixel data
+     * @param {File} file - Image file
+     * @returns {Promise<Object>} { canvas, imageData }
+     */
+    decodeImageFile(file) {
         return new Promise((resolve, reject) => {
             const img = new Image();
             const reader = new FileReader();
             
             reader.onload = (e) => {
-                img.onload = async () => {
+                img.onload = () => {
                     try {
-                        // Setup canvas with image dimensions
-                        this.setupCanvas(img);
+                        // Each file gets its own canvas so decodes can overlap
+                        const canvas = document.createElement('canvas');
+                        const context = canvas.getContext('2d');
+                        const size = this.setupCanvas(img, canvas, context);
                         
                         // Draw original image
-                        this.context.drawImage(img, 0, 0);
-                        this.originalImageData = this.context.getImageData(0, 0, this.canvas.width, this.canvas.height);
-                        
-                        // Apply processing pipeline
-                        const processed = await this.applyProcessingPipeline();
-                        
-                        // Generate result object
-                        const result = {
-                            index: index,
-                            originalFile: file,
-                            originalImageData: this.originalImageData,
-                            processedImageData: processed,
-                            canvas: this.canvas.cloneNode(),
-                            metadata: {
-                                filename: file.name,
-                                width: this.canvas.width,
-                                height: this.canvas.height,
-                                fileSize: file.size,
-                                processedAt: new Date().toISOString()
-                            }
-                        };
+                        context.drawImage(img, 0, 0, size.width, size.height);
+                        const imageData = context.getImageData(0, 0, canvas.width, canvas.height);
                         
-                        resolve(result);
+                        resolve({ canvas, imageData });
                         
                     } catch (error) {
                         reject(error);
@@ -135,85 +237,339 @@ class ImageProcessingEngine {
     /**
      * Setup canvas with optimal dimensions
      * @param {HTMLImageElement} img - Source image
+     * @param {HTMLCanvasElement} canvas - Target canvas
+     * @param {CanvasRenderingContext2D} context - Target context
+     * @returns {Object} Drawing size in CSS pixels { width, height }
      */
-/**
- * Setup canvas with optimal dimensions
- * @param {HTMLImageElement} img - Source image
- */
-    
-setupCanvas(img) {
-    // Calculate optimal canvas size (max 1200px width for performance)
-    const maxWidth = 1200;
-    const maxHeight = 1200;
-    
-    let { width, height } = img;
-    
-    if (width > maxWidth || height > maxHeight) {
-        const aspectRatio = width / height;
+    setupCanvas(img, canvas = this.canvas, context = this.context) {
+        // Calculate optimal canvas size (max 1200px width for performance)
+        const maxWidth = 1200;
+        const maxHeight = 1200;
         
-        if (width > height) {
-            width = maxWidth;
-            height = width / aspectRatio;
-        } else {
-            height = maxHeight;
-            width = height * aspectRatio;
+        let { width, height } = img;
+        
+        if (width > maxWidth || height > maxHeight) {
+            const aspectRatio = width / height;
+            
+            if (width > height) {
+                width = maxWidth;
+                height = width / aspectRatio;
+            } else {
+                height = maxHeight;
+                width = height * aspectRatio;
+            }
         }
+        
+        // HIGH-DPI SCALING HOZZÁADÁSA
+        const dpr = window.devicePixelRatio || 1;
+        
+        canvas.width = Math.round(width * dpr);
+        canvas.height = Math.round(height * dpr);
+        
+        // CSS méret beállítása a felhasználói felülethez
+        canvas.style.width = `${Math.round(width)}px`;
+        canvas.style.height = `${Math.round(height)}px`;
+        
+        // Context beállítások minőségi javításhoz
+        context.scale(dpr, dpr);
+        context.imageSmoothingEnabled = false; // Éles szélekhez kifestőkhöz
+        context.imageSmoothingQuality = 'high';
+        
+        return { width, height };
+    }
+
+    /**
+     * Create a scratch canvas (OffscreenCanvas inside workers)
+     * @param {number} width - Canvas width
+     * @param {number} height - Canvas height
+     * @returns {HTMLCanvasElement|OffscreenCanvas} Canvas
+     */
+    createCanvas(width, height) {
+        if (typeof document === 'undefined') {
+            return new OffscreenCanvas(width, height);
+        }
+        
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        return canvas;
+    }
+
+    /**
+     * Run the pixel pipeline in the worker pool, falling back to the main thread
+     * @param {ImageData} imageData - Source image data
+     * @param {Object} settings - User settings
+     * @param {Object} options - { onProgress, onRegionMap, signal, processingSettings (per-image engine parameters) }
+     * @returns {Promise<ImageData>} Processed image data
+     */
+    async runPipeline(imageData, settings, options = {}) {
+        const pool = window.ProcessingWorkers;
+        const processingSettings = options.processingSettings || this.processingSettings;
+        
+        if (pool && pool.isSupported) {
+            try {
+                return await pool.run(imageData, settings, processingSettings, options);
+            } catch (error) {
+                if (!error.workerUnavailable) throw error;
+                console.warn('Processing worker unavailable, using main thread:', error.message);
+            }
+        }
+        
+        return this.withProcessingSettings(processingSettings).applyProcessingPipeline(imageData, settings, options);
+    }
+
+    /**
+     * Get an engine view that uses different processing parameters
+     * The view shares everything else with this engine, so concurrent
+     * main-thread runs never see each other's parameters.
+     * @param {Object} processingSettings - Engine parameters for the run
+     * @returns {ImageProcessingEngine} This engine, or a view with its own parameters
+     */
+    withProcessingSettings(processingSettings) {
+        if (!processingSettings || processingSettings === this.processingSettings) {
+            return this;
+        }
+        
+        const view = Object.create(this);
+        view.processingSettings = { ...this.processingSettings, ...processingSettings };
+        return view;
     }
-    
-    // HIGH-DPI SCALING HOZZÁADÁSA
-    const dpr = window.devicePixelRatio || 1;
-    
-    this.canvas.width = Math.round(width * dpr);
-    this.canvas.height = Math.round(height * dpr);
-    
-    // CSS méret beállítása a felhasználói felülethez
-    this.canvas.style.width = `${Math.round(width)}px`;
-    this.canvas.style.height = `${Math.round(height)}px`;
-    
-    // Context beállítások minőségi javításhoz
-    this.context.scale(dpr, dpr);
-    this.context.imageSmoothingEnabled = false; // Éles szélekhez kifestőkhöz
-    this.context.imageSmoothingQuality = 'high';
-}
 
     /**
      * Apply the complete image processing pipeline
+     * @param {ImageData} sourceImageData - Source image data
+     * @param {Object} settings - User settings (complexity, style, line weight...)
+     * @param {Object} options - Pipeline options
+     * @param {Function} options.onProgress - Called with (fraction, stageName) after each stage
+     * @param {Function} options.onRegionMap - Receives the region map of paint-by-number pages
+     * @param {boolean} options.yieldToUI - Pause between stages to keep the page responsive (default true)
+     * @param {AbortSignal} options.signal - Stops the pipeline between stages
      * @returns {ImageData} Processed image data
      */
-    async applyProcessingPipeline() {
+    async applyProcessingPipeline(sourceImageData = this.originalImageData, settings = window.AppState.currentSettings, options = {}) {
         console.log('Applying processing pipeline...');
         
         // Step 1: Color space conversion
-        let currentData = this.convertToGrayscale(this.originalImageData);
-        await this.delay(50);
+        let currentData = this.convertToGrayscale(sourceImageData);
+        await this.completeStage('Grayscale', 1, options);
         
         // Step 2: Contrast and brightness adjustment
         currentData = this.adjustContrastBrightness(currentData);
-        await this.delay(50);
+        await this.completeStage('Contrast', 2, options);
         
         // Step 3: Noise reduction
         currentData = this.applyGaussianBlur(currentData, this.processingSettings.gaussianRadius);
-        await this.delay(50);
+        await this.completeStage('Noise reduction', 3, options);
         
-        // Step 4: Edge detection
-        currentData = this.detectEdges(currentData);
-        await this.delay(50);
+        // Step 4: Edge detection (style dependent)
+        const outputStyle = settings.outputStyle || 'outline';
+        const toneData = currentData;
+        
+        // Subject isolation segments the colour photo, so the mask comes from the source
+        const subjectMask = this.createSubjectMask(sourceImageData, settings);
+        
+        // Paint by number outlines colour regions instead of detected edges
+        if (outputStyle === 'paintByNumber') {
+            const regionMap = this.createRegionMap(sourceImageData, settings, subjectMask);
+            
+            // Region borders are already one pixel wide and closed; cleanup would break them
+            currentData = this.colorRegionSegmenter.renderBoundaries(regionMap);
+            
+            // Rendered first: the worker transfers the labels buffer, which empties it here
+            if (options.onRegionMap) {
+                options.onRegionMap(regionMap);
+            }
+            await this.completeStage('Color regions', 4, options);
+            await this.completeStage('Cleanup', 5, options);
+            await this.completeStage('Line weight', 6, options);
+            await this.completeStage('Finishing', 7, { ...options, yieldToUI: false });
+            
+            this.processedImageData = currentData;
+            return currentData;
+        }
+        
+        currentData = this.detectStyleEdges(toneData, settings);
+        await this.completeStage('Edge detection', 4, options);
         
         // Step 5: Morphological operations
-        currentData = this.applyMorphologicalOperations(currentData);
-        await this.delay(50);
+        currentData = this.applyMorphologicalOperations(currentData, settings);
+        
+        // Hatching goes in after cleanup so closing does not fill the gaps between strokes
+        if (outputStyle === 'sketch') {
+            currentData = this.addSketchHatching(currentData, toneData);
+        }
+        
+        if (subjectMask) {
+            currentData = this.suppressOutsideMask(currentData, subjectMask);
+        }
+        await this.completeStage('Cleanup', 5, options);
         
         // Step 6: Line weight adjustment
-        currentData = this.adjustLineWeight(currentData);
-        await this.delay(50);
+        currentData = this.adjustLineWeight(currentData, settings);
+        await this.completeStage('Line weight', 6, options);
         
         // Step 7: Final cleanup
         currentData = this.finalCleanup(currentData);
+        await this.completeStage('Finishing', 7, { ...options, yieldToUI: false });
         
         this.processedImageData = currentData;
         return currentData;
     }
 
+    /**
+     * Report a finished pipeline stage and optionally yield to the UI
+     * @param {string} stageName - Human readable stage name
+     * @param {number} stageNumber - 1-based stage number
+     * @param {Object} options - Pipeline options
+     */
+    async completeStage(stageName, stageNumber, options) {
+        this.throwIfAborted(options.signal);
+        
+        if (options.onProgress) {
+            options.onProgress(stageNumber / ImageProcessingEngine.PIPELINE_STAGES, stageName);
+        }
+        
+        if (options.yieldToUI !== false) {
+            await this.delay(50);
+        }
+    }
+
+    /**
+     * Apply crop, rotation, straightening and flips to a photo
+     * Runs before the pipeline so the subject fills the coloring page.
+     * @param {ImageData} imageData - Source image data
+     * @param {Object} edits - { rotation (0/90/180/270), straighten (degrees), flipH, flipV,
+     *     crop { x, y, width, height } normalized to the rotated image }
+     * @returns {ImageData} Edited image data
+     */
+    applyPhotoEdits(imageData, edits) {
+        if (!edits) return imageData;
+        
+        const rotation = ((edits.rotation || 0) % 360 + 360) % 360;
+        const quarterTurned = rotation === 90 || rotation === 270;
+        const width = quarterTurned ? imageData.height : imageData.width;
+        const height = quarterTurned ? imageData.width : imageData.height;
+        
+        const sourceCanvas = this.createCanvas(imageData.width, imageData.height);
+        sourceCanvas.getContext('2d').putImageData(imageData, 0, 0);
+        
+        // Straightening zooms in just enough to hide the rotated corners
+        const angle = (edits.straighten || 0) * Math.PI / 180;
+        const cos = Math.abs(Math.cos(angle));
+        const sin = Math.abs(Math.sin(angle));
+        const fit = Math.min(width / (width * cos + height * sin), height / (width * sin + height * cos));
+        
+        const canvas = this.createCanvas(width, height);
+        const context = canvas.getContext('2d');
+        context.fillStyle = 'white';
+        context.fillRect(0, 0, width, height);
+        context.imageSmoothingQuality = 'high';
+        
+        context.translate(width / 2, height / 2);
+        context.rotate(angle);
+        context.scale(1 / fit, 1 / fit);
+        context.scale(edits.flipH ? -1 : 1, edits.flipV ? -1 : 1);
+        context.rotate(rotation * Math.PI / 180);
+        context.drawImage(sourceCanvas, -imageData.width / 2, -imageData.height / 2);
+        
+        const crop = edits.crop || { x: 0, y: 0, width: 1, height: 1 };
+        const cropX = Math.round(Math.max(0, crop.x) * width);
+        const cropY = Math.round(Math.max(0, crop.y) * height);
+        const cropWidth = Math.max(1, Math.min(width - cropX, Math.round(crop.width * width)));
+        const cropHeight = Math.max(1, Math.min(height - cropY, Math.round(crop.height * height)));
+        
+        return context.getImageData(cropX, cropY, cropWidth, cropHeight);
+    }
+
+    /**
+     * Edge detection step for the chosen output style
+     * @param {ImageData} toneData - Blurred grayscale image
+     * @param {Object} settings - Page settings
+     * @returns {ImageData} Edges (or posterized regions for the artistic style)
+     */
+    detectStyleEdges(toneData, settings) {
+        if ((settings.outputStyle || 'outline') === 'artistic') {
+            return this.detectPosterizedRegions(toneData);
+        }
+        
+        const profile = this.getEdgeDetectionProfile(settings);
+        return profile.method === 'canny'
+            ? this.detectCannyEdges(toneData, profile)
+            : this.detectEdges(toneData);
+    }
+
+    /**
+     * Raw edge map of a photo: the pipeline up to edge detection, without
+     * cleanup, line weight or subject isolation. The line art editor restores
+     * lines from it.
+     * @param {ImageData} sourceImageData - Edited photo (pipeline input)
+     * @param {Object} settings - Page settings
+     * @returns {ImageData} Edge map, same size as the processed image
+     */
+    createEdgeMap(sourceImageData, settings) {
+        let currentData = this.convertToGrayscale(sourceImageData);
+        currentData = this.adjustContrastBrightness(currentData);
+        currentData = this.applyGaussianBlur(currentData, this.processingSettings.gaussianRadius);
+        
+        return this.detectStyleEdges(currentData, settings);
+    }
+
+    /**
+     * Segment the subject of the photo when isolation is enabled for it
+     * @param {ImageData} imageData - Colour source image
+     * @param {Object} settings - Page settings (subjectIsolation 'off' | 'auto' | 'box', subjectBox)
+     * @returns {Uint8Array|null} Subject mask, or null to keep the whole image
+     */
+    createSubjectMask(imageData, settings) {
+        const mode = settings.subjectIsolation || 'off';
+        if (mode === 'off' || typeof SubjectSegmenter === 'undefined') return null;
+        
+        this.subjectSegmenter = this.subjectSegmenter || new SubjectSegmenter();
+        
+        // A box mode without a usable box falls back to the automatic seed
+        return this.subjectSegmenter.segment(imageData, {
+            mode: settings.subjectBox ? mode : 'auto',
+            box: settings.subjectBox
+        });
+    }
+
+    /**
+     * Segment the colour photo into numbered paint-by-number regions
+     * @param {ImageData} imageData - Colour source image
+     * @param {Object} settings - Page settings (paletteSize)
+     * @param {Uint8Array|null} subjectMask - Pixels outside the subject stay unnumbered
+     * @returns {Object} Region map (labels, regions with label points, palette)
+     */
+    createRegionMap(imageData, settings, subjectMask = null) {
+        this.colorRegionSegmenter = this.colorRegionSegmenter || new ColorRegionSegmenter();
+        
+        return this.colorRegionSegmenter.segment(imageData, {
+            colors: parseInt(settings.paletteSize, 10) || 12,
+            mask: subjectMask
+        });
+    }
+
+    /**
+     * Turn everything outside the subject mask white
+     * @param {ImageData} imageData - Line art
+     * @param {Uint8Array} mask - Subject mask (same size)
+     * @returns {ImageData} Line art without background edges
+     */
+    suppressOutsideMask(imageData, mask) {
+        const data = new Uint8ClampedArray(imageData.data);
+        
+        for (let i = 0; i < mask.length; i++) {
+            if (mask[i]) continue;
+            
+            const offset = i * 4;
+            data[offset] = 255;
+            data[offset + 1] = 255;
+            data[offset + 2] = 255;
+        }
+        
+        return new ImageData(data, imageData.width, imageData.height);
+    }
+
     /**
      * Convert image to grayscale
      * @param {ImageData} imageData - Source image data
@@ -279,11 +635,13 @@ setupCanvas(img) {
      */
     applyGaussianBlur(imageData, radius) {
         // Create temporary canvas for blur operation
-        const tempCanvas = document.createElement('canvas');
+        const tempCanvas = this.createCanvas(imageData.width, imageData.height);
         const tempContext = tempCanvas.getContext('2d');
         
-        tempCanvas.width = imageData.width;
-        tempCanvas.height = imageData.height;
+        // Canvas filters are not available in every (worker) context
+        if (!('filter' in tempContext)) {
+            return this.applyBoxBlur(imageData, radius);
+        }
         
         // Put image data on temp canvas
         tempContext.putImageData(imageData, 0, 0);
@@ -296,6 +654,58 @@ setupCanvas(img) {
         return tempContext.getImageData(0, 0, tempCanvas.width, tempCanvas.height);
     }
 
+    /**
+     * Approximate a Gaussian blur with three box blur passes
+     * @param {ImageData} imageData - Grayscale image data
+     * @param {number} radius - Blur radius
+     * @returns {ImageData} Blurred image data
+     */
+    applyBoxBlur(imageData, radius) {
+        const width = imageData.width;
+        const height = imageData.height;
+        const boxRadius = Math.max(1, Math.round(radius));
+        let current = new Float32Array(width * height);
+        let next = new Float32Array(width * height);
+        
+        for (let i = 0; i < current.length; i++) {
+            current[i] = imageData.data[i * 4];
+        }
+        
+        for (let pass = 0; pass < 3; pass++) {
+            // Horizontal then vertical running average
+            for (const horizontal of [true, false]) {
+                const lines = horizontal ? height : width;
+                const length = horizontal ? width : height;
+                
+                for (let line = 0; line < lines; line++) {
+                    const at = (k) => horizontal ? line * width + k : k * width + line;
+                    let sum = 0;
+                    let count = 0;
+                    
+                    for (let k = 0; k < Math.min(boxRadius, length); k++) {
+                        sum += current[at(k)];
+                        count++;
+                    }
+                    
+                    for (let k = 0; k < length; k++) {
+                        if (k + boxRadius < length) { sum += current[at(k + boxRadius)]; count++; }
+                        if (k - boxRadius - 1 >= 0) { sum -= current[at(k - boxRadius - 1)]; count--; }
+                        next[at(k)] = sum / count;
+                    }
+                }
+                
+                [current, next] = [next, current];
+            }
+        }
+        
+        const result = new ImageData(new Uint8ClampedArray(imageData.data), width, height);
+        for (let i = 0; i < current.length; i++) {
+            result.data[i * 4] = result.data[i * 4 + 1] = result.data[i * 4 + 2] = current[i];
+        }
+        
+        return result;
+    }
+
     /**
      * Detect edges using Sobel operator
      * @param {ImageData} imageData - Source image data
@@ -344,14 +754,361 @@ setupCanvas(img) {
         return result;
     }
 
+    /**
+     * Resolve the edge detection profile for the current settings
+     * @param {Object} settings - User settings
+     * @returns {Object} Profile { method, thresholdMethod, highScale, lowRatio }
+     */
+    getEdgeDetectionProfile(settings) {
+        const profile = this.edgeDetectionProfiles[settings.complexityLevel] || this.edgeDetectionProfiles.moderate;
+        
+        // An explicit edge method overrides the per-complexity default
+        if (settings.edgeMethod === 'sobel' || settings.edgeMethod === 'canny') {
+            return { ...profile, method: settings.edgeMethod };
+        }
+        
+        return profile;
+    }
+
+    /**
+     * Detect edges using the Canny algorithm
+     * Produces thin, continuous single-pixel lines.
+     * @param {ImageData} imageData - Blurred grayscale image data
+     * @param {Object} profile - Threshold options { thresholdMethod, highScale, lowRatio }
+     * @returns {ImageData} Edge-detected image data
+     */
+    detectCannyEdges(imageData, profile) {
+        const width = imageData.width;
+        const height = imageData.height;
+        
+        const { magnitude, direction } = this.computeGradients(imageData);
+        const suppressed = this.nonMaximumSuppression(magnitude, direction, width, height);
+        const { low, high } = this.selectCannyThresholds(suppressed, imageData, profile);
+        const edges = this.applyHysteresis(suppressed, width, height, low, high);
+        
+        const result = new ImageData(width, height);
+        for (let i = 0; i < edges.length; i++) {
+            const value = edges[i] ? 0 : 255;
+            const idx = i * 4;
+            result.data[idx] = result.data[idx + 1] = result.data[idx + 2] = value;
+            result.data[idx + 3] = 255;
+        }
+        
+        return result;
+    }
+
+    /**
+     * Compute Sobel gradient magnitude and quantized direction
+     * @param {ImageData} imageData - Grayscale image data
+     * @returns {Object} { magnitude: Float32Array, direction: Uint8Array (0-3) }
+     */
+    computeGradients(imageData) {
+        const width = imageData.width;
+        const height = imageData.height;
+        const data = imageData.data;
+        const magnitude = new Float32Array(width * height);
+        const direction = new Uint8Array(width * height);
+        
+        for (let y = 1; y < height - 1; y++) {
+            for (let x = 1; x < width - 1; x++) {
+                const at = (dx, dy) => data[((y + dy) * width + (x + dx)) * 4];
+                
+                const gx = -at(-1, -1) + at(1, -1) - 2 * at(-1, 0) + 2 * at(1, 0) - at(-1, 1) + at(1, 1);
+                const gy = -at(-1, -1) - 2 * at(0, -1) - at(1, -1) + at(-1, 1) + 2 * at(0, 1) + at(1, 1);
+                
+                const i = y * width + x;
+                magnitude[i] = Math.sqrt(gx * gx + gy * gy);
+                
+                // Quantize gradient angle to 0°, 45°, 90° or 135°
+                let angle = Math.atan2(gy, gx) * 180 / Math.PI;
+                if (angle < 0) angle += 180;
+                
+                if (angle < 22.5 || angle >= 157.5) {
+                    direction[i] = 0;
+                } else if (angle < 67.5) {
+                    direction[i] = 1;
+                } else if (angle < 112.5) {
+                    direction[i] = 2;
+                } else {
+                    direction[i] = 3;
+                }
+            }
+        }
+        
+        return { magnitude, direction };
+    }
+
+    /**
+     * Thin edges by keeping only local maxima along the gradient direction
+     * @param {Float32Array} magnitude - Gradient magnitude
+     * @param {Uint8Array} direction - Quantized gradient direction
+     * @param {number} width - Image width
+     * @param {number} height - Image height
+     * @returns {Float32Array} Suppressed magnitude
+     */
+    nonMaximumSuppression(magnitude, direction, width, height) {
+        const result = new Float32Array(width * height);
+        
+        // Neighbour offsets along each quantized gradient direction
+        const offsets = [
+            [1, 0],   // 0°: left / right
+            [1, 1],   // 45°: diagonal
+            [0, 1],   // 90°: up / down
+            [-1, 1]   // 135°: anti-diagonal
+        ];
+        
+        for (let y = 1; y < height - 1; y++) {
+            for (let x = 1; x < width - 1; x++) {
+                const i = y * width + x;
+                const value = magnitude[i];
+                if (value === 0) continue;
+                
+                const [dx, dy] = offsets[direction[i]];
+                const before = magnitude[(y - dy) * width + (x - dx)];
+                const after = magnitude[(y + dy) * width + (x + dx)];
+                
+                // Strict on one side so plateaus on step edges stay one pixel wide
+                if (value > before && value >= after) {
+                    result[i] = value;
+                }
+            }
+        }
+        
+        return result;
+    }
+
+    /**
+     * Select low/high hysteresis thresholds automatically
+     * @param {Float32Array} suppressed - Suppressed gradient magnitude
+     * @param {ImageData} imageData - Grayscale image data (for median-based selection)
+     * @param {Object} profile - { thresholdMethod: 'otsu' | 'median', highScale, lowRatio }
+     * @returns {Object} { low, high }
+     */
+    selectCannyThresholds(suppressed, imageData, profile) {
+        const highScale = profile.highScale || 1;
+        const lowRatio = profile.lowRatio || 0.5;
+        let high;
+        
+        if (profile.thresholdMethod === 'median') {
+            // Classic "auto Canny": thresholds around the median intensity
+            const histogram = new Uint32Array(256);
+            for (let i = 0; i < imageData.data.length; i += 4) {
+                histogram[imageData.data[i]]++;
+            }
+            
+            const half = (imageData.width * imageData.height) / 2;
+            let median = 0;
+            for (let count = 0; median < 255; median++) {
+                count += histogram[median];
+                if (count >= half) break;
+            }
+            
+            high = Math.min(255, 1.33 * median);
+        } else {
+            // Otsu split of the candidate edge strengths into "noise" and "edge"
+            let maxMagnitude = 0;
+            for (let i = 0; i < suppressed.length; i++) {
+                if (suppressed[i] > maxMagnitude) maxMagnitude = suppressed[i];
+            }
+            if (maxMagnitude === 0) return { low: 1, high: 1 };
+            
+            const histogram = new Uint32Array(256);
+            for (let i = 0; i < suppressed.length; i++) {
+                if (suppressed[i] > 0) {
+                    histogram[Math.min(255, Math.floor(suppressed[i] / maxMagnitude * 255))]++;
+                }
+            }
+            
+            high = (ImageProcessingEngine.calculateOtsuThreshold(histogram) / 255) * maxMagnitude;
+        }
+        
+        high = Math.max(1, high * highScale);
+        return { low: high * lowRatio, high: high };
+    }
+
+    /**
+     * Calculate Otsu's threshold for a histogram
+     * Static so the subject segmenter (loaded first, only used by the engine) can share it.
+     * @param {Uint32Array} histogram - 256-bin histogram
+     * @returns {number} Threshold bin (0-255)
+     */
+    static calculateOtsuThreshold(histogram) {
+        let total = 0;
+        let sum = 0;
+        for (let i = 0; i < histogram.length; i++) {
+            total += histogram[i];
+            sum += i * histogram[i];
+        }
+        
+        let backgroundWeight = 0;
+        let backgroundSum = 0;
+        let bestVariance = -1;
+        let threshold = 0;
+        
+        for (let i = 0; i < histogram.length; i++) {
+            backgroundWeight += histogram[i];
+            if (backgroundWeight === 0) continue;
+        
+            const foregroundWeight = total - backgroundWeight;
+            if (foregroundWeight === 0) break;
+        
+            backgroundSum += i * histogram[i];
+            const backgroundMean = backgroundSum / backgroundWeight;
+            const foregroundMean = (sum - backgroundSum) / foregroundWeight;
+            const variance = backgroundWeight * foregroundWeight * (backgroundMean - foregroundMean) ** 2;
+        
+            if (variance > bestVariance) {
+                bestVariance = variance;
+                threshold = i;
+            }
+        }
+        
+        return threshold;
+    }
+
+    /**
+     * Hysteresis double thresholding
+     * Strong edges are kept, weak edges only when connected to a strong edge.
+     * @param {Float32Array} suppressed - Suppressed gradient magnitude
+     * @param {number} width - Image width
+     * @param {number} height - Image height
+     * @param {number} low - Low threshold
+     * @param {number} high - High threshold
+     * @returns {Uint8Array} Edge map (1 = edge)
+     */
+    applyHysteresis(suppressed, width, height, low, high) {
+        const edges = new Uint8Array(width * height);
+        const stack = new Int32Array(width * height);
+        let stackSize = 0;
+        
+        for (let i = 0; i < suppressed.length; i++) {
+            if (suppressed[i] >= high && !edges[i]) {
+                edges[i] = 1;
+                stack[stackSize++] = i;
+                
+                // Follow connected weak edges from this strong seed
+                while (stackSize > 0) {
+                    const current = stack[--stackSize];
+                    const cx = current % width;
+                    const cy = (current - cx) / width;
+                    
+                    for (let dy = -1; dy <= 1; dy++) {
+                        for (let dx = -1; dx <= 1; dx++) {
+                            const nx = cx + dx;
+                            const ny = cy + dy;
+                            if (nx < 0 || ny < 0 || nx >= width || ny >= height) continue;
+                            
+                            const neighbor = ny * width + nx;
+                            if (!edges[neighbor] && suppressed[neighbor] >= low) {
+                                edges[neighbor] = 1;
+                                stack[stackSize++] = neighbor;
+                            }
+                        }
+                    }
+                }
+            }
+        }
+        
+        return edges;
+    }
+
+    /**
+     * Detect outlines between posterized tone regions (artistic style)
+     * @param {ImageData} imageData - Blurred grayscale image data
+     * @param {number} levels - Number of tone levels
+     * @returns {ImageData} Region outline image data
+     */
+    detectPosterizedRegions(imageData, levels = 4) {
+        const width = imageData.width;
+        const height = imageData.height;
+        const data = imageData.data;
+        const result = new ImageData(width, height);
+        
+        // Quantize to a small number of flat tone levels
+        const posterized = new Uint8Array(width * height);
+        for (let i = 0; i < posterized.length; i++) {
+            posterized[i] = Math.min(levels - 1, Math.floor(data[i * 4] / 256 * levels));
+        }
+        
+        // Majority filter removes speckles so regions have clean, stylized borders
+        const smoothed = new Uint8Array(posterized);
+        const counts = new Uint8Array(levels);
+        for (let y = 1; y < height - 1; y++) {
+            for (let x = 1; x < width - 1; x++) {
+                counts.fill(0);
+                for (let ky = -1; ky <= 1; ky++) {
+                    for (let kx = -1; kx <= 1; kx++) {
+                        counts[posterized[(y + ky) * width + (x + kx)]]++;
+                    }
+                }
+                
+                let bestLevel = posterized[y * width + x];
+                for (let level = 0; level < levels; level++) {
+                    if (counts[level] > counts[bestLevel]) bestLevel = level;
+                }
+                smoothed[y * width + x] = bestLevel;
+            }
+        }
+        
+        // A pixel is an outline where its level differs from the right or lower neighbour
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const level = smoothed[y * width + x];
+                const isBoundary =
+                    (x < width - 1 && smoothed[y * width + x + 1] !== level) ||
+                    (y < height - 1 && smoothed[(y + 1) * width + x] !== level);
+                
+                const edge = isBoundary ? 0 : 255;
+                const idx = (y * width + x) * 4;
+                result.data[idx] = result.data[idx + 1] = result.data[idx + 2] = edge;
+                result.data[idx + 3] = 255;
+            }
+        }
+        
+        return result;
+    }
+
+    /**
+     * Add diagonal hatching to dark tones (sketch style)
+     * @param {ImageData} edgeData - Edge-detected image data
+     * @param {ImageData} toneData - Blurred grayscale image data
+     * @returns {ImageData} Edge data with hatching strokes
+     */
+    addSketchHatching(edgeData, toneData) {
+        const width = edgeData.width;
+        const height = edgeData.height;
+        const result = new ImageData(new Uint8ClampedArray(edgeData.data), width, height);
+        
+        // Hatch spacing scales with the image so density looks similar on every size
+        const spacing = Math.max(8, Math.round(Math.min(width, height) / 80));
+        
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const idx = (y * width + x) * 4;
+                const tone = toneData.data[idx];
+                
+                // Mid tones get single hatching, shadows get cross-hatching
+                const onHatch = tone < 130 && (x + y) % spacing === 0;
+                const onCrossHatch = tone < 70 && (x - y + height * spacing) % spacing === 0;
+                
+                if (onHatch || onCrossHatch) {
+                    result.data[idx] = result.data[idx + 1] = result.data[idx + 2] = 0;
+                    result.data[idx + 3] = 255;
+                }
+            }
+        }
+        
+        return result;
+    }
+
     /**
      * Apply morphological operations to clean up the image
      * @param {ImageData} imageData - Source image data
+     * @param {Object} settings - User settings
      * @returns {ImageData} Cleaned image data
      */
-    applyMorphologicalOperations(imageData) {
-        const settings = window.AppState.currentSettings;
-        
+    applyMorphologicalOperations(imageData, settings) {
+
         // Adjust operations based on complexity level
         let iterations = 1;
         switch (settings.complexityLevel) {
@@ -446,11 +1203,11 @@ setupCanvas(img) {
     /**
      * Adjust line weight based on settings
      * @param {ImageData} imageData - Source image data
+     * @param {Object} settings - User settings
      * @returns {ImageData} Adjusted image data
      */
-    adjustLineWeight(imageData) {
-        const settings = window.AppState.currentSettings;
-        
+    adjustLineWeight(imageData, settings) {
+
         let lineWeight = this.processingSettings.lineWeight;
         
         // Adjust based on user preference
@@ -519,7 +1276,7 @@ setupCanvas(img) {
         }
         
         if (progressDetails) {
-            progressDetails.textContent = `Processing ${current + 1} of ${total} images`;
+            progressDetails.textContent = `Processing ${Math.min(total, Math.floor(current) + 1)} of ${total} images`;
         }
     }
 
@@ -590,16 +1347,97 @@ setupCanvas(img) {
                 <p><strong>Dimensions:</strong> ${result.metadata.width} × ${result.metadata.height}px</p>
                 <p><strong>File size:</strong> ${this.formatFileSize(result.metadata.fileSize)}</p>
                 <p><strong>Processed:</strong> ${new Date(result.metadata.processedAt).toLocaleTimeString()}</p>
+                ${result.metadata.captureDate ? `<p><strong>Taken:</strong> ${new Date(result.metadata.captureDate).toLocaleDateString()}</p>` : ''}
+                ${result.metadata.camera ? `<p><strong>Camera:</strong> ${this.escapeHTML(result.metadata.camera)}</p>` : ''}
+                ${result.metadata.hasOverrides ? '<p><strong>Settings:</strong> Custom for this page</p>' : ''}
             </div>
         `;
         
-        // Add canvas to preview area
+        // Before/after viewer when available, plain processed canvas otherwise
         const previewArea = card.querySelector('.result-preview');
-        previewArea.appendChild(previewCanvas);
+        if (window.ComparisonViewer) {
+            previewArea.appendChild(window.ComparisonViewer.createViewer(result));
+        } else {
+            previewArea.appendChild(previewCanvas);
+        }
+        
+        // Brush touch-ups for stray or missing lines, path edits for the vector output, poster printing
+        const actions = document.createElement('div');
+        actions.className = 'result-actions';
+        
+        if (window.LineArtEditor) {
+            actions.insertAdjacentHTML('beforeend', '<button type="button" class="preset-btn touch-up-btn">🖌️ Touch up lines</button>');
+            actions.querySelector('.touch-up-btn').addEventListener('click', () => {
+                window.LineArtEditor.openEditor(result, card);
+            });
+        }
+        
+        if (window.PathEditor) {
+            actions.insertAdjacentHTML('beforeend', '<button type="button" class="preset-btn edit-paths-btn">✏️ Edit paths</button>');
+            actions.querySelector('.edit-paths-btn').addEventListener('click', () => {
+                window.PathEditor.openEditor(result, card);
+            });
+        }
+        
+        if (window.AppController && window.PDFExporter) {
+            actions.insertAdjacentHTML('beforeend', '<button type="button" class="preset-btn poster-btn">🧩 Print as poster</button>');
+            actions.querySelector('.poster-btn').addEventListener('click', () => {
+                window.AppController.exportPoster(result);
+            });
+        }
+        
+        if (actions.children.length > 0) {
+            card.appendChild(actions);
+        }
         
         return card;
     }
 
+    /**
+     * Create a downscaled JPEG thumbnail from image data
+     * @param {ImageData} imageData - Source image data
+     * @param {number} maxSize - Maximum thumbnail width or height in pixels
+     * @returns {Promise<Blob>} JPEG thumbnail blob
+     */
+    createThumbnailBlob(imageData, maxSize = 320) {
+        const sourceCanvas = document.createElement('canvas');
+        sourceCanvas.width = imageData.width;
+        sourceCanvas.height = imageData.height;
+        sourceCanvas.getContext('2d').putImageData(imageData, 0, 0);
+        
+        const scale = Math.min(1, maxSize / Math.max(imageData.width, imageData.height));
+        const thumbnailCanvas = document.createElement('canvas');
+        thumbnailCanvas.width = Math.max(1, Math.round(imageData.width * scale));
+        thumbnailCanvas.height = Math.max(1, Math.round(imageData.height * scale));
+        
+        const thumbnailContext = thumbnailCanvas.getContext('2d');
+        thumbnailContext.imageSmoothingQuality = 'high';
+        thumbnailContext.drawImage(sourceCanvas, 0, 0, thumbnailCanvas.width, thumbnailCanvas.height);
+        
+        return new Promise((resolve, reject) => {
+            thumbnailCanvas.toBlob(blob => {
+                if (blob) {
+                    resolve(blob);
+                } else {
+                    reject(new Error('Thumbnail encoding failed'));
+                }
+            }, 'image/jpeg', 0.85);
+        });
+    }
+
+    /**
+     * Escape text for use in HTML markup
+     * @param {string} text - Raw text (e.g. camera names read from the file)
+     * @returns {string} Escaped text
+     */
+    escapeHTML(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
     /**
      * Format file size for display
      * @param {number} bytes - File size in bytes
@@ -641,6 +1479,20 @@ setupCanvas(img) {
         
         // Show error message
         alert(`Processing failed: ${error.message}\nPlease try with different images or check the browser console for details.`);
+        error.userNotified = true;
+    }
+
+    /**
+     * Throw an AbortError if the signal has been aborted
+     * @param {AbortSignal} signal - Cancellation signal
+     * @param {Array} partialResults - Results completed before cancellation
+     */
+    throwIfAborted(signal, partialResults = []) {
+        if (signal && signal.aborted) {
+            const error = new DOMException('Image processing cancelled', 'AbortError');
+            error.partialResults = partialResults;
+            throw error;
+        }
     }
 
     /**
@@ -653,7 +1505,12 @@ setupCanvas(img) {
     }
 }
 
-// Initialize global image processor
-window.ImageProcessor = new ImageProcessingEngine();
+// Number of progress steps reported by applyProcessingPipeline
+ImageProcessingEngine.PIPELINE_STAGES = 7;
 
-console.log('Image Processing Engine loaded successfully');
+// Initialize global image processor (workers load this file for the pixel stages only)
+if (typeof window !== 'undefined') {
+    window.ImageProcessor = new ImageProcessingEngine();
+    
+    console.log('Image Processing Engine loaded successfully');
+}
@@ -0,0 +1,558 @@
+/**
+ * Photo Coloring Converter - Line Art Editor
+ * Brush touch-ups on processed pages: erase stray lines, restore lines from the
+ * raw edge map and draw freehand lines, with undo/redo
+ * Edits are kept as a mask layer on the result; the SVG generator traces the
+ * line art with the mask applied
+ */
+
+class LineArtBrushEditor {
+    constructor() {
+        this.editorSettings = {
+            defaultBrushSize: 12,  // Brush diameter in image pixels
+            minBrushSize: 2,
+            maxBrushSize: 80,
+            historyLimit: 30       // Undo steps kept per editing session
+        };
+
+        // Mask values: which brush last painted a pixel
+        this.maskValues = { none: 0, erase: 1, restore: 2, draw: 3 };
+
+        this.activeEditor = null;
+
+        this.initializeEditor();
+    }
+
+    /**
+     * Initialize the line art editor
+     */
+    initializeEditor() {
+        document.addEventListener('keydown', (event) => {
+            if (!this.activeEditor) return;
+
+            if (event.key === 'Escape') {
+                event.stopPropagation();
+                this.closeEditor();
+                return;
+            }
+
+            const key = event.key.toLowerCase();
+            if (!(event.ctrlKey || event.metaKey)) return;
+
+            if (key === 'z' && !event.shiftKey) {
+                event.preventDefault();
+                this.undo(this.activeEditor);
+            } else if (key === 'y' || (key === 'z' && event.shiftKey)) {
+                event.preventDefault();
+                this.redo(this.activeEditor);
+            }
+        }, true);
+
+        console.log('Line Art Editor initialized');
+    }
+
+    /**
+     * Check whether a result carries brush edits
+     * @param {Object} result - Processing result
+     * @returns {boolean} True when a mask layer is stored
+     */
+    hasEdits(result) {
+        return Boolean(result && result.lineArtEdits);
+    }
+
+    /**
+     * Get the line art of a result with its brush edits applied
+     * @param {Object} result - Processing result
+     * @returns {ImageData} Edited line art (the processed image when unedited)
+     */
+    getEditedImageData(result) {
+        if (!this.hasEdits(result)) return result.processedImageData;
+
+        const edits = result.lineArtEdits;
+        const output = new ImageData(
+            new Uint8ClampedArray(result.processedImageData.data),
+            result.processedImageData.width,
+            result.processedImageData.height
+        );
+
+        this.compositeRegion(output, result.processedImageData, edits.edgeMap, edits.mask,
+            0, 0, output.width, output.height);
+
+        return output;
+    }
+
+    /**
+     * Apply the mask to part of the line art
+     * @param {ImageData} output - Image written in place
+     * @param {ImageData} base - Unedited line art
+     * @param {ImageData|null} edgeMap - Raw edge map for restored pixels
+     * @param {Uint8Array} mask - Brush mask
+     * @param {number} left - Region left edge
+     * @param {number} top - Region top edge
+     * @param {number} right - Region right edge (exclusive)
+     * @param {number} bottom - Region bottom edge (exclusive)
+     */
+    compositeRegion(output, base, edgeMap, mask, left, top, right, bottom) {
+        const width = output.width;
+        const data = output.data;
+        const baseData = base.data;
+
+        for (let y = top; y < bottom; y++) {
+            for (let x = left; x < right; x++) {
+                const i = y * width + x;
+                const offset = i * 4;
+                let value;
+
+                switch (mask[i]) {
+                    case this.maskValues.erase:
+                        value = 255;
+                        break;
+                    case this.maskValues.restore:
+                        value = edgeMap ? Math.min(baseData[offset], edgeMap.data[offset]) : baseData[offset];
+                        break;
+                    case this.maskValues.draw:
+                        value = 0;
+                        break;
+                    default:
+                        data[offset] = baseData[offset];
+                        data[offset + 1] = baseData[offset + 1];
+                        data[offset + 2] = baseData[offset + 2];
+                        data[offset + 3] = baseData[offset + 3];
+                        continue;
+                }
+
+                data[offset] = value;
+                data[offset + 1] = value;
+                data[offset + 2] = value;
+                data[offset + 3] = 255;
+            }
+        }
+    }
+
+    /**
+     * Open the brush editor for a result
+     * @param {Object} result - Processing result
+     * @param {HTMLElement} card - Result card that opened the editor
+     */
+    async openEditor(result, card) {
+        if (!result || !window.ImageProcessor) return;
+
+        this.closeEditor();
+
+        const base = result.processedImageData;
+        const state = {
+            result: result,
+            card: card,
+            tool: 'erase',
+            brushSize: this.editorSettings.defaultBrushSize,
+            mask: result.lineArtEdits ? new Uint8Array(result.lineArtEdits.mask) : new Uint8Array(base.width * base.height),
+            edgeMap: result.lineArtEdits ? result.lineArtEdits.edgeMap : null,
+            display: new ImageData(new Uint8ClampedArray(base.data), base.width, base.height),
+            undoStack: [],
+            redoStack: [],
+            modal: this.createModal(result)
+        };
+        this.activeEditor = state;
+        document.body.appendChild(state.modal);
+
+        const canvas = state.modal.querySelector('.line-art-canvas');
+        canvas.width = base.width;
+        canvas.height = base.height;
+        this.compositeRegion(state.display, base, state.edgeMap, state.mask, 0, 0, base.width, base.height);
+        canvas.getContext('2d').putImageData(state.display, 0, 0);
+
+        this.setupControls(state);
+        this.setupPainting(state);
+        this.updateToolbar(state);
+
+        if (!state.edgeMap) {
+            this.setStatus(state, 'Preparing edge map for the restore brush...');
+
+            // Let the dialog paint before the edge detector blocks the thread
+            await new Promise(resolve => setTimeout(resolve, 30));
+
+            try {
+                state.edgeMap = this.createEdgeMap(result);
+            } catch (error) {
+                console.error('Could not compute the edge map:', error);
+            }
+
+            if (this.activeEditor !== state) return;
+            this.setStatus(state, state.edgeMap ? null : 'Restore brush unavailable for this page');
+        }
+    }
+
+    /**
+     * Compute the raw edge map of a result with its page settings
+     * @param {Object} result - Processing result
+     * @returns {ImageData|null} Edge map, or null when the sizes do not match
+     */
+    createEdgeMap(result) {
+        const effective = window.ImageOverrides
+            ? window.ImageOverrides.resolveResultSettings(result)
+            : { settings: window.AppState.currentSettings, processingSettings: window.ImageProcessor.processingSettings };
+
+        // Paint-by-number lines are the region borders themselves
+        if (result.regionMap && effective.settings.outputStyle === 'paintByNumber') {
+            return result.processedImageData;
+        }
+
+        const engine = window.ImageProcessor.withProcessingSettings(effective.processingSettings);
+        const edgeMap = engine.createEdgeMap(result.originalImageData, effective.settings);
+
+        const base = result.processedImageData;
+        return edgeMap.width === base.width && edgeMap.height === base.height ? edgeMap : null;
+    }
+
+    /**
+     * Close the active editor without saving
+     */
+    closeEditor() {
+        if (this.activeEditor) {
+            this.activeEditor.modal.remove();
+            this.activeEditor = null;
+        }
+    }
+
+    /**
+     * Build the editor dialog
+     * @param {Object} result - Processing result
+     * @returns {HTMLElement} Modal element
+     */
+    createModal(result) {
+        const modal = document.createElement('div');
+        modal.className = 'photo-editor-modal line-art-editor-modal';
+        modal.setAttribute('role', 'dialog');
+        modal.setAttribute('aria-modal', 'true');
+
+        modal.innerHTML = `
+            <div class="photo-editor line-art-editor">
+                <h3>Touch up lines</h3>
+                <p class="file-name"></p>
+                <div class="photo-editor-tools" role="group" aria-label="Brush">
+                    <button type="button" class="preset-btn" data-tool="erase" title="Remove stray lines">🧽 Erase</button>
+                    <button type="button" class="preset-btn" data-tool="restore" title="Bring back lines from the edge map">🔁 Restore</button>
+                    <button type="button" class="preset-btn" data-tool="draw" title="Draw freehand lines">✏️ Draw</button>
+                </div>
+                <label class="photo-editor-straighten">
+                    Brush size <output class="brush-size-value"></output>
+                    <input type="range" class="advanced-input brush-size-input"
+                           min="${this.editorSettings.minBrushSize}" max="${this.editorSettings.maxBrushSize}" step="1">
+                </label>
+                <div class="line-art-stage">
+                    <canvas class="line-art-canvas"></canvas>
+                    <div class="comparison-status" hidden></div>
+                </div>
+                <div class="photo-editor-actions">
+                    <button type="button" class="preset-btn" data-action="undo" title="Undo (Ctrl+Z)">↶ Undo</button>
+                    <button type="button" class="preset-btn" data-action="redo" title="Redo (Ctrl+Y)">↷ Redo</button>
+                    <button type="button" class="preset-btn" data-action="clear">↩️ Clear edits</button>
+                    <button type="button" class="preset-btn" data-action="cancel">Cancel</button>
+                    <button type="button" class="preset-btn primary" data-action="apply">✅ Apply</button>
+                </div>
+            </div>
+        `;
+
+        modal.querySelector('.file-name').textContent = result.metadata.filename;
+
+        // Clicking the backdrop cancels
+        modal.addEventListener('click', (event) => {
+            if (event.target === modal) this.closeEditor();
+        });
+
+        return modal;
+    }
+
+    /**
+     * Wire the tool, brush size and dialog buttons
+     * @param {Object} state - Editor state
+     */
+    setupControls(state) {
+        const modal = state.modal;
+        const sizeInput = modal.querySelector('.brush-size-input');
+        sizeInput.value = state.brushSize;
+
+        modal.querySelectorAll('[data-tool]').forEach(button => {
+            button.addEventListener('click', () => {
+                state.tool = button.dataset.tool;
+                this.updateToolbar(state);
+            });
+        });
+
+        sizeInput.addEventListener('input', () => {
+            state.brushSize = parseInt(sizeInput.value, 10) || this.editorSettings.defaultBrushSize;
+            this.updateToolbar(state);
+        });
+
+        modal.querySelectorAll('[data-action]').forEach(button => {
+            button.addEventListener('click', () => {
+                switch (button.dataset.action) {
+                    case 'undo':
+                        this.undo(state);
+                        break;
+                    case 'redo':
+                        this.redo(state);
+                        break;
+                    case 'clear':
+                        this.pushHistory(state);
+                        state.mask.fill(0);
+                        this.redraw(state);
+                        break;
+                    case 'cancel':
+                        this.closeEditor();
+                        break;
+                    case 'apply':
+                        this.applyEditor(state);
+                        break;
+                }
+            });
+        });
+    }
+
+    /**
+     * Paint strokes into the mask while the pointer is down
+     * @param {Object} state - Editor state
+     */
+    setupPainting(state) {
+        const canvas = state.modal.querySelector('.line-art-canvas');
+
+        const toImage = (event) => {
+            const rect = canvas.getBoundingClientRect();
+            return {
+                x: ((event.clientX - rect.left) / rect.width) * canvas.width,
+                y: ((event.clientY - rect.top) / rect.height) * canvas.height
+            };
+        };
+
+        canvas.addEventListener('pointerdown', (event) => {
+            if (event.button !== 0) return;
+
+            event.preventDefault();
+            canvas.setPointerCapture(event.pointerId);
+            this.pushHistory(state);
+
+            let last = toImage(event);
+            this.paintSegment(state, last, last);
+
+            const onMove = (moveEvent) => {
+                const point = toImage(moveEvent);
+                this.paintSegment(state, last, point);
+                last = point;
+            };
+            const onUp = () => {
+                canvas.removeEventListener('pointermove', onMove);
+                canvas.removeEventListener('pointerup', onUp);
+                canvas.removeEventListener('pointercancel', onUp);
+                this.updateToolbar(state);
+            };
+
+            canvas.addEventListener('pointermove', onMove);
+            canvas.addEventListener('pointerup', onUp);
+            canvas.addEventListener('pointercancel', onUp);
+        });
+    }
+
+    /**
+     * Stamp the brush along a segment and redraw the touched area
+     * @param {Object} state - Editor state
+     * @param {Object} from - Segment start in image pixels
+     * @param {Object} to - Segment end in image pixels
+     */
+    paintSegment(state, from, to) {
+        const width = state.display.width;
+        const height = state.display.height;
+        const radius = state.brushSize / 2;
+        const value = this.maskValues[state.tool];
+
+        const left = Math.max(0, Math.floor(Math.min(from.x, to.x) - radius));
+        const top = Math.max(0, Math.floor(Math.min(from.y, to.y) - radius));
+        const right = Math.min(width, Math.ceil(Math.max(from.x, to.x) + radius) + 1);
+        const bottom = Math.min(height, Math.ceil(Math.max(from.y, to.y) + radius) + 1);
+        if (left >= right || top >= bottom) return;
+
+        const dx = to.x - from.x;
+        const dy = to.y - from.y;
+        const lengthSquared = dx * dx + dy * dy;
+
+        // Capsule test: distance from the pixel centre to the segment
+        for (let y = top; y < bottom; y++) {
+            for (let x = left; x < right; x++) {
+                const px = x + 0.5 - from.x;
+                const py = y + 0.5 - from.y;
+                const t = lengthSquared > 0 ? this.clamp((px * dx + py * dy) / lengthSquared, 0, 1) : 0;
+                const ex = px - t * dx;
+                const ey = py - t * dy;
+
+                if (ex * ex + ey * ey <= radius * radius) {
+                    state.mask[y * width + x] = value;
+                }
+            }
+        }
+
+        this.redraw(state, left, top, right, bottom);
+    }
+
+    /**
+     * Recomposite and draw a region of the editor canvas (everything by default)
+     * @param {Object} state - Editor state
+     * @param {number} left - Region left edge
+     * @param {number} top - Region top edge
+     * @param {number} right - Region right edge (exclusive)
+     * @param {number} bottom - Region bottom edge (exclusive)
+     */
+    redraw(state, left = 0, top = 0, right = state.display.width, bottom = state.display.height) {
+        this.compositeRegion(state.display, state.result.processedImageData, state.edgeMap, state.mask,
+            left, top, right, bottom);
+
+        const canvas = state.modal.querySelector('.line-art-canvas');
+        canvas.getContext('2d').putImageData(state.display, 0, 0, left, top, right - left, bottom - top);
+    }
+
+    /**
+     * Remember the mask before a change
+     * @param {Object} state - Editor state
+     */
+    pushHistory(state) {
+        state.undoStack.push(new Uint8Array(state.mask));
+        if (state.undoStack.length > this.editorSettings.historyLimit) {
+            state.undoStack.shift();
+        }
+        state.redoStack = [];
+        this.updateToolbar(state);
+    }
+
+    /**
+     * Undo the last stroke
+     * @param {Object} state - Editor state
+     */
+    undo(state) {
+        if (state.undoStack.length === 0) return;
+
+        state.redoStack.push(state.mask);
+        state.mask = state.undoStack.pop();
+        this.redraw(state);
+        this.updateToolbar(state);
+    }
+
+    /**
+     * Redo the last undone stroke
+     * @param {Object} state - Editor state
+     */
+    redo(state) {
+        if (state.redoStack.length === 0) return;
+
+        state.undoStack.push(state.mask);
+        state.mask = state.redoStack.pop();
+        this.redraw(state);
+        this.updateToolbar(state);
+    }
+
+    /**
+     * Reflect the tool, brush size and history state in the controls
+     * @param {Object} state - Editor state
+     */
+    updateToolbar(state) {
+        const modal = state.modal;
+
+        modal.querySelectorAll('[data-tool]').forEach(button => {
+            button.classList.toggle('primary', button.dataset.tool === state.tool);
+        });
+        modal.querySelector('.brush-size-value').textContent = `${state.brushSize}px`;
+        modal.querySelector('[data-action="undo"]').disabled = state.undoStack.length === 0;
+        modal.querySelector('[data-action="redo"]').disabled = state.redoStack.length === 0;
+        modal.querySelector('.line-art-canvas').dataset.tool = state.tool;
+    }
+
+    /**
+     * Show or hide the status overlay
+     * @param {Object} state - Editor state
+     * @param {string|null} message - Status text, or null to hide
+     */
+    setStatus(state, message) {
+        const status = state.modal.querySelector('.comparison-status');
+        status.hidden = !message;
+        status.textContent = message || '';
+    }
+
+    /**
+     * Store the mask on the result and refresh its card
+     * @param {Object} state - Editor state
+     */
+    applyEditor(state) {
+        const result = state.result;
+
+        // Edited vector paths were traced from the old line art
+        if (result.editedVectorPaths) {
+            if (!confirm('Touching up the lines re-traces this page and discards its path edits. Continue?')) {
+                return;
+            }
+            window.PathEditor.clearEdits(result, state.card);
+        }
+
+        if (state.mask.some(value => value !== this.maskValues.none)) {
+            result.lineArtEdits = { mask: state.mask, edgeMap: state.edgeMap };
+        } else {
+            delete result.lineArtEdits;
+        }
+
+        this.updateCard(state);
+        this.closeEditor();
+
+        console.log(`Line art edits ${this.hasEdits(result) ? 'saved' : 'cleared'}: ${result.metadata.filename}`);
+    }
+
+    /**
+     * Show the edited line art and a "Touched up" badge on the result card
+     * @param {Object} state - Editor state
+     */
+    updateCard(state) {
+        const card = state.card;
+        const result = state.result;
+        if (!card) return;
+
+        const preview = card.querySelector('.result-preview');
+        if (preview) {
+            const edited = { ...result, processedImageData: this.getEditedImageData(result) };
+            preview.innerHTML = '';
+
+            if (window.ComparisonViewer) {
+                preview.appendChild(window.ComparisonViewer.createViewer(edited));
+            } else {
+                const canvas = document.createElement('canvas');
+                canvas.width = edited.processedImageData.width;
+                canvas.height = edited.processedImageData.height;
+                canvas.getContext('2d').putImageData(edited.processedImageData, 0, 0);
+                canvas.style.maxWidth = '100%';
+                preview.appendChild(canvas);
+            }
+        }
+
+        let badge = card.querySelector('.line-art-badge');
+        if (this.hasEdits(result)) {
+            if (!badge) {
+                badge = document.createElement('span');
+                badge.className = 'override-badge line-art-badge';
+                badge.textContent = 'Touched up';
+                card.insertBefore(badge, card.firstChild);
+            }
+        } else if (badge) {
+            badge.remove();
+        }
+    }
+
+    /**
+     * Clamp a value to a range
+     * @param {number} value - Value
+     * @param {number} min - Minimum
+     * @param {number} max - Maximum
+     * @returns {number} Clamped value
+     */
+    clamp(value, min, max) {
+        return Math.min(max, Math.max(min, value));
+    }
+}
+
+// Initialize global line art editor
+window.LineArtEditor = new LineArtBrushEditor();
+
+console.log('Line Art Editor loaded successfully');
@@ -0,0 +1,225 @@
+/**
+ * Photo Coloring Converter - Live Preview
+ * Re-runs the processing pipeline on a downscaled copy of the selected photo
+ * whenever a style setting changes, so the effect is visible before converting
+ */
+
+class LivePreviewRenderer {
+    constructor() {
+        this.previewSettings = {
+            maxSize: 400,          // Longest side of the preview image in pixels
+            debounceDelay: 250,    // Wait for the user to stop changing settings
+            triggerSettings: ['complexityLevel', 'lineWeight', 'outputStyle', 'edgeMethod', 'paletteSize']
+        };
+
+        this.selectedIndex = 0;
+        this.sourceCache = null;   // { file, imageData } for the selected photo
+        this.debounceTimer = null;
+        this.activeController = null;
+
+        this.initializePreview();
+    }
+
+    /**
+     * Initialize the live preview and subscribe to settings changes
+     */
+    initializePreview() {
+        document.addEventListener('settings:changed', (event) => {
+            // Advanced engine parameters always affect the result
+            if (event.detail.advanced || this.previewSettings.triggerSettings.includes(event.detail.setting)) {
+                this.schedulePreview();
+            }
+        });
+
+        console.log('Live Preview initialized');
+    }
+
+    /**
+     * Select the photo shown in the live preview and render it
+     * @param {number} index - Index into the selected files
+     */
+    selectPhoto(index) {
+        if (index === this.selectedIndex && this.sourceCache) return;
+
+        this.selectedIndex = index;
+        this.sourceCache = null;
+
+        document.querySelectorAll('#previewGrid .preview-card').forEach(card => {
+            card.classList.toggle('selected', Number(card.dataset.index) === index);
+        });
+
+        this.schedulePreview(0);
+    }
+
+    /**
+     * Forget the current photo (called when a new set of files is selected)
+     */
+    reset() {
+        this.cancelPending();
+        this.selectedIndex = 0;
+        this.sourceCache = null;
+
+        const container = document.getElementById('livePreview');
+        if (container) container.style.display = 'none';
+    }
+
+    /**
+     * Debounce preview rendering
+     * @param {number} delay - Delay in milliseconds (defaults to the debounce delay)
+     */
+    schedulePreview(delay = this.previewSettings.debounceDelay) {
+        clearTimeout(this.debounceTimer);
+        this.debounceTimer = setTimeout(() => {
+            this.renderPreview().catch(error => {
+                if (error.name === 'AbortError') return;
+                console.error('Live preview failed:', error);
+                this.setStatus('Preview unavailable');
+            });
+        }, delay);
+    }
+
+    /**
+     * Cancel a scheduled or running preview
+     */
+    cancelPending() {
+        clearTimeout(this.debounceTimer);
+        if (this.activeController) {
+            this.activeController.abort();
+            this.activeController = null;
+        }
+    }
+
+    /**
+     * Run the pipeline on the downscaled selected photo and draw the result
+     */
+    async renderPreview() {
+        const files = window.AppState.selectedFiles || [];
+        const file = files[this.selectedIndex];
+
+        // Full conversions own the worker pool; the preview waits for the next change
+        if (!file || window.AppState.isProcessing || !window.ImageProcessor) return;
+
+        // Newer settings supersede a preview that is still running
+        if (this.activeController) this.activeController.abort();
+        const controller = new AbortController();
+        this.activeController = controller;
+
+        const container = document.getElementById('livePreview');
+        if (container) container.style.display = 'block';
+        this.setStatus('Updating preview...');
+
+        const startTime = performance.now();
+        let source = await this.loadPreviewSource(file);
+
+        // Crop/rotate edits are stored in relative units, so they apply at preview size too
+        if (window.PhotoEdits) {
+            source = window.ImageProcessor.applyPhotoEdits(source, window.PhotoEdits.getEdits(file));
+        }
+
+        // Preview the photo with its own overrides, if any
+        const effective = window.ImageOverrides
+            ? window.ImageOverrides.resolveSettings(file)
+            : { settings: { ...window.AppState.currentSettings } };
+
+        const processed = await window.ImageProcessor.runPipeline(
+            source,
+            effective.settings,
+            { signal: controller.signal, yieldToUI: false, processingSettings: effective.processingSettings }
+        );
+
+        if (controller.signal.aborted) return;
+        this.activeController = null;
+
+        this.drawPreview(processed);
+        this.setStatus(null);
+
+        console.log(`Live preview updated in ${Math.round(performance.now() - startTime)}ms`);
+    }
+
+    /**
+     * Decode the selected photo at preview size (cached per file)
+     * @param {File} file - Image file
+     * @returns {Promise<ImageData>} Downscaled image data
+     */
+    async loadPreviewSource(file) {
+        if (this.sourceCache && this.sourceCache.file === file) {
+            return this.sourceCache.imageData;
+        }
+
+        const image = await this.decodeImage(file);
+        const scale = Math.min(1, this.previewSettings.maxSize / Math.max(image.width, image.height));
+
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round(image.width * scale));
+        canvas.height = Math.max(1, Math.round(image.height * scale));
+
+        const context = canvas.getContext('2d');
+        context.imageSmoothingQuality = 'high';
+        context.drawImage(image, 0, 0, canvas.width, canvas.height);
+        if (image.close) image.close();
+
+        let imageData = context.getImageData(0, 0, canvas.width, canvas.height);
+        if (window.ExifReader) {
+            imageData = (await window.ExifReader.orientImageData(file, imageData)).imageData;
+        }
+        this.sourceCache = { file, imageData };
+
+        return imageData;
+    }
+
+    /**
+     * Decode an image file
+     * @param {File} file - Image file
+     * @returns {Promise<ImageBitmap|HTMLImageElement>} Decoded image
+     */
+    decodeImage(file) {
+        if (typeof createImageBitmap === 'function') {
+            return createImageBitmap(file);
+        }
+
+        return new Promise((resolve, reject) => {
+            const url = URL.createObjectURL(file);
+            const img = new Image();
+
+            img.onload = () => {
+                URL.revokeObjectURL(url);
+                resolve(img);
+            };
+            img.onerror = () => {
+                URL.revokeObjectURL(url);
+                reject(new Error(`Failed to load image: ${file.name}`));
+            };
+            img.src = url;
+        });
+    }
+
+    /**
+     * Draw processed image data into the preview canvas
+     * @param {ImageData} imageData - Processed preview
+     */
+    drawPreview(imageData) {
+        const canvas = document.getElementById('livePreviewCanvas');
+        if (!canvas) return;
+
+        canvas.width = imageData.width;
+        canvas.height = imageData.height;
+        canvas.getContext('2d').putImageData(imageData, 0, 0);
+    }
+
+    /**
+     * Show or hide the preview status overlay
+     * @param {string|null} message - Status text, or null to hide
+     */
+    setStatus(message) {
+        const status = document.getElementById('livePreviewStatus');
+        if (!status) return;
+
+        status.hidden = !message;
+        status.textContent = message || '';
+    }
+}
+
+// Initialize global live preview
+window.LivePreview = new LivePreviewRenderer();
+
+console.log('Live Preview loaded successfully');
@@ -18,6 +18,7 @@ class ApplicationController {
         this.isInitialized = false;
         this.currentStage = 'ready'; // ready, processing, complete
         this.processingQueue = [];
+        this.activeOperation = null; // { kind, controller } for cancellable work
         
         this.initializeController();
     }
@@ -257,7 +258,7 @@ class ApplicationController {
         
         // Escape: Reset/cancel
         if (event.key === 'Escape') {
-            if (window.AppState.isProcessing) {
+            if (this.activeOperation) {
                 this.cancelProcessing();
             } else {
                 this.resetApplication();
@@ -319,6 +320,12 @@ class ApplicationController {
             return;
         }
 
+        // One cancellable operation at a time: an export would lose its controller
+        if (this.activeOperation) {
+            console.log(`Cannot start processing while ${this.activeOperation.kind} is running`);
+            return;
+        }
+
         if (window.AppState.selectedFiles.length === 0) {
             alert('Please select some photos first!');
             return;
@@ -339,15 +346,133 @@ class ApplicationController {
             console.log('Starting image processing pipeline...');
             
             // Process images through the pipeline
-            await window.ImageProcessor.processImages(window.AppState.selectedFiles);
+            const signal = this.beginOperation('processing');
+            await window.ImageProcessor.processImages(window.AppState.selectedFiles, { signal });
             
             // Processing completed successfully
             this.handleProcessingComplete();
             
         } catch (error) {
-            console.error('Processing failed:', error);
-            this.handleProcessingError(error);
+            if (error.name === 'AbortError') {
+                this.handleProcessingCancelled(error);
+            } else {
+                console.error('Processing failed:', error);
+                this.handleProcessingError(error);
+            }
+        } finally {
+            this.endOperation();
+        }
+    }
+
+    /**
+     * Start a cancellable operation
+     * @param {string} kind - Operation kind ('processing' or 'export')
+     * @returns {AbortSignal} Signal to pass to the module performing the work
+     */
+    beginOperation(kind) {
+        this.activeOperation = { kind, controller: new AbortController() };
+        
+        // Processing cancels from the progress panel; exports get their own button
+        if (kind === 'export') {
+            this.setExportCancelVisible(true);
         }
+        
+        return this.activeOperation.controller.signal;
+    }
+
+    /**
+     * Finish the current cancellable operation
+     */
+    endOperation() {
+        this.activeOperation = null;
+        window.AppState.cancelled = false;
+        this.setExportCancelVisible(false);
+    }
+
+    /**
+     * Show or hide the export Cancel button
+     * @param {boolean} visible - Whether an export is running
+     */
+    setExportCancelVisible(visible) {
+        const exportCancelBtn = document.getElementById('exportCancelBtn');
+        
+        if (exportCancelBtn) {
+            exportCancelBtn.style.display = visible ? 'inline-block' : 'none';
+        }
+    }
+
+    /**
+     * Run an export task with cancellation support
+     * @param {string} label - Export name for logging
+     * @param {Function} task - Receives { signal } and performs the export
+     */
+    async runExport(label, task) {
+        if (this.activeOperation) {
+            console.log(`Cannot start ${label} export while another operation is running`);
+            return;
+        }
+        
+        if (window.AppState.processedImages.length === 0) {
+            alert('Please convert some photos first!');
+            return;
+        }
+        
+        const signal = this.beginOperation('export');
+        document.body.classList.add('exporting');
+        this.dispatchEvent('export:started', { format: label });
+        
+        try {
+            await task({ signal });
+            this.dispatchEvent('export:completed', { format: label });
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                console.log(`${label} export cancelled`);
+                this.dispatchEvent('export:cancelled', { format: label });
+                alert('Export cancelled. Nothing was downloaded.');
+            } else {
+                console.error(`${label} export failed:`, error);
+            }
+        } finally {
+            document.body.classList.remove('exporting');
+            this.endOperation();
+        }
+    }
+
+    /**
+     * Export processed images as PDF
+     */
+    exportPDF() {
+        return this.runExport('PDF', options =>
+            window.PDFExporter.generatePDF(window.AppState.processedImages, options)
+        );
+    }
+
+    /**
+     * Export one processed page as a poster tiled across several sheets
+     * @param {Object} result - Processing result of the page
+     */
+    exportPoster(result) {
+        return this.runExport('Poster', options =>
+            window.PDFExporter.generatePoster(result, options)
+        );
+    }
+
+    /**
+     * Export processed images as SVG files
+     */
+    exportSVG() {
+        return this.runExport('SVG', options =>
+            window.SVGGenerator.exportSVGFiles(window.AppState.processedImages, options)
+        );
+    }
+
+    /**
+     * Export the complete package archive
+     */
+    exportAll() {
+        return this.runExport('Package', options =>
+            window.PDFExporter.exportCompletePackage(window.AppState.processedImages, options)
+        );
     }
 
     /**
@@ -488,8 +613,10 @@ Your coloring pages are ready to download!`;
             timestamp: new Date().toISOString()
         });
         
-        // Show user-friendly error message
-        this.showErrorMessage(error);
+        // Show user-friendly error message (unless the module already did)
+        if (!error.userNotified) {
+            this.showErrorMessage(error);
+        }
     }
 
     /**
@@ -515,27 +642,48 @@ Your coloring pages are ready to download!`;
     }
 
     /**
-     * Cancel ongoing processing
+     * Cancel ongoing processing or export
+     * Modules stop at their next checkpoint and reject with an AbortError.
      */
     cancelProcessing() {
-        if (!window.AppState.isProcessing) return;
+        if (!this.activeOperation) return;
         
-        console.log('Cancelling processing...');
+        console.log(`Cancelling ${this.activeOperation.kind}...`);
         
-        // Set cancellation flag (modules should check this)
         window.AppState.cancelled = true;
+        this.activeOperation.controller.abort();
+    }
+
+    /**
+     * Handle cancelled processing, keeping or discarding partial results
+     * @param {DOMException} error - AbortError carrying partialResults
+     */
+    handleProcessingCancelled(error) {
+        const partialResults = error.partialResults || [];
+        const count = partialResults.length;
         
-        // Reset state after a delay to allow cleanup
-        setTimeout(() => {
-            window.AppState.isProcessing = false;
-            window.AppState.cancelled = false;
+        window.AppState.isProcessing = false;
+        document.body.classList.remove('processing');
+        
+        const keepPartial = count > 0 && confirm(
+            `Processing cancelled.\n\n${count} coloring page${count > 1 ? 's were' : ' was'} finished before you cancelled. ` +
+            'Keep them? Choose Cancel to discard them and start over.'
+        );
+        
+        if (keepPartial) {
+            window.AppState.processedImages = partialResults;
+            window.ImageProcessor.displayResults(partialResults);
+            this.currentStage = 'complete';
+            this.updateUIForComplete();
+        } else {
             this.currentStage = 'ready';
             this.resetUIState();
-            
-            this.dispatchEvent('processing:cancelled');
-        }, 1000);
+        }
         
-        alert('Processing cancelled. You can start over with new images.');
+        this.dispatchEvent('processing:cancelled', {
+            keptResults: keepPartial ? count : 0,
+            discardedResults: keepPartial ? 0 : count
+        });
     }
 
     /**
@@ -11,14 +11,26 @@ class PDFDocumentExporter {
             orientation: 'portrait',
             margins: { top: 20, right: 20, bottom: 20, left: 20 },
             dpi: 300,
-            colorMode: 'grayscale'
+            colorMode: 'grayscale',
+            imposition: 'single'   // 'single', '2up', '4up' or 'booklet'
         };
         
+        this.textFont = null; // Document font while a file is written (see withTextFont)
+        
         this.layoutSettings = {
             titleHeight: 15,
             footerHeight: 10,
             pageSpacing: 10,
-            contentPadding: 5
+            contentPadding: 5,
+            maxThumbnails: 12    // Page miniatures shown on the cover
+        };
+        
+        this.posterSettings = {
+            margin: 36,          // Unprinted border of each tile, holds crop marks and footer (points)
+            overlap: 28.35,      // Artwork repeated on the next tile for gluing (10 mm)
+            cropMarkOffset: 3,
+            cropMarkLength: 10,
+            locatorCellSize: 4   // Tile locator grid in the footer
         };
         
         this.initializeExporter();
@@ -41,26 +53,25 @@ class PDFDocumentExporter {
     /**
      * Generate PDF document from processed images
      * @param {Array} processedImages - Array of processed image data
+     * @param {Object} options - Generation options
+     * @param {AbortSignal} options.signal - Cancels generation before the download starts
      * @returns {Promise} PDF generation result
      */
-    async generatePDF(processedImages) {
+    async generatePDF(processedImages, options = {}) {
         console.log(`Generating PDF document with ${processedImages.length} pages`);
         
+        const signal = options.signal;
+        
         try {
             // Update settings from user preferences
             this.updateSettingsFromUI();
             
             // Convert images to SVG if needed
-            let svgData;
-            if (processedImages[0].svgDocument) {
-                svgData = processedImages;
-            } else {
-                console.log('Converting to SVG first...');
-                svgData = await window.SVGGenerator.convertToSVG(processedImages);
-            }
+            const svgData = await this.getSVGData(processedImages, signal);
             
             // Generate PDF content
-            const pdfDocument = await this.createPDFDocument(svgData);
+            const pdfDocument = await this.createPDFDocument(svgData, signal);
+            this.throwIfAborted(signal);
             
             // Download the PDF
             await this.downloadPDF(pdfDocument);
@@ -69,12 +80,72 @@ class PDFDocumentExporter {
             return pdfDocument;
             
         } catch (error) {
+            if (error.name === 'AbortError') {
+                console.log('PDF generation cancelled');
+                throw error;
+            }
+            
             console.error('PDF generation failed:', error);
             this.handlePDFError(error);
             throw error;
         }
     }
 
+    /**
+     * Generate a poster PDF: one coloring page enlarged across several sheets
+     * The first page is an assembly map; every tile after it is printed one per sheet.
+     * @param {Object} processedImage - Processing result of the page
+     * @param {Object} options - Generation options
+     * @param {AbortSignal} options.signal - Cancels generation before the download starts
+     * @returns {Promise<Object>} Poster document data
+     */
+    async generatePoster(processedImage, options = {}) {
+        const signal = options.signal;
+        
+        try {
+            this.updateSettingsFromUI();
+        
+            const [svgItem] = await this.getSVGData([processedImage], signal);
+            const grid = this.parsePosterGrid(window.AppState.currentSettings.posterSize);
+            console.log(`Generating ${grid.columns}×${grid.rows} poster of ${svgItem.originalImage.metadata.filename}`);
+        
+            const posterDocument = this.createPosterDocument(svgItem, grid);
+            const pdfContent = await this.generatePDFContent(posterDocument);
+            this.throwIfAborted(signal);
+        
+            const filename = this.getPosterFilename(svgItem.originalImage.metadata.filename, grid);
+            this.triggerPDFDownload(filename, pdfContent);
+            this.showPosterSuccess(posterDocument, filename);
+        
+            return posterDocument;
+        
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                console.log('Poster generation cancelled');
+                throw error;
+            }
+        
+            console.error('Poster generation failed:', error);
+            this.handlePDFError(error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get SVG conversion results, converting processed images if needed
+     * @param {Array} processedImages - Processed image data or SVG results
+     * @param {AbortSignal} signal - Cancellation signal
+     * @returns {Promise<Array>} SVG conversion results
+     */
+    async getSVGData(processedImages, signal) {
+        if (processedImages[0].svgDocument) {
+            return processedImages;
+        }
+        
+        console.log('Converting to SVG first...');
+        return window.SVGGenerator.convertToSVG(processedImages, { signal });
+    }
+
     /**
      * Update exporter settings from UI
      */
@@ -85,15 +156,20 @@ class PDFDocumentExporter {
             this.documentSettings.pageSize = settings.pageSize.toUpperCase();
         }
         
+        if (settings.pdfLayout) {
+            this.documentSettings.imposition = settings.pdfLayout;
+        }
+        
         console.log('PDF settings updated:', this.documentSettings);
     }
 
     /**
      * Create PDF document structure
      * @param {Array} svgData - SVG conversion results
+     * @param {AbortSignal} signal - Cancellation signal
      * @returns {Object} PDF document data
      */
-    async createPDFDocument(svgData) {
+    async createPDFDocument(svgData, signal) {
         const doc = {
             info: this.createDocumentInfo(),
             pages: [],
@@ -110,11 +186,20 @@ class PDFDocumentExporter {
         }
         
         // Generate content pages
+        const answerKeys = [];
         for (let i = 0; i < svgData.length; i++) {
+            this.throwIfAborted(signal);
             const page = await this.createContentPage(svgData[i], i + 1, svgData.length);
             doc.pages.push(page);
+            
+            if (page.regionMap && page.legendPlacement === 'answerKey') {
+                answerKeys.push(this.createAnswerKeyPage(page));
+            }
         }
         
+        // Paint-by-number answer keys go at the back so they do not give the colors away
+        doc.pages.push(...answerKeys);
+        
         return doc;
     }
 
@@ -154,7 +239,12 @@ class PDFDocumentExporter {
                 title: settings.projectTitle || 'Creative Coloring Pages',
                 subtitle: `${svgData.length} Pages of Coloring Fun`,
                 description: 'Generated from your photos using advanced image processing',
-                thumbnails: svgData.slice(0, 4), // Show first 4 as preview
+                thumbnails: svgData.slice(0, this.layoutSettings.maxThumbnails).map((svgItem, index) => ({
+                    pageNumber: index + 1,
+                    vectorPaths: svgItem.vectorPaths || [],
+                    lineWeight: (svgItem.settings || settings).lineWeight,
+                    outputStyle: (svgItem.settings || settings).outputStyle
+                })),
                 instructions: [
                     'Use crayons, colored pencils, or markers',
                     'Stay within the lines for best results',
@@ -171,7 +261,7 @@ class PDFDocumentExporter {
     /**
      * Calculate cover page layout
      * @param {Object} pageSize - Page dimensions
-     * @returns {Object} Layout specifications
+     * @returns {Object} Layout specifications (areas with top-left origin, points)
      */
     calculateCoverLayout(pageSize) {
         const margins = this.documentSettings.margins;
@@ -210,14 +300,31 @@ class PDFDocumentExporter {
     async createContentPage(svgItem, pageNumber, totalPages) {
         const pageSize = this.pageDimensions[this.documentSettings.pageSize];
         const settings = window.AppState.currentSettings;
+        const pageSettings = svgItem.settings || settings; // Includes per-image overrides
+        const regionMap = window.SVGGenerator.getPageRegionMap(svgItem.originalImage, pageSettings);
+        const legendPlacement = settings.pbnLegend || 'page';
+        const layout = this.calculateContentLayout(pageSize);
+        
+        // The on-page legend takes the bottom of the content area
+        let legend = null;
+        if (regionMap && legendPlacement === 'page') {
+            legend = this.calculateLegendArea(regionMap.palette, layout.contentArea);
+            layout.contentArea.height -= legend.height;
+        }
         
         const contentPage = {
             type: 'content',
             pageNumber: pageNumber,
             dimensions: pageSize,
             svgContent: svgItem.svgString,
+            vectorPaths: svgItem.vectorPaths || [],
+            lineWeight: pageSettings.lineWeight,
+            outputStyle: pageSettings.outputStyle,
             originalImage: svgItem.originalImage.metadata,
-            layout: this.calculateContentLayout(pageSize),
+            regionMap: regionMap,
+            legendPlacement: legendPlacement,
+            legend: legend,
+            layout: layout,
             header: {
                 title: settings.projectTitle || 'Coloring Page',
                 pageInfo: totalPages > 1 ? `Page ${pageNumber} of ${totalPages}` : ''
@@ -232,6 +339,291 @@ class PDFDocumentExporter {
         return contentPage;
     }
 
+    /**
+     * Create the answer key page of a paint-by-number page
+     * Shows the picture filled with its palette colors, the numbered outlines and the legend.
+     * @param {Object} contentPage - Paint-by-number content page
+     * @returns {Object} Answer key page data
+     */
+    createAnswerKeyPage(contentPage) {
+        const pageSize = contentPage.dimensions;
+        const layout = this.calculateContentLayout(pageSize);
+        const legend = this.calculateLegendArea(contentPage.regionMap.palette, layout.contentArea);
+        layout.contentArea.height -= legend.height;
+        
+        return {
+            ...contentPage,
+            type: 'answerKey',
+            image: this.createRegionImage(contentPage.regionMap, 1200),
+            legend: legend,
+            layout: layout,
+            header: {
+                title: `Answer Key: ${contentPage.footer.filename}`,
+                pageInfo: contentPage.header.pageInfo ? `For page ${contentPage.pageNumber}` : ''
+            }
+        };
+    }
+
+    /**
+     * Place the paint-by-number legend at the bottom of a content area
+     * @param {Array} palette - Palette entries { number, rgb }
+     * @param {Object} contentArea - Content area (top-left origin, points)
+     * @returns {Object} Legend layout in points: { palette, x, y, columns, rows, cellWidth, rowHeight, swatchSize, height }
+     */
+    calculateLegendArea(palette, contentArea) {
+        const toPoints = 72 / 25.4;
+        const legend = window.SVGGenerator.calculateLegendLayout(palette, contentArea.width / toPoints);
+        
+        const height = legend.height * toPoints;
+        const width = legend.width * toPoints;
+        
+        return {
+            palette: palette,
+            x: contentArea.x + (contentArea.width - width) / 2,
+            y: contentArea.y + contentArea.height - legend.rows * legend.rowHeight * toPoints,
+            columns: legend.columns,
+            rows: legend.rows,
+            cellWidth: legend.cellWidth * toPoints,
+            rowHeight: legend.rowHeight * toPoints,
+            swatchSize: legend.swatchSize * toPoints,
+            height: height
+        };
+    }
+
+    /**
+     * Render a region map filled with its palette colors as a downscaled RGB raster
+     * @param {Object} regionMap - Paint-by-number region map
+     * @param {number} maxSize - Longest side of the raster in pixels
+     * @returns {Object} { width, height, data (RGB bytes, 8 bits per component) }
+     */
+    createRegionImage(regionMap, maxSize) {
+        const factor = Math.min(1, maxSize / Math.max(regionMap.width, regionMap.height));
+        const width = Math.max(1, Math.round(regionMap.width * factor));
+        const height = Math.max(1, Math.round(regionMap.height * factor));
+        
+        const white = [255, 255, 255];
+        const colors = regionMap.regions.map(region => {
+            const color = regionMap.palette[region.colorIndex];
+            return color ? color.rgb : white;
+        });
+        
+        const data = new Uint8Array(width * height * 3);
+        for (let y = 0; y < height; y++) {
+            const sourceY = Math.min(regionMap.height - 1, Math.floor((y + 0.5) / factor));
+            
+            for (let x = 0; x < width; x++) {
+                const sourceX = Math.min(regionMap.width - 1, Math.floor((x + 0.5) / factor));
+                const label = regionMap.labels[sourceY * regionMap.width + sourceX];
+                data.set(label >= 0 ? colors[label] : white, (y * width + x) * 3);
+            }
+        }
+        
+        return { width, height, data };
+    }
+
+    /**
+     * Read the poster grid setting
+     * @param {string} value - Grid as "columnsxrows", e.g. '3x3'
+     * @returns {Object} { columns, rows }
+     */
+    parsePosterGrid(value) {
+        const [columns, rows] = String(value || '').split('x').map(Number);
+        
+        return {
+            columns: columns > 0 ? columns : 3,
+            rows: rows > 0 ? rows : 3
+        };
+    }
+
+    /**
+     * Create the poster document: an assembly map followed by one page per tile
+     * @param {Object} svgItem - SVG conversion result of the page
+     * @param {Object} grid - Sheets across and down { columns, rows }
+     * @returns {Object} PDF document data
+     */
+    createPosterDocument(svgItem, grid) {
+        const settings = window.AppState.currentSettings;
+        const pageSettings = svgItem.settings || settings;
+        const vectorPaths = svgItem.vectorPaths || [];
+        const bounds = window.SVGGenerator.calculateOverallBounds(vectorPaths);
+        
+        if (vectorPaths.length === 0 || !(bounds.width > 0) || !(bounds.height > 0)) {
+            throw new Error('The page has no line art to print as a poster');
+        }
+        
+        const pageSize = this.pageDimensions[this.documentSettings.pageSize];
+        const layout = this.calculatePosterLayout(bounds, grid, pageSize);
+        const artwork = {
+            vectorPaths: vectorPaths,
+            lineWeight: pageSettings.lineWeight,
+            outputStyle: pageSettings.outputStyle,
+            regionMap: window.SVGGenerator.getPageRegionMap(svgItem.originalImage, pageSettings)
+        };
+        
+        const title = settings.projectTitle || 'Coloring Poster';
+        const pages = [this.createPosterMapPage(artwork, layout, title, svgItem.originalImage.metadata.filename)];
+        
+        for (let row = 0; row < grid.rows; row++) {
+            for (let column = 0; column < grid.columns; column++) {
+                pages.push({
+                    type: 'posterTile',
+                    pageNumber: pages.length,
+                    dimensions: layout.sheet,
+                    ...artwork,
+                    layout: layout,
+                    row: row,
+                    column: column
+                });
+            }
+        }
+        
+        return {
+            info: { ...this.createDocumentInfo(), title: `${title} (Poster)` },
+            pages: pages,
+            metadata: {
+                pageCount: pages.length,
+                createdAt: new Date().toISOString(),
+                // Tiles are printed at full size, one per sheet, whatever the PDF layout setting
+                settings: { ...this.documentSettings, imposition: 'single' },
+                poster: {
+                    columns: grid.columns,
+                    rows: grid.rows,
+                    widthCm: Math.round(layout.artworkWidth / 72 * 2.54),
+                    heightCm: Math.round(layout.artworkHeight / 72 * 2.54)
+                }
+            }
+        };
+    }
+
+    /**
+     * Calculate how the poster is split into tiles
+     * Neighbouring tiles share an overlap strip for gluing. Both sheet orientations
+     * are tried and the one that prints the artwork larger is used.
+     * @param {Object} bounds - Artwork bounds in image pixels
+     * @param {Object} grid - Sheets across and down { columns, rows }
+     * @param {Object} pageSize - Portrait page dimensions in points
+     * @returns {Object} { sheet, printable, step, posterWidth, posterHeight, overlap, columns, rows,
+     *     artworkWidth, artworkHeight, enlargement } (points, top-left origin)
+     */
+    calculatePosterLayout(bounds, grid, pageSize) {
+        const { margin, overlap } = this.posterSettings;
+        
+        const candidates = [pageSize, { width: pageSize.height, height: pageSize.width }].map(sheet => {
+            const printable = {
+                x: margin,
+                y: margin,
+                width: sheet.width - margin * 2,
+                height: sheet.height - margin * 2
+            };
+            const step = { x: printable.width - overlap, y: printable.height - overlap };
+            const posterWidth = step.x * grid.columns + overlap;
+            const posterHeight = step.y * grid.rows + overlap;
+        
+            return {
+                sheet,
+                printable,
+                step,
+                posterWidth,
+                posterHeight,
+                scale: Math.min(posterWidth / bounds.width, posterHeight / bounds.height)
+            };
+        });
+        
+        const layout = candidates[1].scale > candidates[0].scale ? candidates[1] : candidates[0];
+        
+        // Line weights grow with the picture, so the poster looks like the page enlarged
+        const contentArea = this.calculateContentLayout(pageSize).contentArea;
+        const pageScale = Math.min(contentArea.width / bounds.width, contentArea.height / bounds.height);
+        
+        return {
+            sheet: layout.sheet,
+            printable: layout.printable,
+            step: layout.step,
+            posterWidth: layout.posterWidth,
+            posterHeight: layout.posterHeight,
+            overlap: overlap,
+            columns: grid.columns,
+            rows: grid.rows,
+            artworkWidth: bounds.width * layout.scale,
+            artworkHeight: bounds.height * layout.scale,
+            enlargement: layout.scale / pageScale
+        };
+    }
+
+    /**
+     * Create the poster assembly map page
+     * @param {Object} artwork - Vector paths, line style and region map of the page
+     * @param {Object} layout - Poster layout (see calculatePosterLayout)
+     * @param {string} title - Project title
+     * @param {string} filename - Source image filename
+     * @returns {Object} Assembly map page data
+     */
+    createPosterMapPage(artwork, layout, title, filename) {
+        const sheet = layout.sheet;
+        const margins = this.documentSettings.margins;
+        const width = sheet.width - margins.left - margins.right;
+        const titleHeight = 70;
+        const instructionsHeight = 70;
+        
+        const mapArea = {
+            x: margins.left,
+            y: margins.top + titleHeight,
+            width: width,
+            height: sheet.height - margins.top - margins.bottom - titleHeight - instructionsHeight
+        };
+        
+        // Paint-by-number posters keep their color legend on the map
+        let legend = null;
+        if (artwork.regionMap) {
+            legend = this.calculateLegendArea(artwork.regionMap.palette, mapArea);
+            mapArea.height -= legend.height;
+        }
+        
+        const widthCm = Math.round(layout.artworkWidth / 72 * 2.54);
+        const heightCm = Math.round(layout.artworkHeight / 72 * 2.54);
+        
+        return {
+            type: 'posterMap',
+            pageNumber: 0,
+            dimensions: sheet,
+            ...artwork,
+            layout: layout,
+            mapArea: mapArea,
+            legend: legend,
+            content: {
+                title: title,
+                subtitle: `${filename} - ${layout.columns} × ${layout.rows} sheets, about ${widthCm} × ${heightCm} cm`,
+                instructions: [
+                    'Print every sheet at 100% scale (turn off "fit to page")',
+                    'Cut each sheet along its corner crop marks',
+                    'Lay the sheets out as shown above, starting with A1 at the top left',
+                    'Glue each sheet over its left and upper neighbours, up to their dashed lines'
+                ]
+            }
+        };
+    }
+
+    /**
+     * Label of a poster tile: row letter and column number, e.g. "B3"
+     * @param {number} row - Zero-based row
+     * @param {number} column - Zero-based column
+     * @returns {string} Tile label
+     */
+    getPosterTileLabel(row, column) {
+        return `${String.fromCharCode(65 + row)}${column + 1}`;
+    }
+
+    /**
+     * Get the download filename for a poster
+     * @param {string} sourceFilename - Source image filename
+     * @param {Object} grid - Sheets across and down { columns, rows }
+     * @returns {string} PDF filename
+     */
+    getPosterFilename(sourceFilename, grid) {
+        const baseName = sourceFilename.replace(/\.[^.]+$/, '') || 'coloring-page';
+        return `${baseName}-poster-${grid.columns}x${grid.rows}.pdf`;
+    }
+
     /**
      * Calculate content page layout
      * @param {Object} pageSize - Page dimensions
@@ -270,13 +662,11 @@ class PDFDocumentExporter {
      */
     async downloadPDF(pdfDocument) {
         try {
-            // Generate basic PDF structure
-            const pdfContent = this.generatePDFContent(pdfDocument);
+            // Generate the PDF file bytes
+            const pdfContent = await this.generatePDFContent(pdfDocument);
             
             // Create filename
-            const settings = window.AppState.currentSettings;
-            const timestamp = new Date().toISOString().split('T')[0];
-            const filename = `${settings.projectTitle || 'coloring-pages'}-${timestamp}.pdf`;
+            const filename = this.getPDFFilename();
             
             // Trigger download
             this.triggerPDFDownload(filename, pdfContent);
@@ -291,106 +681,479 @@ class PDFDocumentExporter {
     }
 
     /**
-     * Generate PDF content (simplified structure for demo)
+     * Get the download filename for the PDF document
+     * @returns {string} PDF filename
+     */
+    getPDFFilename() {
+        const settings = window.AppState.currentSettings;
+        const timestamp = new Date().toISOString().split('T')[0];
+        
+        return `${settings.projectTitle || 'coloring-pages'}-${timestamp}.pdf`;
+    }
+
+    /**
+     * Generate the PDF file
      * @param {Object} pdfDocument - PDF document data
-     * @returns {string} PDF content
-     */
-    generatePDFContent(pdfDocument) {
-        // This is a simplified PDF structure for demonstration
-        // In a production environment, you'd use a library like jsPDF or PDFKit
-        
-        const pdfVersion = '%PDF-1.4';
-        const objects = [];
-        let objectCounter = 1;
-        
-        // Document catalog
-        objects.push({
-            id: objectCounter++,
-            content: `<<
-/Type /Catalog
-/Pages ${objectCounter} 0 R
->>`
-        });
+     * @returns {Promise<Uint8Array>} PDF file bytes
+     */
+    async generatePDFContent(pdfDocument) {
+        const writer = new window.PDFObjectWriter();
+        const ref = window.PDFObjectWriter.ref;
+        
+        // Text is encoded for the document font; its glyph subset is written after all pages
+        const textFont = await window.PDFFonts.createDocumentFont();
+        const exporter = this.withTextFont(textFont);
         
-        // Pages object
-        const pagesId = objectCounter++;
-        const pageIds = [];
-        
-        // Generate page objects
-        pdfDocument.pages.forEach((page, index) => {
-            pageIds.push(objectCounter);
-            objects.push({
-                id: objectCounter++,
-                content: `<<
-/Type /Page
-/Parent ${pagesId} 0 R
-/MediaBox [0 0 ${page.dimensions.width} ${page.dimensions.height}]
-/Contents ${objectCounter} 0 R
-/Resources <<
-  /ProcSet [/PDF /Text /ImageB /ImageC /ImageI]
-  /Font <<
-    /F1 ${objectCounter + 1} 0 R
-  >>
->>
->>`
+        // Catalog, page tree and font are referenced by the pages, so their numbers come first
+        const catalogId = writer.allocate();
+        const pagesId = writer.allocate();
+        const fontId = writer.allocate();
+        
+        const imposition = pdfDocument.metadata.settings.imposition;
+        const sheetIds = [];
+        
+        // Each page is drawn once; imposed sheets place it again as a Form XObject
+        const pageIds = pdfDocument.pages.map(page => {
+            const resources = {
+                ProcSet: ['PDF', 'Text', 'ImageB', 'ImageC', 'ImageI'],
+                Font: { F1: ref(fontId) }
+            };
+            
+            // Answer key pages carry their filled picture as an image XObject
+            if (page.image) {
+                resources.XObject = {
+                    Im1: ref(writer.addStream({
+                        Type: 'XObject',
+                        Subtype: 'Image',
+                        Width: page.image.width,
+                        Height: page.image.height,
+                        ColorSpace: 'DeviceRGB',
+                        BitsPerComponent: 8
+                    }, page.image.data))
+                };
+            }
+            
+            const content = exporter.generatePageContent(page);
+            
+            if (imposition !== 'single') {
+                return writer.addStream({
+                    Type: 'XObject',
+                    Subtype: 'Form',
+                    BBox: [0, 0, page.dimensions.width, page.dimensions.height],
+                    Resources: resources
+                }, content);
+            }
+            
+            return writer.addObject({
+                Type: 'Page',
+                Parent: ref(pagesId),
+                MediaBox: [0, 0, page.dimensions.width, page.dimensions.height],
+                Contents: ref(writer.addStream({}, content)),
+                Resources: resources
             });
+        });
+        
+        if (imposition === 'single') {
+            sheetIds.push(...pageIds);
+        } else {
+            const pageSize = pdfDocument.pages[0].dimensions;
             
-            // Page content stream
-            const content = this.generatePageContent(page);
-            objects.push({
-                id: objectCounter++,
-                content: `<<
-/Length ${content.length}
->>
-stream
-${content}
-endstream`
+            this.createImposition(pdfDocument.pages.length, imposition, pageSize).forEach(sheet => {
+                const xObjects = {};
+                sheet.slots.forEach((slot, index) => {
+                    if (slot.pageIndex !== null) xObjects[`P${index + 1}`] = ref(pageIds[slot.pageIndex]);
+                });
+                
+                sheetIds.push(writer.addObject({
+                    Type: 'Page',
+                    Parent: ref(pagesId),
+                    MediaBox: [0, 0, sheet.width, sheet.height],
+                    Contents: ref(writer.addStream({}, this.generateSheetContent(sheet))),
+                    Resources: { ProcSet: ['PDF'], XObject: xObjects }
+                }));
+            });
+        }
+        
+        window.PDFFonts.writeFont(textFont, writer, fontId);
+        
+        writer.addObject({
+            Type: 'Pages',
+            Kids: sheetIds.map(id => ref(id)),
+            Count: sheetIds.length
+        }, pagesId);
+        
+        writer.addObject({
+            Type: 'Catalog',
+            Pages: ref(pagesId)
+        }, catalogId);
+        
+        writer.setRoot(catalogId);
+        writer.setInfo(this.createInfoDictionary(pdfDocument.info));
+        
+        return writer.generate();
+    }
+
+    /**
+     * Arrange pages on printer sheets
+     * N-up sheets hold pages in reading order. Booklet sheets are landscape with
+     * two pages per side, padded with blank pages to a multiple of four and ordered
+     * so the printed stack, duplexed (flip on short edge) and folded, reads in order.
+     * @param {number} pageCount - Number of document pages
+     * @param {string} mode - '2up', '4up' or 'booklet'
+     * @param {Object} pageSize - Page dimensions in points
+     * @returns {Array} Sheets { width, height, mode, cells: [{ x, y, width, height }],
+     *     slots: [{ pageIndex (null = blank), x, y, scale }] } in PDF user space
+     */
+    createImposition(pageCount, mode, pageSize) {
+        const landscape = mode === '2up' || mode === 'booklet';
+        const width = landscape ? pageSize.height : pageSize.width;
+        const height = landscape ? pageSize.width : pageSize.height;
+        const columns = 2;
+        const rows = mode === '4up' ? 2 : 1;
+        
+        // Cells in reading order (PDF origin is bottom-left)
+        const cells = [];
+        for (let row = 0; row < rows; row++) {
+            for (let column = 0; column < columns; column++) {
+                cells.push({
+                    x: column * width / columns,
+                    y: height - (row + 1) * height / rows,
+                    width: width / columns,
+                    height: height / rows
+                });
+            }
+        }
+        
+        const order = mode === 'booklet'
+            ? this.getBookletOrder(pageCount)
+            : Array.from({ length: Math.ceil(pageCount / cells.length) * cells.length },
+                (value, index) => index < pageCount ? index : null);
+        
+        const sheets = [];
+        for (let start = 0; start < order.length; start += cells.length) {
+            sheets.push({
+                width,
+                height,
+                mode,
+                cells,
+                slots: cells.map((cell, index) => {
+                    const scale = Math.min(cell.width / pageSize.width, cell.height / pageSize.height);
+                    return {
+                        pageIndex: order[start + index],
+                        x: cell.x + (cell.width - pageSize.width * scale) / 2,
+                        y: cell.y + (cell.height - pageSize.height * scale) / 2,
+                        scale
+                    };
+                })
             });
+        }
+        
+        return sheets;
+    }
+
+    /**
+     * Saddle-stitch page order: for each sheet, front [last, first] then back [second, second last]
+     * @param {number} pageCount - Number of document pages
+     * @returns {Array} Page index per slot (null = blank), two slots per sheet side
+     */
+    getBookletOrder(pageCount) {
+        const total = Math.ceil(pageCount / 4) * 4;
+        const page = (index) => index < pageCount ? index : null;
+        const order = [];
+        
+        for (let i = 0; i < total / 2; i += 2) {
+            order.push(page(total - 1 - i), page(i));        // Front side
+            order.push(page(i + 1), page(total - 2 - i));    // Back side
+        }
+        
+        return order;
+    }
+
+    /**
+     * Generate the content of an imposed sheet: placed pages plus cut or fold guides
+     * @param {Object} sheet - Sheet from createImposition
+     * @returns {string} PDF content stream
+     */
+    generateSheetContent(sheet) {
+        let content = '';
+        
+        sheet.slots.forEach((slot, index) => {
+            if (slot.pageIndex === null) return;
+            // Two decimals are too coarse for the scale: 0.71 instead of 0.7071 overflows an A4 cell
+            const scale = window.PDFObjectWriter.formatNumber(slot.scale);
+            content += `q\n${scale} 0 0 ${scale} ` +
+                `${this.formatNumber(slot.x)} ${this.formatNumber(slot.y)} cm\n/P${index + 1} Do\nQ\n`;
         });
         
-        // Font object
-        objects.push({
-            id: objectCounter++,
-            content: `<<
-/Type /Font
-/Subtype /Type1
-/BaseFont /Helvetica
->>`
+        // Light dashed guides: cut lines between cards, a fold line in the middle of booklet sheets
+        content += 'q\n0.75 G\n0.5 w\n[4 4] 0 d\n';
+        const midX = this.formatNumber(sheet.width / 2);
+        const midY = this.formatNumber(sheet.height / 2);
+        
+        if (sheet.mode === 'booklet') {
+            // Short ticks at the edges only, so the fold line never crosses the artwork
+            content += `${midX} 0 m\n${midX} 12 l\nS\n`;
+            content += `${midX} ${this.formatNumber(sheet.height - 12)} m\n${midX} ${this.formatNumber(sheet.height)} l\nS\n`;
+        } else {
+            content += `${midX} 0 m\n${midX} ${this.formatNumber(sheet.height)} l\nS\n`;
+            if (sheet.mode === '4up') {
+                content += `0 ${midY} m\n${this.formatNumber(sheet.width)} ${midY} l\nS\n`;
+            }
+        }
+        
+        content += 'Q\n';
+        return content;
+    }
+
+    /**
+     * Generate the poster assembly map: the whole picture with the tile grid and labels
+     * @param {Object} page - Assembly map page data
+     * @returns {string} PDF content stream
+     */
+    generatePosterMapContent(page) {
+        const layout = page.layout;
+        const pageHeight = page.dimensions.height;
+        const area = page.mapArea;
+        const centerX = area.x + area.width / 2;
+        const top = this.documentSettings.margins.top;
+        let content = '';
+        
+        const titleSize = this.fitFontSize(page.content.title, 24, 14, area.width);
+        content += this.generateCenteredText(page.content.title, titleSize, centerX, pageHeight - (top + 28));
+        const subtitleSize = this.fitFontSize(page.content.subtitle, 11, 7, area.width);
+        content += this.generateCenteredText(page.content.subtitle, subtitleSize, centerX, pageHeight - (top + 50));
+        
+        // The poster shrunk into the map area, lines thinned by the same factor
+        const scale = Math.min(area.width / layout.posterWidth, area.height / layout.posterHeight);
+        const poster = {
+            x: area.x + (area.width - layout.posterWidth * scale) / 2,
+            y: area.y + (area.height - layout.posterHeight * scale) / 2,
+            width: layout.posterWidth * scale,
+            height: layout.posterHeight * scale
+        };
+        
+        content += this.generateVectorContent(
+            page.vectorPaths, poster, pageHeight,
+            page.lineWeight, page.outputStyle,
+            layout.enlargement * scale
+        );
+        
+        // Tile borders sit where each sheet's trimmed edge lands on its neighbour
+        const left = poster.x;
+        const right = poster.x + poster.width;
+        const upper = pageHeight - poster.y;
+        const lower = pageHeight - poster.y - poster.height;
+        const edgesX = [left];
+        const edgesY = [upper];
+        
+        for (let column = 1; column < layout.columns; column++) edgesX.push(left + column * layout.step.x * scale);
+        for (let row = 1; row < layout.rows; row++) edgesY.push(upper - row * layout.step.y * scale);
+        edgesX.push(right);
+        edgesY.push(lower);
+        
+        content += 'q\n0.45 G\n0.75 w\n';
+        edgesX.forEach(x => {
+            content += `${this.formatNumber(x)} ${this.formatNumber(lower)} m\n${this.formatNumber(x)} ${this.formatNumber(upper)} l\nS\n`;
+        });
+        edgesY.forEach(y => {
+            content += `${this.formatNumber(left)} ${this.formatNumber(y)} m\n${this.formatNumber(right)} ${this.formatNumber(y)} l\nS\n`;
         });
+        content += '0.3 g\n';
         
-        // Pages collection
-        objects[1].content = `<<
-/Type /Pages
-/Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}]
-/Count ${pageIds.length}
->>`;
-        
-        // Build PDF file
-        let pdf = pdfVersion + '\n';
-        let xrefOffset = 0;
-        const xrefEntries = ['0000000000 65535 f '];
-        
-        objects.forEach(obj => {
-            xrefOffset = pdf.length;
-            xrefEntries.push(`${xrefOffset.toString().padStart(10, '0')} 00000 n `);
-            pdf += `${obj.id} 0 obj\n${obj.content}\nendobj\n`;
+        const labelSize = Math.min(16, Math.max(7, layout.step.y * scale / 4));
+        for (let row = 0; row < layout.rows; row++) {
+            for (let column = 0; column < layout.columns; column++) {
+                content += this.generateCenteredText(
+                    this.getPosterTileLabel(row, column), labelSize,
+                    (edgesX[column] + edgesX[column + 1]) / 2,
+                    (edgesY[row] + edgesY[row + 1]) / 2 - labelSize * 0.35
+                );
+            }
+        }
+        content += 'Q\n';
+        
+        if (page.legend) {
+            content += this.generateLegendContent(page.legend, pageHeight);
+        }
+        
+        // Instructions: a left-aligned list, centered as a block
+        const instructionSize = 10;
+        const lineHeight = 14;
+        const instructionsTop = area.y + area.height + (page.legend ? page.legend.height : 0) + 12;
+        const lines = page.content.instructions.map((instruction, index) => `${index + 1}. ${instruction}`);
+        const blockWidth = Math.max(0, ...lines.map(line => this.measureText(line, instructionSize)));
+        
+        lines.forEach((line, index) => {
+            const baseline = pageHeight - (instructionsTop + instructionSize + index * lineHeight);
+            content += this.generateTextCommand(line, instructionSize, centerX - blockWidth / 2, baseline);
         });
         
-        // Cross-reference table
-        pdf += 'xref\n';
-        pdf += `0 ${objects.length + 1}\n`;
-        xrefEntries.forEach(entry => pdf += entry + '\n');
+        return content;
+    }
+
+    /**
+     * Generate one poster tile: its part of the enlarged picture, overlap guides,
+     * crop marks and a footer with the tile label and a locator grid
+     * @param {Object} page - Poster tile page data
+     * @returns {string} PDF content stream
+     */
+    generatePosterTileContent(page) {
+        const layout = page.layout;
+        const printable = layout.printable;
+        const pageHeight = page.dimensions.height;
+        let content = '';
+        
+        // The whole poster is laid out shifted to this tile and clipped to the printable area
+        const area = {
+            x: printable.x - page.column * layout.step.x,
+            y: printable.y - page.row * layout.step.y,
+            width: layout.posterWidth,
+            height: layout.posterHeight
+        };
+        
+        content += `q\n${this.formatNumber(printable.x)} ${this.formatNumber(pageHeight - printable.y - printable.height)} ` +
+            `${this.formatNumber(printable.width)} ${this.formatNumber(printable.height)} re W n\n`;
+        content += this.generateVectorContent(
+            page.vectorPaths, area, pageHeight,
+            page.lineWeight, page.outputStyle,
+            layout.enlargement
+        );
         
-        // Trailer
-        pdf += 'trailer\n';
-        pdf += `<<
-/Size ${objects.length + 1}
-/Root 1 0 R
-/Info ${this.generateInfoObject(pdfDocument.info)}
->>\n`;
-        pdf += `startxref\n${xrefOffset}\n%%EOF`;
+        const mapping = page.regionMap ? this.calculateContentMapping(page.vectorPaths, area, pageHeight) : null;
+        if (mapping) {
+            content += this.generateRegionLabelContent(page.regionMap, mapping);
+        }
+        content += 'Q\n';
         
-        return pdf;
+        content += this.generatePosterOverlapGuides(page);
+        content += this.generateCropMarks(printable, pageHeight);
+        content += this.generatePosterTileFooter(page);
+        
+        return content;
+    }
+
+    /**
+     * Mark the overlap strips that the right and lower neighbours are glued over
+     * A dashed line shows where the neighbour's trimmed edge goes; the strip is
+     * labelled with the neighbour, and is hidden once the poster is assembled.
+     * @param {Object} page - Poster tile page data
+     * @returns {string} PDF drawing operators
+     */
+    generatePosterOverlapGuides(page) {
+        const layout = page.layout;
+        const printable = layout.printable;
+        const pageHeight = page.dimensions.height;
+        const left = printable.x;
+        const right = printable.x + printable.width;
+        const upper = pageHeight - printable.y;
+        const lower = pageHeight - printable.y - printable.height;
+        const labelSize = 8;
+        let content = '';
+        
+        if (page.column < layout.columns - 1) {
+            const x = right - layout.overlap;
+            content += `q\n0.55 G\n0.75 w\n[6 3] 0 d\n${this.formatNumber(x)} ${this.formatNumber(lower)} m\n` +
+                `${this.formatNumber(x)} ${this.formatNumber(upper)} l\nS\nQ\n`;
+            content += 'q\n0.55 g\n' + this.generateCenteredText(
+                this.getPosterTileLabel(page.row, page.column + 1), labelSize,
+                right - layout.overlap / 2, (upper + lower) / 2
+            ) + 'Q\n';
+        }
+        
+        if (page.row < layout.rows - 1) {
+            const y = lower + layout.overlap;
+            content += `q\n0.55 G\n0.75 w\n[6 3] 0 d\n${this.formatNumber(left)} ${this.formatNumber(y)} m\n` +
+                `${this.formatNumber(right)} ${this.formatNumber(y)} l\nS\nQ\n`;
+            content += 'q\n0.55 g\n' + this.generateCenteredText(
+                this.getPosterTileLabel(page.row + 1, page.column), labelSize,
+                (left + right) / 2, lower + layout.overlap / 2 - labelSize * 0.35
+            ) + 'Q\n';
+        }
+        
+        return content;
+    }
+
+    /**
+     * Draw crop marks just outside the corners of an area
+     * @param {Object} area - Trim area (top-left origin, points)
+     * @param {number} pageHeight - Page height in points, used to flip the Y axis
+     * @returns {string} PDF drawing operators
+     */
+    generateCropMarks(area, pageHeight) {
+        const { cropMarkOffset: offset, cropMarkLength: length } = this.posterSettings;
+        const left = area.x;
+        const right = area.x + area.width;
+        const upper = pageHeight - area.y;
+        const lower = pageHeight - area.y - area.height;
+        const line = (x1, y1, x2, y2) =>
+            `${this.formatNumber(x1)} ${this.formatNumber(y1)} m\n${this.formatNumber(x2)} ${this.formatNumber(y2)} l\nS\n`;
+        let content = 'q\n0 G\n0.25 w\n';
+        
+        // Each corner gets a mark in line with both edges, pointing away from the artwork
+        [[left, -1], [right, 1]].forEach(([x, directionX]) => {
+            [[lower, -1], [upper, 1]].forEach(([y, directionY]) => {
+                content += line(x + directionX * offset, y, x + directionX * (offset + length), y);
+                content += line(x, y + directionY * offset, x, y + directionY * (offset + length));
+            });
+        });
+        
+        content += 'Q\n';
+        return content;
+    }
+
+    /**
+     * Generate the tile footer: label, position text and a locator grid in the bottom margin
+     * @param {Object} page - Poster tile page data
+     * @returns {string} PDF drawing and text operators
+     */
+    generatePosterTileFooter(page) {
+        const layout = page.layout;
+        const printable = layout.printable;
+        const cellSize = this.posterSettings.locatorCellSize;
+        const fontSize = 7;
+        const baseline = printable.y / 2 - 4;
+        const tileCount = layout.columns * layout.rows;
+        const text = `${this.getPosterTileLabel(page.row, page.column)} · ` +
+            `Row ${String.fromCharCode(65 + page.row)}, Column ${page.column + 1} · Sheet ${page.pageNumber} of ${tileCount}`;
+        
+        let content = this.generateTextCommand(text, fontSize, printable.x + 8, baseline);
+        
+        // Locator grid with this tile filled in
+        const gridLeft = printable.x + printable.width - 8 - layout.columns * cellSize;
+        const gridTop = baseline + fontSize * 0.35 + layout.rows * cellSize / 2;
+        content += 'q\n0.5 G\n0.3 w\n0.2 g\n';
+        
+        for (let row = 0; row < layout.rows; row++) {
+            for (let column = 0; column < layout.columns; column++) {
+                const x = this.formatNumber(gridLeft + column * cellSize);
+                const y = this.formatNumber(gridTop - (row + 1) * cellSize);
+                const paint = row === page.row && column === page.column ? 'B' : 'S';
+                content += `${x} ${y} ${cellSize} ${cellSize} re ${paint}\n`;
+            }
+        }
+        
+        content += 'Q\n';
+        return content;
+    }
+
+    /**
+     * Get an exporter view that writes text with a document font
+     * @param {Object} textFont - Document font from PDFFonts.createDocumentFont
+     * @returns {PDFDocumentExporter} View sharing everything else with this exporter
+     */
+    withTextFont(textFont) {
+        const view = Object.create(this);
+        view.textFont = textFont;
+        return view;
+    }
+
+    /**
+     * Encode text as a string operand for the /F1 font
+     * @param {string} text - Text to show
+     * @returns {string} PDF string (escaped literal or glyph hex string)
+     */
+    encodeText(text) {
+        return window.PDFFonts.encodeText(this.textFont, text);
     }
 
     /**
@@ -399,54 +1162,186 @@ endstream`
      * @returns {string} PDF content stream
      */
     generatePageContent(page) {
-        let content = 'BT\n'; // Begin text
-        
         if (page.type === 'cover') {
-            content += this.generateCoverContent(page);
-        } else {
-            content += this.generateContentPageContent(page);
+            return this.generateCoverContent(page);
         }
         
-        content += 'ET\n'; // End text
-        return content;
+        if (page.type === 'posterMap') {
+            return this.generatePosterMapContent(page);
+        }
+        
+        if (page.type === 'posterTile') {
+            return this.generatePosterTileContent(page);
+        }
+        
+        return this.generateContentPageContent(page);
     }
 
     /**
      * Generate cover page content
+     * Text is placed at absolute positions and centered with measured widths;
+     * the page thumbnails are drawn as vector miniatures in a grid.
      * @param {Object} page - Cover page data
      * @returns {string} Cover page content stream
      */
     generateCoverContent(page) {
         const layout = page.layout;
+        const pageHeight = page.dimensions.height;
+        const centerX = layout.titleArea.x + layout.titleArea.width / 2;
+        const baseline = (top) => pageHeight - top;
+        let content = '';
+        
+        // Title block (long titles shrink to fit the width)
+        const titleSize = this.fitFontSize(page.content.title, 24, 14, layout.titleArea.width);
+        content += this.generateCenteredText(page.content.title, titleSize, centerX, baseline(layout.titleArea.y + 28));
+        content += this.generateCenteredText(page.content.subtitle, 14, centerX, baseline(layout.titleArea.y + 50));
+        content += this.generateCenteredText(page.content.description, 10, centerX, baseline(layout.titleArea.y + 68));
+        
+        // Thumbnail grid
+        content += this.generateThumbnailGrid(page.content.thumbnails, layout.thumbnailArea, page.dimensions);
+        
+        // Instructions: a left-aligned list, centered as a block
+        const instructionSize = 10;
+        const lineHeight = 14;
+        const lines = page.content.instructions.map(instruction => `• ${instruction}`);
+        const blockWidth = Math.max(0, ...lines.map(line => this.measureText(line, instructionSize)));
+        const listX = centerX - blockWidth / 2;
+        
+        lines.forEach((line, index) => {
+            const top = layout.instructionsArea.y + instructionSize + index * lineHeight;
+            content += this.generateTextCommand(line, instructionSize, listX, baseline(top));
+        });
+        
+        return content;
+    }
+
+    /**
+     * Draw page miniatures in a grid, each in a page-shaped frame with its page number
+     * @param {Array} thumbnails - Thumbnail data { pageNumber, vectorPaths, lineWeight, outputStyle }
+     * @param {Object} area - Grid area (top-left origin, points)
+     * @param {Object} pageSize - Page dimensions in points (sets the frame aspect ratio)
+     * @returns {string} PDF drawing operators
+     */
+    generateThumbnailGrid(thumbnails, area, pageSize) {
+        if (!thumbnails || thumbnails.length === 0) return '';
+        
+        const grid = this.calculateThumbnailGrid(thumbnails.length, area, pageSize.width / pageSize.height);
+        const labelSize = 8;
         let content = '';
         
-        // Title
-        content += '/F1 24 Tf\n';
-        content += `${layout.titleArea.x + layout.titleArea.width / 2} ${layout.titleArea.y + 30} Td\n`;
-        content += `(${page.content.title}) Tj\n`;
-        
-        // Subtitle
-        content += '/F1 14 Tf\n';
-        content += `0 -20 Td\n`;
-        content += `(${page.content.subtitle}) Tj\n`;
-        
-        // Description
-        content += '/F1 12 Tf\n';
-        content += `0 -30 Td\n`;
-        content += `(${page.content.description}) Tj\n`;
-        
-        // Instructions
-        content += '/F1 10 Tf\n';
-        let yOffset = layout.instructionsArea.y;
-        page.content.instructions.forEach(instruction => {
-            content += `${layout.instructionsArea.x} ${yOffset} Td\n`;
-            content += `(• ${instruction}) Tj\n`;
-            yOffset -= 12;
+        thumbnails.forEach((thumbnail, index) => {
+            const column = index % grid.columns;
+            const row = Math.floor(index / grid.columns);
+            const frame = {
+                x: grid.x + column * (grid.frameWidth + grid.gap),
+                y: grid.y + row * (grid.frameHeight + grid.gap + grid.labelHeight),
+                width: grid.frameWidth,
+                height: grid.frameHeight
+            };
+            
+            content += 'q\n0.7 G\n0.5 w\n';
+            content += `${this.formatNumber(frame.x)} ${this.formatNumber(pageSize.height - frame.y - frame.height)} ` +
+                `${this.formatNumber(frame.width)} ${this.formatNumber(frame.height)} re S\nQ\n`;
+            
+            // Line widths shrink with the miniature so it looks like the printed page
+            const padding = frame.width * 0.06;
+            const inner = {
+                x: frame.x + padding,
+                y: frame.y + padding,
+                width: frame.width - padding * 2,
+                height: frame.height - padding * 2
+            };
+            
+            content += this.generateVectorContent(
+                thumbnail.vectorPaths, inner, pageSize.height,
+                thumbnail.lineWeight, thumbnail.outputStyle,
+                frame.width / pageSize.width
+            );
+            
+            const label = `Page ${thumbnail.pageNumber}`;
+            content += this.generateCenteredText(
+                label, labelSize,
+                frame.x + frame.width / 2,
+                pageSize.height - (frame.y + frame.height + labelSize + 2)
+            );
         });
         
         return content;
     }
 
+    /**
+     * Choose the thumbnail grid with the largest frames that fits an area
+     * @param {number} count - Number of thumbnails
+     * @param {Object} area - Grid area (top-left origin, points)
+     * @param {number} aspect - Frame width / height
+     * @returns {Object} { columns, rows, frameWidth, frameHeight, gap, labelHeight, x, y }
+     */
+    calculateThumbnailGrid(count, area, aspect) {
+        const gap = 14;
+        const labelHeight = 12;
+        let best = null;
+        
+        for (let columns = 1; columns <= count; columns++) {
+            const rows = Math.ceil(count / columns);
+            const maxWidth = (area.width - gap * (columns - 1)) / columns;
+            const maxHeight = (area.height - (gap + labelHeight) * rows + gap) / rows;
+            const frameWidth = Math.min(maxWidth, maxHeight * aspect);
+            
+            if (frameWidth > 0 && (!best || frameWidth > best.frameWidth)) {
+                best = { columns, rows, frameWidth, frameHeight: frameWidth / aspect };
+            }
+        }
+        
+        // Center the grid in the area
+        const gridWidth = best.columns * best.frameWidth + (best.columns - 1) * gap;
+        const gridHeight = best.rows * (best.frameHeight + labelHeight) + (best.rows - 1) * gap;
+        
+        return {
+            ...best,
+            gap,
+            labelHeight,
+            x: area.x + (area.width - gridWidth) / 2,
+            y: area.y + (area.height - gridHeight) / 2
+        };
+    }
+
+    /**
+     * Largest font size (down to a minimum) at which a line fits a width
+     * @param {string} text - Text
+     * @param {number} preferredSize - Font size to use when it fits
+     * @param {number} minimumSize - Smallest acceptable size
+     * @param {number} maxWidth - Available width in points
+     * @returns {number} Font size in points
+     */
+    fitFontSize(text, preferredSize, minimumSize, maxWidth) {
+        const width = this.measureText(text, preferredSize);
+        if (width <= maxWidth) return preferredSize;
+        
+        return Math.max(minimumSize, Math.floor(preferredSize * maxWidth / width));
+    }
+
+    /**
+     * Generate a text object centered on a point
+     * @param {string} text - Text to show
+     * @param {number} fontSize - Font size in points
+     * @param {number} centerX - Horizontal center in PDF user space
+     * @param {number} y - Baseline Y in PDF user space
+     * @returns {string} PDF text operators
+     */
+    generateCenteredText(text, fontSize, centerX, y) {
+        return this.generateTextCommand(text, fontSize, centerX - this.measureText(text, fontSize) / 2, y);
+    }
+
+    /**
+     * Measure text in the current document font
+     * @param {string} text - Text
+     * @param {number} fontSize - Font size in points
+     * @returns {number} Width in points
+     */
+    measureText(text, fontSize) {
+        return window.PDFFonts.measureText(this.textFont, text, fontSize);
+    }
+
     /**
      * Generate content page content
      * @param {Object} page - Content page data
@@ -454,51 +1349,313 @@ endstream`
      */
     generateContentPageContent(page) {
         const layout = page.layout;
+        const pageHeight = page.dimensions.height;
         let content = '';
+        const mapping = this.calculateContentMapping(page.vectorPaths, layout.contentArea, pageHeight);
+        
+        // Answer keys show the picture filled with its colors under the outlines
+        if (page.image && mapping) {
+            content += this.generateRegionImageContent(page.regionMap, mapping);
+        }
+        
+        // Line art (drawn first so header and footer text stays on top)
+        content += this.generateVectorContent(
+            page.vectorPaths,
+            layout.contentArea,
+            pageHeight,
+            page.lineWeight,
+            page.outputStyle
+        );
+        
+        // Paint-by-number numbers and color legend
+        if (page.regionMap && mapping) {
+            content += this.generateRegionLabelContent(page.regionMap, mapping);
+        }
+        
+        if (page.legend) {
+            content += this.generateLegendContent(page.legend, pageHeight);
+        }
         
         // Header
+        const headerBaseline = pageHeight - (layout.headerArea.y + layout.headerArea.height);
+        
         if (page.header.title) {
-            content += '/F1 14 Tf\n';
-            content += `${layout.headerArea.x} ${layout.headerArea.y} Td\n`;
-            content += `(${page.header.title}) Tj\n`;
+            content += this.generateTextCommand(page.header.title, 14, layout.headerArea.x, headerBaseline);
         }
         
         if (page.header.pageInfo) {
-            content += `${layout.headerArea.x + layout.headerArea.width - 100} ${layout.headerArea.y} Td\n`;
-            content += `(${page.header.pageInfo}) Tj\n`;
+            content += this.generateTextCommand(
+                page.header.pageInfo, 10,
+                layout.headerArea.x + layout.headerArea.width - 100, headerBaseline
+            );
         }
         
-        // Note: SVG content would be embedded here in a full implementation
-        // For now, we add a placeholder
-        content += '/F1 10 Tf\n';
-        content += `${layout.contentArea.x + layout.contentArea.width / 2} ${layout.contentArea.y + layout.contentArea.height / 2} Td\n`;
-        content += '(Coloring page content would be rendered here) Tj\n';
-        
         // Footer
-        content += '/F1 8 Tf\n';
-        content += `${layout.footerArea.x} ${layout.footerArea.y} Td\n`;
-        content += `(${page.footer.filename}) Tj\n`;
+        const footerBaseline = pageHeight - (layout.footerArea.y + layout.footerArea.height);
+        
+        content += this.generateTextCommand(page.footer.filename, 8, layout.footerArea.x, footerBaseline);
+        content += this.generateTextCommand(
+            page.footer.timestamp, 8,
+            layout.footerArea.x + layout.footerArea.width - 100, footerBaseline
+        );
+        
+        return content;
+    }
+
+    /**
+     * Generate a self-contained text object at an absolute position
+     * @param {string} text - Text to show
+     * @param {number} fontSize - Font size in points
+     * @param {number} x - Baseline start X in PDF user space
+     * @param {number} y - Baseline Y in PDF user space (origin bottom-left)
+     * @returns {string} PDF text operators
+     */
+    generateTextCommand(text, fontSize, x, y) {
+        return `BT\n/F1 ${fontSize} Tf\n${this.formatNumber(x)} ${this.formatNumber(y)} Td\n${this.encodeText(text)} Tj\nET\n`;
+    }
+
+    /**
+     * Generate stroked vector line art scaled into a layout area
+     * @param {Array} vectorPaths - Vector paths from SVGGenerator.extractVectorPaths
+     * @param {Object} area - Target area (top-left origin, points)
+     * @param {number} pageHeight - Page height in points, used to flip the Y axis
+     * @param {string} lineWeight - Line weight setting
+     * @param {string} outputStyle - Output style setting
+     * @param {number} strokeScale - Line width multiplier, for miniatures (default 1)
+     * @returns {string} PDF path operators
+     */
+    generateVectorContent(vectorPaths, area, pageHeight, lineWeight, outputStyle, strokeScale = 1) {
+        const mapping = this.calculateContentMapping(vectorPaths, area, pageHeight);
+        if (!mapping) return '';
+        
+        const mapPoint = mapping.mapPoint;
+        
+        // Stroke width is defined in mm for SVG output; convert to points
+        const strokeWidth = window.SVGGenerator.getStrokeWidth(lineWeight) * 72 / 25.4 * strokeScale;
+        
+        const medianLength = window.SVGGenerator.calculateMedianLength(vectorPaths);
+        
+        let content = 'q\n';
+        content += '0 G\n';  // Black stroke
+        content += '1 J\n';  // Round line caps
+        content += '1 j\n';  // Round line joins
+        
+        vectorPaths.forEach((path, index) => {
+            if (!path || !path.pathData) return;
+            
+            // Same stroke recipe as the SVG output for the selected style
+            window.SVGGenerator.getStyledStrokes(path, index, outputStyle, medianLength).forEach(stroke => {
+                const operators = this.convertPathDataToPDF(stroke.pathData, mapPoint);
+                if (operators) {
+                    content += `${this.formatNumber(strokeWidth * stroke.widthScale)} w\n`;
+                    content += operators + 'S\n';
+                }
+            });
+        });
         
-        content += `${layout.footerArea.x + layout.footerArea.width - 100} ${layout.footerArea.y} Td\n`;
-        content += `(${page.footer.timestamp}) Tj\n`;
+        content += 'Q\n';
+        return content;
+    }
+
+    /**
+     * Calculate how image-space line art is fitted into a layout area
+     * @param {Array} vectorPaths - Vector paths (their bounds define the artwork)
+     * @param {Object} area - Target area (top-left origin, points)
+     * @param {number} pageHeight - Page height in points, used to flip the Y axis
+     * @returns {Object|null} { scale (points per pixel), mapPoint }, or null without artwork
+     */
+    calculateContentMapping(vectorPaths, area, pageHeight) {
+        if (!vectorPaths || vectorPaths.length === 0) return null;
         
+        const bounds = window.SVGGenerator.calculateOverallBounds(vectorPaths);
+        if (!(bounds.width > 0) || !(bounds.height > 0)) return null;
+        
+        // Fit the artwork into the content area, preserving aspect ratio
+        const scale = Math.min(area.width / bounds.width, area.height / bounds.height);
+        const offsetX = area.x + (area.width - bounds.width * scale) / 2 - bounds.x * scale;
+        const offsetY = area.y + (area.height - bounds.height * scale) / 2 - bounds.y * scale;
+        
+        // Image space is top-left based, PDF user space is bottom-left based
+        return {
+            scale: scale,
+            mapPoint: (x, y) => [
+                offsetX + x * scale,
+                pageHeight - (offsetY + y * scale)
+            ]
+        };
+    }
+
+    /**
+     * Generate the number label of every paint-by-number region
+     * @param {Object} regionMap - Region map (image pixel coordinates)
+     * @param {Object} mapping - Content mapping (see calculateContentMapping)
+     * @returns {string} PDF text operators
+     */
+    generateRegionLabelContent(regionMap, mapping) {
+        const pointsPerMm = 72 / 25.4;
+        let content = 'q\n0.33 g\n';
+        
+        regionMap.regions.forEach(region => {
+            const color = regionMap.palette[region.colorIndex];
+            if (!color) return;
+            
+            // Same size as the SVG labels, centered with the document font's metrics
+            const fontSize = parseFloat(this.formatNumber(
+                window.SVGGenerator.getLabelFontSize(region, mapping.scale / pointsPerMm) * pointsPerMm
+            ));
+            const [x, y] = mapping.mapPoint(region.labelPoint.x, region.labelPoint.y);
+            
+            content += this.generateCenteredText(String(color.number), fontSize, x, y - 0.35 * fontSize);
+        });
+        
+        content += 'Q\n';
         return content;
     }
 
     /**
-     * Generate info object for PDF
-     * @param {Object} info - Document info
-     * @returns {string} Info object reference
+     * Generate the paint-by-number color legend: a filled swatch and number per color
+     * @param {Object} legend - Legend layout (see calculateLegendArea)
+     * @param {number} pageHeight - Page height in points, used to flip the Y axis
+     * @returns {string} PDF drawing operators
      */
-    generateInfoObject(info) {
-        // Simplified - would normally create a proper info object
-        return '<<\n/Title (' + info.title + ')\n/Author (' + info.author + ')\n>>';
+    generateLegendContent(legend, pageHeight) {
+        let content = 'q\n0 G\n0.85 w\n';
+        
+        legend.palette.forEach((color, index) => {
+            const x = legend.x + (index % legend.columns) * legend.cellWidth;
+            const top = legend.y + Math.floor(index / legend.columns) * legend.rowHeight;
+            const bottom = pageHeight - top - legend.swatchSize;
+            const rgb = color.rgb.map(value => this.formatNumber(value / 255)).join(' ');
+            
+            content += `${rgb} rg\n`;
+            content += `${this.formatNumber(x)} ${this.formatNumber(bottom)} ` +
+                `${this.formatNumber(legend.swatchSize)} ${this.formatNumber(legend.swatchSize)} re B\n`;
+            content += '0 g\n';
+            content += this.generateTextCommand(String(color.number), 11, x + legend.swatchSize + 6, bottom + legend.swatchSize * 0.25);
+        });
+        
+        content += 'Q\n';
+        return content;
+    }
+
+    /**
+     * Draw the filled region picture of an answer key page
+     * @param {Object} regionMap - Region map (image pixel coordinates)
+     * @param {Object} mapping - Content mapping (see calculateContentMapping)
+     * @returns {string} PDF operators placing the /Im1 image XObject
+     */
+    generateRegionImageContent(regionMap, mapping) {
+        const [left, bottom] = mapping.mapPoint(0, regionMap.height);
+        const width = regionMap.width * mapping.scale;
+        const height = regionMap.height * mapping.scale;
+        
+        return `q\n${this.formatNumber(width)} 0 0 ${this.formatNumber(height)} ` +
+            `${this.formatNumber(left)} ${this.formatNumber(bottom)} cm\n/Im1 Do\nQ\n`;
+    }
+
+    /**
+     * Convert SVG path data to PDF path construction operators
+     * Supports the absolute M, L, Q, C and Z commands emitted by SVGGenerator.
+     * @param {string} pathData - SVG path data string
+     * @param {Function} mapPoint - Maps an image-space (x, y) to PDF [x, y]
+     * @returns {string} PDF path operators (without painting operator)
+     */
+    convertPathDataToPDF(pathData, mapPoint) {
+        const tokens = pathData.match(/[MLQCZ]|-?\d*\.?\d+(?:e[-+]?\d+)?/gi) || [];
+        const point = (x, y) => mapPoint(x, y).map(v => this.formatNumber(v)).join(' ');
+        
+        let operators = '';
+        let command = null;
+        let current = { x: 0, y: 0 };
+        let subpathStart = { x: 0, y: 0 };
+        let i = 0;
+        
+        const next = () => parseFloat(tokens[i++]);
+        
+        while (i < tokens.length) {
+            if (/^[MLQCZ]$/i.test(tokens[i])) {
+                command = tokens[i++].toUpperCase();
+            }
+            
+            switch (command) {
+                case 'M': {
+                    const x = next(), y = next();
+                    operators += `${point(x, y)} m\n`;
+                    current = subpathStart = { x, y };
+                    command = 'L'; // Subsequent pairs are implicit linetos
+                    break;
+                }
+                case 'L': {
+                    const x = next(), y = next();
+                    operators += `${point(x, y)} l\n`;
+                    current = { x, y };
+                    break;
+                }
+                case 'Q': {
+                    // Elevate quadratic Bezier to cubic
+                    const qx = next(), qy = next(), x = next(), y = next();
+                    const c1x = current.x + (2 / 3) * (qx - current.x);
+                    const c1y = current.y + (2 / 3) * (qy - current.y);
+                    const c2x = x + (2 / 3) * (qx - x);
+                    const c2y = y + (2 / 3) * (qy - y);
+                    operators += `${point(c1x, c1y)} ${point(c2x, c2y)} ${point(x, y)} c\n`;
+                    current = { x, y };
+                    break;
+                }
+                case 'C': {
+                    const c1x = next(), c1y = next(), c2x = next(), c2y = next(), x = next(), y = next();
+                    operators += `${point(c1x, c1y)} ${point(c2x, c2y)} ${point(x, y)} c\n`;
+                    current = { x, y };
+                    break;
+                }
+                case 'Z':
+                    operators += 'h\n';
+                    current = subpathStart;
+                    command = null;
+                    break;
+                default:
+                    // Unsupported command or stray number: skip token
+                    i++;
+            }
+        }
+        
+        return operators;
+    }
+
+    /**
+     * Format a number for PDF output
+     * @param {number} value - Numeric value
+     * @returns {string} Compact decimal representation
+     */
+    formatNumber(value) {
+        return parseFloat(value.toFixed(2)).toString();
+    }
+
+    /**
+     * Create the document information dictionary
+     * @param {Object} info - Document info (see createDocumentInfo)
+     * @returns {Object} Info dictionary for PDFObjectWriter.setInfo
+     */
+    createInfoDictionary(info) {
+        const text = window.PDFObjectWriter.text;
+        const date = window.PDFObjectWriter.date;
+        
+        return {
+            Title: text(info.title),
+            Author: text(info.author),
+            Subject: text(info.subject),
+            Keywords: text(info.keywords),
+            Creator: text(info.creator),
+            Producer: text(info.producer),
+            CreationDate: date(info.creationDate),
+            ModDate: date(info.modificationDate)
+        };
     }
 
     /**
      * Trigger PDF download
      * @param {string} filename - PDF filename
-     * @param {string} content - PDF content
+     * @param {Uint8Array} content - PDF file bytes
      */
     triggerPDFDownload(filename, content) {
         const blob = new Blob([content], { type: 'application/pdf' });
@@ -528,7 +1685,7 @@ endstream`
 
 📄 File: ${filename}
 📊 Pages: ${pdfDocument.metadata.pageCount}
-📏 Size: ${this.documentSettings.pageSize}
+📏 Size: ${this.documentSettings.pageSize}${this.getImpositionHint()}
 🎨 Content: Coloring pages ready for printing
 
 The PDF is optimized for home printing and should work well with standard printers.`;
@@ -537,43 +1694,179 @@ The PDF is optimized for home printing and should work well with standard printe
     }
 
     /**
-     * Export complete package (PDF + SVG + extras)
+     * Show poster generation success message
+     * @param {Object} posterDocument - Generated poster document
+     * @param {string} filename - Downloaded filename
+     */
+    showPosterSuccess(posterDocument, filename) {
+        const poster = posterDocument.metadata.poster;
+        const message = `Poster generated successfully!
+
+📄 File: ${filename}
+🧩 Sheets: ${poster.columns} × ${poster.rows} (${this.documentSettings.pageSize}) plus an assembly map
+📐 Finished size: about ${poster.widthCm} × ${poster.heightCm} cm
+
+Print at 100% scale (not "fit to page"), trim along the crop marks and follow the assembly map.`;
+
+        alert(message);
+    }
+
+    /**
+     * Describe the chosen sheet layout for the success message
+     * @returns {string} Extra message line, or '' for one page per sheet
+     */
+    getImpositionHint() {
+        const hints = {
+            '2up': '\n🗂️ Layout: 2 pages per sheet (cut along the dashed line)',
+            '4up': '\n🗂️ Layout: 4 pages per sheet (cut along the dashed lines)',
+            booklet: '\n📖 Layout: booklet - print double-sided, flip on short edge, then fold'
+        };
+        
+        return hints[this.documentSettings.imposition] || '';
+    }
+
+    /**
+     * Export complete package (PDF + SVG + PNG + thumbnails + manifest) as one ZIP
      * @param {Array} processedImages - Processed image data
+     * @param {Object} options - Export options
+     * @param {AbortSignal} options.signal - Cancels the export before anything is downloaded
+     * @returns {Promise<Array>} Per-file export report
      */
-    async exportCompletePackage(processedImages) {
+    async exportCompletePackage(processedImages, options = {}) {
+        console.log('Creating complete export package...');
+        
+        const signal = options.signal;
+        const settings = window.AppState.currentSettings;
+        const archive = new window.ZipArchiveWriter();
+        const report = [];
+        
+        // Add one archive entry, recording success or failure instead of aborting the package
+        const addEntry = async (filename, type, produce) => {
+            this.throwIfAborted(signal);
+            
+            try {
+                archive.addFile(filename, await produce());
+                report.push({ filename, type, success: true });
+            } catch (error) {
+                if (error.name === 'AbortError') throw error;
+                console.error(`Package entry failed: ${filename}`, error);
+                report.push({ filename, type, success: false, error: error.message });
+            }
+        };
+        
+        let svgData = [];
         try {
-            console.log('Creating complete export package...');
+            this.updateSettingsFromUI();
+            svgData = await this.getSVGData(processedImages, signal);
+        } catch (error) {
+            if (error.name === 'AbortError') throw error;
+            console.error('SVG conversion for package failed:', error);
+            report.push({ filename: 'svg/', type: 'svg', success: false, error: error.message });
+        }
+        
+        // PDF document
+        const pdfFilename = this.getPDFFilename();
+        let pdfPageCount = 0;
+        if (svgData.length > 0) {
+            await addEntry(pdfFilename, 'pdf', async () => {
+                const pdfDocument = await this.createPDFDocument(svgData, signal);
+                pdfPageCount = pdfDocument.pages.length;
+                return this.generatePDFContent(pdfDocument);
+            });
+        }
+        
+        // Per-page SVG, rasterized PNG and original thumbnail
+        const pages = [];
+        for (let i = 0; i < processedImages.length; i++) {
+            const svgResult = svgData[i];
+            const processed = svgResult ? svgResult.originalImage : processedImages[i];
+            const baseName = svgResult
+                ? window.SVGGenerator.getArchiveFilename(svgResult, i).replace(/\.svg$/, '')
+                : `page-${String(i + 1).padStart(2, '0')}`;
             
-            // Generate PDF
-            const pdfDoc = await this.generatePDF(processedImages);
+            const page = {
+                page: i + 1,
+                source: processed.metadata.filename,
+                processedAt: processed.metadata.processedAt,
+                generatedAt: svgResult ? svgResult.metadata.generatedAt : null,
+                files: {}
+            };
             
-            // Generate SVGs
-            await window.SVGGenerator.exportSVGFiles(processedImages);
+            if (svgResult) {
+                page.files.svg = `svg/${baseName}.svg`;
+                await addEntry(page.files.svg, 'svg', () => svgResult.svgString);
+                
+                page.files.png = `png/${baseName}.png`;
+                await addEntry(page.files.png, 'png', () => window.SVGGenerator.rasterizeSVG(svgResult));
+            }
             
-            // Show package info
-            const settings = window.AppState.currentSettings;
-            const packageInfo = `Complete package exported!
-
-📦 Package Contents:
-• PDF document (${pdfDoc.metadata.pageCount} pages)
-• SVG vector files (${processedImages.length} files)
-• Print-ready formats
-• Original quality preserved
-
-💡 Recommended Use:
-• PDF for immediate printing
-• SVG for editing and scaling
-• Both formats are high-quality
-
-Project: ${settings.projectTitle || 'Coloring Pages'}
-Generated: ${new Date().toLocaleString()}`;
-
-            alert(packageInfo);
+            page.files.thumbnail = `thumbnails/${baseName}-original.jpg`;
+            await addEntry(page.files.thumbnail, 'thumbnail', () =>
+                window.ImageProcessor.createThumbnailBlob(processed.originalImageData)
+            );
+            
+            pages.push(page);
+        }
+        
+        // Project manifest
+        const manifest = {
+            project: settings.projectTitle || 'Coloring Pages',
+            generator: 'Photo Coloring Converter',
+            exportedAt: new Date().toISOString(),
+            pageCount: processedImages.length,
+            pdf: {
+                filename: pdfFilename,
+                pageCount: pdfPageCount
+            },
+            settings: { ...settings },
+            documentSettings: { ...this.documentSettings },
+            pages: pages,
+            files: report
+        };
+        archive.addFile('manifest.json', JSON.stringify(manifest, null, 2));
+        this.throwIfAborted(signal);
+        
+        try {
+            const zipBlob = await archive.generateBlob();
+            const timestamp = new Date().toISOString().split('T')[0];
+            const zipName = `${window.SVGGenerator.sanitizeFilename(manifest.project)}-package-${timestamp}.zip`;
+            
+            window.SVGGenerator.triggerDownload(zipName, zipBlob, 'application/zip');
+            this.showPackageSummary(report, zipName);
             
         } catch (error) {
             console.error('Package export failed:', error);
-            alert('Package export encountered an error. Some files may have been downloaded successfully.');
+            alert('Package export failed. The archive could not be created, please try again.');
+        }
+        
+        return report;
+    }
+
+    /**
+     * Show per-file summary for the complete package export
+     * @param {Array} report - Per-file export report
+     * @param {string} zipName - Downloaded archive name
+     */
+    showPackageSummary(report, zipName) {
+        const succeeded = report.filter(entry => entry.success);
+        const failed = report.filter(entry => !entry.success);
+        const countByType = (type) => succeeded.filter(entry => entry.type === type).length;
+        
+        let message = `${failed.length === 0 ? 'Complete package exported!' : 'Package exported with some problems.'}
+
+📦 ${zipName}
+• PDF document: ${countByType('pdf')}
+• SVG vector files: ${countByType('svg')}
+• PNG images: ${countByType('png')}
+• Original thumbnails: ${countByType('thumbnail')}
+• Project manifest (manifest.json)`;
+
+        if (failed.length > 0) {
+            message += `\n\n⚠️ ${failed.length} file${failed.length > 1 ? 's' : ''} could not be created:\n`;
+            message += failed.map(entry => `• ${entry.filename}: ${entry.error}`).join('\n');
         }
+        
+        alert(message);
     }
 
     /**
@@ -594,6 +1887,16 @@ Generated: ${new Date().toLocaleString()}`;
         alert(errorMessage);
     }
 
+    /**
+     * Throw an AbortError if the signal has been aborted
+     * @param {AbortSignal} signal - Cancellation signal
+     */
+    throwIfAborted(signal) {
+        if (signal && signal.aborted) {
+            throw new DOMException('PDF export cancelled', 'AbortError');
+        }
+    }
+
     /**
      * Utility delay function
      * @param {number} ms - Delay in milliseconds
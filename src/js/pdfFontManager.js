@@ -0,0 +1,325 @@
+/**
+ * Photo Coloring Converter - PDF Font Manager
+ * Text fonts for PDF export: embeds a subset of the bundled TrueType font
+ * (Type0 / Identity-H with a ToUnicode map) so any script can be printed,
+ * and falls back to built-in Helvetica (WinAnsi) when the font is unavailable
+ */
+
+class PDFFontManager {
+    constructor() {
+        this.fontSettings = {
+            url: 'assets/fonts/DejaVuSans.ttf',   // Bundled font, see assets/fonts/README.md
+            fallbackFont: 'Helvetica'
+        };
+
+        this.fontPromise = null;
+
+        // Unicode -> WinAnsiEncoding codes 0x80-0x9F (0xA0-0xFF match Latin-1)
+        this.winAnsiExtras = new Map([
+            [0x20AC, 0x80], [0x201A, 0x82], [0x0192, 0x83], [0x201E, 0x84], [0x2026, 0x85],
+            [0x2020, 0x86], [0x2021, 0x87], [0x02C6, 0x88], [0x2030, 0x89], [0x0160, 0x8A],
+            [0x2039, 0x8B], [0x0152, 0x8C], [0x017D, 0x8E], [0x2018, 0x91], [0x2019, 0x92],
+            [0x201C, 0x93], [0x201D, 0x94], [0x2022, 0x95], [0x2013, 0x96], [0x2014, 0x97],
+            [0x02DC, 0x98], [0x2122, 0x99], [0x0161, 0x9A], [0x203A, 0x9B], [0x0153, 0x9C],
+            [0x017E, 0x9E], [0x0178, 0x9F]
+        ]);
+
+        // Helvetica advance widths (1/1000 em) for WinAnsi codes 32-255, from the standard AFM metrics
+        this.helveticaWidths = new Uint16Array(256);
+        [
+            [32, [278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278]],
+            [48, [556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556]],
+            [64, [1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778]],
+            [80, [667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556]],
+            [96, [333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556]],
+            [112, [556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584, 278]],
+            [128, [556, 278, 222, 556, 333, 1000, 556, 556, 333, 1000, 667, 333, 1000, 278, 611, 278]],
+            [144, [278, 222, 222, 333, 333, 350, 556, 1000, 333, 1000, 500, 333, 944, 278, 500, 667]],
+            [160, [278, 333, 556, 556, 556, 556, 260, 556, 333, 737, 370, 556, 584, 333, 737, 333]],
+            [176, [400, 584, 333, 333, 333, 556, 537, 278, 333, 333, 365, 556, 834, 834, 834, 611]],
+            [192, [667, 667, 667, 667, 667, 667, 1000, 722, 667, 667, 667, 667, 278, 278, 278, 278]],
+            [208, [722, 722, 778, 778, 778, 778, 778, 584, 778, 722, 722, 722, 722, 667, 667, 611]],
+            [224, [556, 556, 556, 556, 556, 556, 889, 500, 556, 556, 556, 556, 278, 278, 278, 278]],
+            [240, [556, 556, 556, 556, 556, 556, 556, 584, 611, 556, 556, 556, 556, 500, 556, 500]]
+        ].forEach(([start, widths]) => this.helveticaWidths.set(widths, start));
+
+        this.initializeFonts();
+    }
+
+    /**
+     * Initialize the font manager
+     */
+    initializeFonts() {
+        console.log('PDF Font Manager initialized');
+    }
+
+    /**
+     * Load and parse the bundled font once
+     * @returns {Promise<TrueTypeFont|null>} Font, or null when it cannot be embedded
+     */
+    loadFont() {
+        if (!this.fontPromise) {
+            this.fontPromise = this.fetchFont().catch(error => {
+                console.warn(`PDF font unavailable, using ${this.fontSettings.fallbackFont}:`, error.message);
+                return null;
+            });
+        }
+
+        return this.fontPromise;
+    }
+
+    /**
+     * Fetch and parse the bundled font
+     * @returns {Promise<TrueTypeFont>} Parsed font
+     */
+    async fetchFont() {
+        const response = await fetch(this.fontSettings.url);
+        if (!response.ok) {
+            throw new Error(`${this.fontSettings.url}: HTTP ${response.status}`);
+        }
+
+        const font = new window.TrueTypeFont(await response.arrayBuffer());
+        if (!font.isEmbeddable) {
+            throw new Error(`${font.postScriptName} does not allow embedding`);
+        }
+
+        return font;
+    }
+
+    /**
+     * Create the text font of one PDF document
+     * Glyphs are collected while page content is generated and written afterwards.
+     * @returns {Promise<Object>} Document font { embedded, font, glyphs }
+     */
+    async createDocumentFont() {
+        const font = await this.loadFont();
+
+        return {
+            embedded: Boolean(font),
+            font: font,
+            glyphs: new Map()   // Glyph id -> text it represents (for ToUnicode)
+        };
+    }
+
+    /**
+     * Encode text as a PDF string operand for the document font
+     * @param {Object|null} documentFont - Document font (null: built-in Helvetica)
+     * @param {string} text - Text to show
+     * @returns {string} Hex string of glyph ids, or an escaped WinAnsi literal string
+     */
+    encodeText(documentFont, text) {
+        const value = String(text);
+
+        if (!documentFont || !documentFont.embedded) {
+            return window.PDFObjectWriter.escapeString(this.toWinAnsi(value));
+        }
+
+        let hex = '';
+        for (const character of value) {
+            const glyph = documentFont.font.glyphForCodePoint(character.codePointAt(0));
+            if (!documentFont.glyphs.has(glyph)) {
+                documentFont.glyphs.set(glyph, character);
+            }
+            hex += glyph.toString(16).padStart(4, '0');
+        }
+
+        return `<${hex.toUpperCase()}>`;
+    }
+
+    /**
+     * Measure the width of a line of text
+     * @param {Object|null} documentFont - Document font (null: built-in Helvetica)
+     * @param {string} text - Text
+     * @param {number} fontSize - Font size in points
+     * @returns {number} Advance width in points
+     */
+    measureText(documentFont, text, fontSize) {
+        const value = String(text);
+        let width = 0;
+
+        if (!documentFont || !documentFont.embedded) {
+            const encoded = this.toWinAnsi(value);
+            for (let i = 0; i < encoded.length; i++) {
+                width += this.helveticaWidths[encoded.charCodeAt(i)];
+            }
+        } else {
+            for (const character of value) {
+                width += documentFont.font.getAdvanceWidth(documentFont.font.glyphForCodePoint(character.codePointAt(0)));
+            }
+        }
+
+        return width * fontSize / 1000;
+    }
+
+    /**
+     * Map text to WinAnsiEncoding, replacing characters Helvetica cannot show with '?'
+     * @param {string} text - Text
+     * @returns {string} One character per byte code
+     */
+    toWinAnsi(text) {
+        let result = '';
+
+        for (const character of text) {
+            const code = character.codePointAt(0);
+
+            if ((code >= 0x20 && code <= 0x7E) || (code >= 0xA0 && code <= 0xFF)) {
+                result += character;
+            } else if (this.winAnsiExtras.has(code)) {
+                result += String.fromCharCode(this.winAnsiExtras.get(code));
+            } else {
+                result += '?';
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Write the document font objects
+     * @param {Object} documentFont - Document font
+     * @param {PDFObjectWriter} writer - PDF writer
+     * @param {number} id - Reserved object number of the font dictionary
+     */
+    writeFont(documentFont, writer, id) {
+        if (!documentFont.embedded) {
+            writer.addObject({
+                Type: 'Font',
+                Subtype: 'Type1',
+                BaseFont: this.fontSettings.fallbackFont,
+                Encoding: 'WinAnsiEncoding'
+            }, id);
+            return;
+        }
+
+        const ref = window.PDFObjectWriter.ref;
+        const text = window.PDFObjectWriter.text;
+        const font = documentFont.font;
+        const glyphs = Array.from(documentFont.glyphs.keys()).sort((a, b) => a - b);
+        const baseFont = `${this.createSubsetTag(glyphs)}+${font.postScriptName}`;
+
+        const subset = font.subset(glyphs);
+        const fontFileId = writer.addStream({ Length1: subset.length }, subset);
+
+        const descriptorId = writer.addObject({
+            Type: 'FontDescriptor',
+            FontName: baseFont,
+            Flags: 32,   // Nonsymbolic
+            FontBBox: font.bbox.map(value => font.toGlyphSpace(value)),
+            ItalicAngle: font.italicAngle,
+            Ascent: font.toGlyphSpace(font.ascent),
+            Descent: font.toGlyphSpace(font.descent),
+            CapHeight: font.toGlyphSpace(font.capHeight),
+            StemV: 80,
+            FontFile2: ref(fontFileId)
+        });
+
+        const descendantId = writer.addObject({
+            Type: 'Font',
+            Subtype: 'CIDFontType2',
+            BaseFont: baseFont,
+            CIDSystemInfo: { Registry: text('Adobe'), Ordering: text('Identity'), Supplement: 0 },
+            FontDescriptor: ref(descriptorId),
+            DW: font.getAdvanceWidth(0),
+            W: this.createWidthArray(font, glyphs),
+            CIDToGIDMap: 'Identity'
+        });
+
+        const toUnicodeId = writer.addStream({}, this.createToUnicodeMap(documentFont.glyphs));
+
+        writer.addObject({
+            Type: 'Font',
+            Subtype: 'Type0',
+            BaseFont: baseFont,
+            Encoding: 'Identity-H',
+            DescendantFonts: [ref(descendantId)],
+            ToUnicode: ref(toUnicodeId)
+        }, id);
+    }
+
+    /**
+     * Build the CIDFont /W array, grouping consecutive glyph ids
+     * @param {TrueTypeFont} font - Font
+     * @param {Array<number>} glyphs - Sorted glyph ids
+     * @returns {Array} W array, e.g. [3 [278 556] 36 [667]]
+     */
+    createWidthArray(font, glyphs) {
+        const widths = [];
+        let run = null;
+
+        glyphs.forEach(glyph => {
+            if (!run || glyph !== run.start + run.widths.length) {
+                run = { start: glyph, widths: [] };
+                widths.push(run.start, run.widths);
+            }
+            run.widths.push(font.getAdvanceWidth(glyph));
+        });
+
+        return widths;
+    }
+
+    /**
+     * Build the ToUnicode CMap that lets viewers copy and search the text
+     * @param {Map<number, string>} glyphs - Glyph id -> text
+     * @returns {string} CMap program
+     */
+    createToUnicodeMap(glyphs) {
+        const toHex = (value, digits) => value.toString(16).toUpperCase().padStart(digits, '0');
+        const entries = Array.from(glyphs.entries())
+            .sort((a, b) => a[0] - b[0])
+            .map(([glyph, character]) => {
+                let unicode = '';
+                for (let i = 0; i < character.length; i++) {
+                    unicode += toHex(character.charCodeAt(i), 4);   // UTF-16BE, surrogate pairs included
+                }
+                return `<${toHex(glyph, 4)}> <${unicode}>`;
+            });
+
+        const blocks = [];
+        for (let i = 0; i < entries.length; i += 100) {
+            const block = entries.slice(i, i + 100);
+            blocks.push(`${block.length} beginbfchar\n${block.join('\n')}\nendbfchar`);
+        }
+
+        return [
+            '/CIDInit /ProcSet findresource begin',
+            '12 dict begin',
+            'begincmap',
+            '/CIDSystemInfo << /Registry (Adobe) /Ordering (UCS) /Supplement 0 >> def',
+            '/CMapName /Adobe-Identity-UCS def',
+            '/CMapType 2 def',
+            '1 begincodespacerange',
+            '<0000> <FFFF>',
+            'endcodespacerange',
+            ...blocks,
+            'endcmap',
+            'CMapName currentdict /CMap defineresource pop',
+            'end',
+            'end'
+        ].join('\n');
+    }
+
+    /**
+     * Create the six-letter tag that marks a font subset (e.g. "KQJBEA+DejaVuSans")
+     * @param {Array<number>} glyphs - Glyph ids in the subset
+     * @returns {string} Subset tag
+     */
+    createSubsetTag(glyphs) {
+        let hash = 2166136261;
+        glyphs.forEach(glyph => {
+            hash = Math.imul(hash ^ glyph, 16777619) >>> 0;
+        });
+
+        let tag = '';
+        for (let i = 0; i < 6; i++) {
+            tag += String.fromCharCode(65 + hash % 26);
+            hash = Math.floor(hash / 26);
+        }
+
+        return tag;
+    }
+}
+
+// Create global font manager instance
+window.PDFFonts = new PDFFontManager();
+
+console.log('PDF Font Manager loaded successfully');
@@ -0,0 +1,369 @@
+/**
+ * Photo Coloring Converter - PDF Object Writer
+ * Byte-level PDF file writer used by the PDF exporter
+ * Writes numbered indirect objects, FlateDecode streams (via CompressionStream
+ * when available), an exact cross-reference table and the trailer
+ */
+
+class PDFObjectWriter {
+    /**
+     * @param {Object} options - Writer options
+     * @param {string} options.compression - 'deflate' (default) or 'none'
+     * @param {string} options.version - PDF header version (default '1.4')
+     */
+    constructor(options = {}) {
+        this.compression = options.compression || 'deflate';
+        this.version = options.version || '1.4';
+        this.objects = [];   // Index = object number - 1; { dictionary, data, compress } or { value }
+        this.rootId = null;
+        this.infoId = null;
+    }
+
+    /**
+     * Reserve an object number, for objects that are referenced before they are written
+     * @returns {number} Object number
+     */
+    allocate() {
+        this.objects.push(null);
+        return this.objects.length;
+    }
+
+    /**
+     * Write a direct value as an indirect object
+     * @param {*} value - Object value (see serialize)
+     * @param {number} id - Reserved object number (allocates a new one when omitted)
+     * @returns {number} Object number
+     */
+    addObject(value, id = this.allocate()) {
+        this.setObject(id, { value });
+        return id;
+    }
+
+    /**
+     * Write a stream object
+     * @param {Object} dictionary - Stream dictionary without /Length and /Filter
+     * @param {string|Uint8Array} data - Stream contents; strings are written as Latin-1 bytes
+     * @param {Object} options - Stream options
+     * @param {boolean} options.compress - FlateDecode the stream (default true)
+     * @param {number} options.id - Reserved object number
+     * @returns {number} Object number
+     */
+    addStream(dictionary, data, options = {}) {
+        const id = options.id || this.allocate();
+
+        this.setObject(id, {
+            dictionary: dictionary,
+            data: typeof data === 'string' ? this.encodeLatin1(data) : data,
+            compress: options.compress !== false
+        });
+
+        return id;
+    }
+
+    /**
+     * Store an object under a reserved number
+     * @param {number} id - Object number
+     * @param {Object} entry - Object entry
+     */
+    setObject(id, entry) {
+        if (id < 1 || id > this.objects.length) {
+            throw new Error(`PDF object ${id} was not allocated`);
+        }
+        if (this.objects[id - 1]) {
+            throw new Error(`PDF object ${id} is already written`);
+        }
+
+        this.objects[id - 1] = entry;
+    }
+
+    /**
+     * Set the document catalog
+     * @param {number} id - Catalog object number
+     */
+    setRoot(id) {
+        this.rootId = id;
+    }
+
+    /**
+     * Write the document information dictionary as an indirect object
+     * @param {Object} info - Info entries (Title, Author, CreationDate...), already serializable
+     * @returns {number} Object number
+     */
+    setInfo(info) {
+        this.infoId = this.addObject(info);
+        return this.infoId;
+    }
+
+    /**
+     * Build the file as a Blob
+     * @returns {Promise<Blob>} PDF file blob
+     */
+    async generateBlob() {
+        const bytes = await this.generate();
+        return new Blob([bytes], { type: 'application/pdf' });
+    }
+
+    /**
+     * Build the file bytes
+     * @returns {Promise<Uint8Array>} PDF file contents
+     */
+    async generate() {
+        if (!this.rootId) {
+            throw new Error('PDF document has no catalog');
+        }
+
+        const missing = this.objects.findIndex(entry => !entry);
+        if (missing >= 0) {
+            throw new Error(`PDF object ${missing + 1} was allocated but never written`);
+        }
+
+        // The binary comment marks the file as binary for transfer tools
+        const parts = [this.encodeLatin1(`%PDF-${this.version}\n%âãÏÓ\n`)];
+        const offsets = [];
+        let offset = parts[0].length;
+
+        for (let i = 0; i < this.objects.length; i++) {
+            const bytes = await this.serializeObject(i + 1, this.objects[i]);
+            offsets.push(offset);
+            parts.push(bytes);
+            offset += bytes.length;
+        }
+
+        // Every cross-reference entry is exactly 20 bytes, including the two-character end of line
+        let xref = `xref\n0 ${this.objects.length + 1}\n0000000000 65535 f\r\n`;
+        offsets.forEach(position => {
+            xref += `${String(position).padStart(10, '0')} 00000 n\r\n`;
+        });
+
+        const trailer = {
+            Size: this.objects.length + 1,
+            Root: PDFObjectWriter.ref(this.rootId)
+        };
+        if (this.infoId) {
+            trailer.Info = PDFObjectWriter.ref(this.infoId);
+        }
+
+        xref += `trailer\n${this.serialize(trailer)}\nstartxref\n${offset}\n%%EOF\n`;
+        parts.push(this.encodeLatin1(xref));
+
+        return this.concatBytes(parts);
+    }
+
+    /**
+     * Serialize one indirect object
+     * @param {number} id - Object number
+     * @param {Object} entry - Object entry
+     * @returns {Promise<Uint8Array>} Object bytes ("n 0 obj ... endobj")
+     */
+    async serializeObject(id, entry) {
+        if (!entry.data) {
+            return this.encodeLatin1(`${id} 0 obj\n${this.serialize(entry.value)}\nendobj\n`);
+        }
+
+        // Only keep the deflated form when it actually saves space
+        let data = entry.data;
+        const dictionary = { ...entry.dictionary };
+        if (entry.compress && this.compression === 'deflate' && data.length > 0) {
+            const deflated = await this.compress(data);
+            if (deflated && deflated.length < data.length) {
+                data = deflated;
+                dictionary.Filter = 'FlateDecode';
+            }
+        }
+        dictionary.Length = data.length;
+
+        return this.concatBytes([
+            this.encodeLatin1(`${id} 0 obj\n${this.serialize(dictionary)}\nstream\n`),
+            data,
+            this.encodeLatin1('\nendstream\nendobj\n')
+        ]);
+    }
+
+    /**
+     * Serialize a value to PDF syntax
+     * Numbers, booleans and null map directly; JS strings are written as names;
+     * arrays and plain objects become arrays and dictionaries. Use ref(), text(),
+     * date() and raw() for the other object types.
+     * @param {*} value - Value to serialize
+     * @returns {string} PDF syntax
+     */
+    serialize(value) {
+        if (value === null || value === undefined) return 'null';
+        if (typeof value === 'number') return PDFObjectWriter.formatNumber(value);
+        if (typeof value === 'boolean') return value ? 'true' : 'false';
+        if (typeof value === 'string') return PDFObjectWriter.formatName(value);
+        if (Array.isArray(value)) return `[${value.map(item => this.serialize(item)).join(' ')}]`;
+
+        switch (value.pdfType) {
+            case 'ref':
+                return `${value.id} 0 R`;
+            case 'raw':
+                return value.source;
+            case undefined: {
+                const entries = Object.keys(value)
+                    .filter(key => value[key] !== undefined)
+                    .map(key => `${PDFObjectWriter.formatName(key)} ${this.serialize(value[key])}`);
+                return `<<\n${entries.join('\n')}\n>>`;
+            }
+            default:
+                throw new Error(`Unsupported PDF value type: ${value.pdfType}`);
+        }
+    }
+
+    /**
+     * Zlib-deflate bytes (FlateDecode) using the browser CompressionStream API
+     * @param {Uint8Array} bytes - Uncompressed bytes
+     * @returns {Promise<Uint8Array|null>} Deflated bytes, or null when unsupported
+     */
+    async compress(bytes) {
+        if (typeof CompressionStream === 'undefined') return null;
+
+        try {
+            const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate'));
+            return new Uint8Array(await new Response(stream).arrayBuffer());
+        } catch (error) {
+            console.log('deflate not supported, writing PDF streams uncompressed');
+            return null;
+        }
+    }
+
+    /**
+     * Encode a string as Latin-1 bytes (characters above U+00FF become '?')
+     * @param {string} text - Text to encode
+     * @returns {Uint8Array} Bytes
+     */
+    encodeLatin1(text) {
+        const bytes = new Uint8Array(text.length);
+
+        for (let i = 0; i < text.length; i++) {
+            const code = text.charCodeAt(i);
+            bytes[i] = code <= 0xFF ? code : 0x3F;
+        }
+
+        return bytes;
+    }
+
+    /**
+     * Concatenate byte arrays
+     * @param {Uint8Array[]} parts - Byte arrays
+     * @returns {Uint8Array} Combined bytes
+     */
+    concatBytes(parts) {
+        const total = parts.reduce((sum, part) => sum + part.length, 0);
+        const result = new Uint8Array(total);
+        let offset = 0;
+
+        parts.forEach(part => {
+            result.set(part, offset);
+            offset += part.length;
+        });
+
+        return result;
+    }
+
+    /**
+     * Reference an indirect object
+     * @param {number} id - Object number
+     * @returns {Object} Reference value
+     */
+    static ref(id) {
+        return { pdfType: 'ref', id };
+    }
+
+    /**
+     * Create a text string value
+     * Latin-1 text is written as an escaped literal string, anything else as UTF-16BE with a byte order mark.
+     * @param {string} value - Text
+     * @returns {Object} Text string value
+     */
+    static text(value) {
+        const text = String(value);
+
+        if (/^[\u0000-\u00FF]*$/.test(text)) {
+            return PDFObjectWriter.raw(PDFObjectWriter.escapeString(text));
+        }
+
+        let hex = 'FEFF';
+        for (let i = 0; i < text.length; i++) {
+            hex += text.charCodeAt(i).toString(16).padStart(4, '0').toUpperCase();
+        }
+        return PDFObjectWriter.raw(`<${hex}>`);
+    }
+
+    /**
+     * Create a date string value (PDF date format, local time with offset)
+     * @param {Date} date - Date
+     * @returns {Object} Date string value
+     */
+    static date(date) {
+        const pad = (value) => String(value).padStart(2, '0');
+        const offset = -date.getTimezoneOffset();
+        const sign = offset >= 0 ? '+' : '-';
+
+        const stamp = `D:${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}` +
+            `${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}` +
+            `${sign}${pad(Math.floor(Math.abs(offset) / 60))}'${pad(Math.abs(offset) % 60)}'`;
+
+        return PDFObjectWriter.raw(`(${stamp})`);
+    }
+
+    /**
+     * Create a value written verbatim
+     * @param {string} source - PDF syntax
+     * @returns {Object} Raw value
+     */
+    static raw(source) {
+        return { pdfType: 'raw', source };
+    }
+
+    /**
+     * Escape a Latin-1 string as a PDF literal string, parentheses included
+     * @param {string} text - Text (characters up to U+00FF)
+     * @returns {string} Literal string, e.g. "(Hello \\(world\\))"
+     */
+    static escapeString(text) {
+        let result = '(';
+
+        for (let i = 0; i < text.length; i++) {
+            const character = text[i];
+            const code = text.charCodeAt(i);
+
+            if (character === '(' || character === ')' || character === '\\') {
+                result += '\\' + character;
+            } else if (code < 0x20 || code > 0x7E) {
+                result += '\\' + code.toString(8).padStart(3, '0');
+            } else {
+                result += character;
+            }
+        }
+
+        return result + ')';
+    }
+
+    /**
+     * Write a name, escaping delimiters and non-printable characters
+     * @param {string} name - Name without the leading slash
+     * @returns {string} PDF name
+     */
+    static formatName(name) {
+        return '/' + String(name).replace(/[^!-~]|[#()<>[\]{}/%]/g, character =>
+            '#' + character.charCodeAt(0).toString(16).padStart(2, '0'));
+    }
+
+    /**
+     * Format a number for PDF output
+     * @param {number} value - Numeric value
+     * @returns {string} Compact decimal representation (never exponent notation)
+     */
+    static formatNumber(value) {
+        if (!Number.isFinite(value)) return '0';
+        if (Number.isInteger(value)) return String(value);
+
+        return parseFloat(value.toFixed(4)).toString();
+    }
+}
+
+// Expose the writer class; a writer is created per PDF file
+window.PDFObjectWriter = PDFObjectWriter;
+
+console.log('PDF Object Writer loaded successfully');
@@ -0,0 +1,557 @@
+/**
+ * Photo Coloring Converter - Photo Editor
+ * Crop, 90° rotation, straighten and flip edits per selected photo
+ * Edits are stored per file and applied by ImageProcessingEngine.applyPhotoEdits
+ * before the processing pipeline runs; the subject isolation choice made here
+ * reaches the pipeline through the page settings
+ */
+
+class PhotoEditManager {
+    constructor() {
+        this.editorSettings = {
+            previewSize: 600,      // Longest side of the editor preview in pixels
+            minCropSize: 0.05,     // Smallest crop side as a fraction of the image
+            maxStraighten: 45
+        };
+
+        this.edits = new Map(); // File -> edits
+        this.activeEditor = null;
+
+        this.initializeEditor();
+    }
+
+    /**
+     * Initialize the photo editor
+     */
+    initializeEditor() {
+        document.addEventListener('keydown', (event) => {
+            if (event.key === 'Escape' && this.activeEditor) {
+                event.stopPropagation();
+                this.closeEditor();
+            }
+        }, true);
+
+        console.log('Photo Editor initialized');
+    }
+
+    /**
+     * Get the default (identity) edits
+     * @returns {Object} Edits that leave the photo unchanged
+     */
+    createDefaultEdits() {
+        return {
+            rotation: 0,
+            straighten: 0,
+            flipH: false,
+            flipV: false,
+            crop: { x: 0, y: 0, width: 1, height: 1 },
+            subject: { mode: 'off', box: null } // Box is in the same frame as the crop
+        };
+    }
+
+    /**
+     * Get the stored edits of a file
+     * @param {File} file - Image file
+     * @returns {Object|null} Edits, or null when the photo is unedited
+     */
+    getEdits(file) {
+        return this.edits.get(file) || null;
+    }
+
+    /**
+     * Check whether edits change the photo at all
+     * @param {Object} edits - Photo edits
+     * @returns {boolean} True for identity edits
+     */
+    isIdentity(edits) {
+        const crop = edits.crop;
+
+        return edits.rotation % 360 === 0 &&
+            edits.straighten === 0 &&
+            !edits.flipH &&
+            !edits.flipV &&
+            crop.x === 0 && crop.y === 0 && crop.width === 1 && crop.height === 1 &&
+            (!edits.subject || edits.subject.mode === 'off');
+    }
+
+    /**
+     * Get the subject isolation settings of a file for the processing pipeline
+     * The subject box is converted from the editor frame to the cropped image.
+     * @param {File} file - Image file
+     * @returns {Object} { subjectIsolation, subjectBox } or an empty object when isolation is off
+     */
+    getSubjectSettings(file) {
+        const edits = this.getEdits(file);
+        if (!edits || !edits.subject || edits.subject.mode === 'off') return {};
+
+        const settings = { subjectIsolation: edits.subject.mode };
+        const box = edits.subject.box;
+
+        if (edits.subject.mode === 'box' && box) {
+            const crop = edits.crop;
+            const left = this.clamp((box.x - crop.x) / crop.width, 0, 1);
+            const top = this.clamp((box.y - crop.y) / crop.height, 0, 1);
+            const right = this.clamp((box.x + box.width - crop.x) / crop.width, 0, 1);
+            const bottom = this.clamp((box.y + box.height - crop.y) / crop.height, 0, 1);
+
+            if (right > left && bottom > top) {
+                settings.subjectBox = { x: left, y: top, width: right - left, height: bottom - top };
+            }
+        }
+
+        return settings;
+    }
+
+    /**
+     * Forget all edits (a new set of files was selected)
+     */
+    reset() {
+        this.closeEditor();
+        this.edits.clear();
+    }
+
+    /**
+     * Open the editor for one selected photo
+     * @param {number} index - Index into the selected files
+     * @param {HTMLElement} card - Preview card that opened the editor
+     */
+    async openEditor(index, card) {
+        const file = window.AppState.selectedFiles[index];
+        if (!file || !window.ImageProcessor) return;
+
+        this.closeEditor();
+
+        const state = {
+            file: file,
+            card: card,
+            edits: JSON.parse(JSON.stringify(this.getEdits(file) || this.createDefaultEdits())),
+            source: null,
+            modal: this.createModal(file)
+        };
+        this.activeEditor = state;
+        document.body.appendChild(state.modal);
+
+        try {
+            state.source = await this.loadEditorSource(file);
+        } catch (error) {
+            console.error('Photo editor failed to load image:', error);
+            alert(`❌ Could not open "${file.name}" for editing.`);
+            this.closeEditor();
+            return;
+        }
+
+        // The editor may have been closed while decoding
+        if (this.activeEditor !== state) return;
+
+        this.setupControls(state);
+        this.setupBoxHandles(state, state.modal.querySelector('.photo-editor-crop'), 'crop');
+        this.setupBoxHandles(state, state.modal.querySelector('.photo-editor-subject'), 'subject');
+        this.renderEditor(state);
+    }
+
+    /**
+     * Close the active editor without saving
+     */
+    closeEditor() {
+        if (this.activeEditor) {
+            this.activeEditor.modal.remove();
+            this.activeEditor = null;
+        }
+    }
+
+    /**
+     * Build the editor dialog
+     * @param {File} file - Image file
+     * @returns {HTMLElement} Modal element
+     */
+    createModal(file) {
+        const modal = document.createElement('div');
+        modal.className = 'photo-editor-modal';
+        modal.setAttribute('role', 'dialog');
+        modal.setAttribute('aria-modal', 'true');
+
+        modal.innerHTML = `
+            <div class="photo-editor">
+                <h3>Edit photo</h3>
+                <p class="file-name"></p>
+                <div class="photo-editor-stage">
+                    <canvas class="photo-editor-canvas"></canvas>
+                    <div class="photo-editor-crop">
+                        <span class="crop-handle" data-handle="nw"></span>
+                        <span class="crop-handle" data-handle="ne"></span>
+                        <span class="crop-handle" data-handle="sw"></span>
+                        <span class="crop-handle" data-handle="se"></span>
+                    </div>
+                    <div class="photo-editor-subject" hidden>
+                        <span class="crop-handle" data-handle="nw"></span>
+                        <span class="crop-handle" data-handle="ne"></span>
+                        <span class="crop-handle" data-handle="sw"></span>
+                        <span class="crop-handle" data-handle="se"></span>
+                    </div>
+                </div>
+                <div class="photo-editor-tools">
+                    <button type="button" class="preset-btn" data-edit="rotateLeft" title="Rotate left">⟲ 90°</button>
+                    <button type="button" class="preset-btn" data-edit="rotateRight" title="Rotate right">⟳ 90°</button>
+                    <button type="button" class="preset-btn" data-edit="flipH">⇋ Flip horizontal</button>
+                    <button type="button" class="preset-btn" data-edit="flipV">⇵ Flip vertical</button>
+                    <button type="button" class="preset-btn" data-edit="resetCrop">Reset crop</button>
+                </div>
+                <label class="photo-editor-straighten">
+                    Straighten <output class="straighten-value">0°</output>
+                    <input type="range" class="advanced-input straighten-input"
+                           min="-${this.editorSettings.maxStraighten}" max="${this.editorSettings.maxStraighten}" step="0.5" value="0">
+                </label>
+                <div class="photo-editor-tools photo-editor-subject-tools" role="group" aria-label="Subject isolation">
+                    <span>Background:</span>
+                    <button type="button" class="preset-btn" data-subject="off">Keep</button>
+                    <button type="button" class="preset-btn" data-subject="auto" title="Detect the subject automatically">Remove (auto)</button>
+                    <button type="button" class="preset-btn" data-subject="box" title="Drag the dashed box around the subject">Remove (box)</button>
+                </div>
+                <div class="photo-editor-actions">
+                    <button type="button" class="preset-btn" data-edit="resetAll">↩️ Reset all</button>
+                    <button type="button" class="preset-btn" data-edit="cancel">Cancel</button>
+                    <button type="button" class="preset-btn primary" data-edit="apply">✅ Apply</button>
+                </div>
+            </div>
+        `;
+
+        modal.querySelector('.file-name').textContent = file.name;
+
+        // Clicking the backdrop cancels
+        modal.addEventListener('click', (event) => {
+            if (event.target === modal) this.closeEditor();
+        });
+
+        return modal;
+    }
+
+    /**
+     * Decode the photo at editor preview size
+     * @param {File} file - Image file
+     * @returns {Promise<ImageData>} Downscaled image data
+     */
+    async loadEditorSource(file) {
+        const url = URL.createObjectURL(file);
+
+        try {
+            const img = await new Promise((resolve, reject) => {
+                const image = new Image();
+                image.onload = () => resolve(image);
+                image.onerror = () => reject(new Error(`Failed to load image: ${file.name}`));
+                image.src = url;
+            });
+
+            const scale = Math.min(1, this.editorSettings.previewSize / Math.max(img.width, img.height));
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.max(1, Math.round(img.width * scale));
+            canvas.height = Math.max(1, Math.round(img.height * scale));
+
+            const context = canvas.getContext('2d');
+            context.drawImage(img, 0, 0, canvas.width, canvas.height);
+
+            // Edit the photo the way it will be processed: upright
+            const imageData = context.getImageData(0, 0, canvas.width, canvas.height);
+            return window.ExifReader ? (await window.ExifReader.orientImageData(file, imageData)).imageData : imageData;
+        } finally {
+            URL.revokeObjectURL(url);
+        }
+    }
+
+    /**
+     * Wire the rotation, flip, straighten and dialog buttons
+     * @param {Object} state - Editor state
+     */
+    setupControls(state) {
+        const modal = state.modal;
+        const straightenInput = modal.querySelector('.straighten-input');
+        straightenInput.value = state.edits.straighten;
+
+        modal.querySelectorAll('[data-edit]').forEach(button => {
+            button.addEventListener('click', () => {
+                const edits = state.edits;
+
+                // Flips are applied before the quarter turn, so a single flip reverses its direction
+                const turn = edits.flipH !== edits.flipV ? -90 : 90;
+
+                switch (button.dataset.edit) {
+                    case 'rotateLeft':
+                        edits.rotation = (edits.rotation - turn + 360) % 360;
+                        edits.crop = this.createDefaultEdits().crop; // Crop frame changed orientation
+                        edits.subject.box = this.createSubjectBox(edits.crop);
+                        break;
+                    case 'rotateRight':
+                        edits.rotation = (edits.rotation + turn + 360) % 360;
+                        edits.crop = this.createDefaultEdits().crop;
+                        edits.subject.box = this.createSubjectBox(edits.crop);
+                        break;
+                    case 'flipH':
+                        // Mirror what is on screen: the straighten angle mirrors too
+                        edits.flipH = !edits.flipH;
+                        edits.straighten = -edits.straighten;
+                        edits.crop = { ...edits.crop, x: 1 - edits.crop.x - edits.crop.width };
+                        if (edits.subject.box) {
+                            edits.subject.box = { ...edits.subject.box, x: 1 - edits.subject.box.x - edits.subject.box.width };
+                        }
+                        break;
+                    case 'flipV':
+                        edits.flipV = !edits.flipV;
+                        edits.straighten = -edits.straighten;
+                        edits.crop = { ...edits.crop, y: 1 - edits.crop.y - edits.crop.height };
+                        if (edits.subject.box) {
+                            edits.subject.box = { ...edits.subject.box, y: 1 - edits.subject.box.y - edits.subject.box.height };
+                        }
+                        break;
+                    case 'resetCrop':
+                        edits.crop = this.createDefaultEdits().crop;
+                        break;
+                    case 'resetAll':
+                        state.edits = this.createDefaultEdits();
+                        straightenInput.value = 0;
+                        break;
+                    case 'cancel':
+                        this.closeEditor();
+                        return;
+                    case 'apply':
+                        this.applyEditor(state);
+                        return;
+                }
+
+                this.renderEditor(state);
+            });
+        });
+
+        modal.querySelectorAll('[data-subject]').forEach(button => {
+            button.addEventListener('click', () => {
+                const subject = state.edits.subject;
+                subject.mode = button.dataset.subject;
+
+                if (subject.mode === 'box' && !subject.box) {
+                    subject.box = this.createSubjectBox(state.edits.crop);
+                }
+
+                this.renderEditor(state);
+            });
+        });
+
+        straightenInput.addEventListener('input', () => {
+            state.edits.straighten = parseFloat(straightenInput.value) || 0;
+            this.renderEditor(state);
+        });
+    }
+
+    /**
+     * Default subject box: the middle of the crop
+     * @param {Object} crop - Normalized crop
+     * @returns {Object} Normalized subject box
+     */
+    createSubjectBox(crop) {
+        return {
+            x: crop.x + crop.width * 0.15,
+            y: crop.y + crop.height * 0.1,
+            width: crop.width * 0.7,
+            height: crop.height * 0.8
+        };
+    }
+
+    /**
+     * Dragging inside a box (crop or subject) moves it, dragging a corner resizes it
+     * @param {Object} state - Editor state
+     * @param {HTMLElement} boxElement - Box overlay element
+     * @param {string} target - 'crop' or 'subject'
+     */
+    setupBoxHandles(state, boxElement, target) {
+        const canvas = state.modal.querySelector('.photo-editor-canvas');
+        const minSize = this.editorSettings.minCropSize;
+
+        const readBox = () => target === 'crop' ? state.edits.crop : state.edits.subject.box;
+        const writeBox = (box) => {
+            if (target === 'crop') {
+                state.edits.crop = box;
+            } else {
+                state.edits.subject.box = box;
+            }
+        };
+
+        boxElement.addEventListener('pointerdown', (event) => {
+            event.preventDefault();
+            event.stopPropagation();
+            boxElement.setPointerCapture(event.pointerId);
+
+            const handle = event.target.dataset.handle || 'move';
+            const rect = canvas.getBoundingClientRect();
+            const start = { x: event.clientX, y: event.clientY, crop: { ...readBox() } };
+
+            const onMove = (moveEvent) => {
+                const dx = (moveEvent.clientX - start.x) / rect.width;
+                const dy = (moveEvent.clientY - start.y) / rect.height;
+                const crop = { ...start.crop };
+
+                if (handle === 'move') {
+                    crop.x = this.clamp(start.crop.x + dx, 0, 1 - crop.width);
+                    crop.y = this.clamp(start.crop.y + dy, 0, 1 - crop.height);
+                } else {
+                    const right = start.crop.x + start.crop.width;
+                    const bottom = start.crop.y + start.crop.height;
+
+                    if (handle.includes('w')) {
+                        crop.x = this.clamp(start.crop.x + dx, 0, right - minSize);
+                        crop.width = right - crop.x;
+                    } else {
+                        crop.width = this.clamp(start.crop.width + dx, minSize, 1 - crop.x);
+                    }
+
+                    if (handle.includes('n')) {
+                        crop.y = this.clamp(start.crop.y + dy, 0, bottom - minSize);
+                        crop.height = bottom - crop.y;
+                    } else {
+                        crop.height = this.clamp(start.crop.height + dy, minSize, 1 - crop.y);
+                    }
+                }
+
+                writeBox(crop);
+                this.renderCropBox(state);
+            };
+            const onUp = () => {
+                boxElement.removeEventListener('pointermove', onMove);
+                boxElement.removeEventListener('pointerup', onUp);
+                boxElement.removeEventListener('pointercancel', onUp);
+            };
+
+            boxElement.addEventListener('pointermove', onMove);
+            boxElement.addEventListener('pointerup', onUp);
+            boxElement.addEventListener('pointercancel', onUp);
+        });
+    }
+
+    /**
+     * Draw the rotated/straightened photo and position the crop box
+     * @param {Object} state - Editor state
+     */
+    renderEditor(state) {
+        // The preview shows the full frame; the crop box marks what is kept
+        const frame = window.ImageProcessor.applyPhotoEdits(state.source, { ...state.edits, crop: null });
+
+        const canvas = state.modal.querySelector('.photo-editor-canvas');
+        canvas.width = frame.width;
+        canvas.height = frame.height;
+        canvas.getContext('2d').putImageData(frame, 0, 0);
+
+        state.modal.querySelector('.straighten-value').textContent = `${state.edits.straighten}°`;
+        state.modal.querySelector('.straighten-input').value = state.edits.straighten;
+        state.modal.querySelectorAll('[data-subject]').forEach(button => {
+            button.classList.toggle('primary', button.dataset.subject === state.edits.subject.mode);
+        });
+        this.renderCropBox(state);
+    }
+
+    /**
+     * Position the crop box (and the subject box in box mode) over the preview canvas
+     * @param {Object} state - Editor state
+     */
+    renderCropBox(state) {
+        const subject = state.edits.subject;
+        const subjectBox = state.modal.querySelector('.photo-editor-subject');
+
+        this.positionBox(state.modal.querySelector('.photo-editor-crop'), state.edits.crop);
+
+        subjectBox.hidden = subject.mode !== 'box' || !subject.box;
+        if (!subjectBox.hidden) {
+            this.positionBox(subjectBox, subject.box);
+        }
+    }
+
+    /**
+     * Place an overlay element at a normalized box
+     * @param {HTMLElement} element - Overlay element
+     * @param {Object} box - Normalized { x, y, width, height }
+     */
+    positionBox(element, box) {
+        element.style.left = `${box.x * 100}%`;
+        element.style.top = `${box.y * 100}%`;
+        element.style.width = `${box.width * 100}%`;
+        element.style.height = `${box.height * 100}%`;
+    }
+
+    /**
+     * Store the edits, update the preview card and notify listeners
+     * @param {Object} state - Editor state
+     */
+    applyEditor(state) {
+        const edits = state.edits;
+
+        if (this.isIdentity(edits)) {
+            this.edits.delete(state.file);
+        } else {
+            this.edits.set(state.file, edits);
+        }
+
+        this.updateCard(state);
+        this.closeEditor();
+
+        document.dispatchEvent(new CustomEvent('settings:changed', {
+            detail: {
+                setting: 'photoEdits',
+                value: state.file.name,
+                advanced: true,
+                timestamp: new Date().toISOString()
+            }
+        }));
+
+        console.log(`Photo edits ${this.edits.has(state.file) ? 'saved' : 'cleared'}: ${state.file.name}`);
+    }
+
+    /**
+     * Show the edited photo and an "Edited" badge on the preview card
+     * @param {Object} state - Editor state
+     */
+    updateCard(state) {
+        const card = state.card;
+        if (!card) return;
+
+        const image = card.querySelector('.preview-image');
+        if (image) {
+            if (!image.dataset.originalSrc) {
+                image.dataset.originalSrc = image.src;
+            }
+
+            if (this.edits.has(state.file)) {
+                const edited = window.ImageProcessor.applyPhotoEdits(state.source, state.edits);
+                const canvas = document.createElement('canvas');
+                canvas.width = edited.width;
+                canvas.height = edited.height;
+                canvas.getContext('2d').putImageData(edited, 0, 0);
+                image.src = canvas.toDataURL('image/jpeg', 0.85);
+            } else {
+                image.src = image.dataset.originalSrc;
+            }
+        }
+
+        let badge = card.querySelector('.edit-badge');
+        if (this.edits.has(state.file)) {
+            if (!badge) {
+                badge = document.createElement('span');
+                badge.className = 'override-badge edit-badge';
+                badge.textContent = 'Edited';
+                card.insertBefore(badge, card.firstChild);
+            }
+        } else if (badge) {
+            badge.remove();
+        }
+    }
+
+    /**
+     * Clamp a value to a range
+     * @param {number} value - Value
+     * @param {number} min - Minimum
+     * @param {number} max - Maximum
+     * @returns {number} Clamped value
+     */
+    clamp(value, min, max) {
+        return Math.min(max, Math.max(min, value));
+    }
+}
+
+// Initialize global photo editor
+window.PhotoEdits = new PhotoEditManager();
+
+console.log('Photo Editor loaded successfully');
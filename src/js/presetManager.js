@@ -0,0 +1,377 @@
+/**
+ * Photo Coloring Converter - Settings Presets
+ * Named profiles of the UI settings plus the advanced engine parameters,
+ * stored in localStorage and shareable as JSON files
+ */
+
+class SettingsPresetManager {
+    constructor() {
+        this.storageKey = 'photoColoringConverter_presets';
+        this.fileFormat = 'photo-coloring-converter-presets';
+        this.formatVersion = 1;
+
+        // Per-project values that should not travel with a recipe
+        this.excludedSettings = ['projectTitle'];
+
+        // No prototype: names come from users and imported files ("__proto__", "constructor"...)
+        this.presets = Object.create(null);
+
+        this.initializeManager();
+    }
+
+    /**
+     * Load stored presets and wire up the preset bar
+     */
+    initializeManager() {
+        this.presets = this.loadPresets();
+
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', () => this.setupUI());
+        } else {
+            this.setupUI();
+        }
+
+        console.log(`Settings Preset Manager initialized (${Object.keys(this.presets).length} presets)`);
+    }
+
+    /**
+     * Bind the preset bar controls
+     */
+    setupUI() {
+        const bar = document.getElementById('presetBar');
+        if (!bar) return;
+
+        bar.querySelectorAll('[data-preset-action]').forEach(button => {
+            button.addEventListener('click', () => {
+                switch (button.dataset.presetAction) {
+                    case 'save':
+                        this.saveCurrentAsPreset();
+                        break;
+                    case 'delete':
+                        this.deleteSelectedPreset();
+                        break;
+                    case 'export':
+                        this.exportPresets();
+                        break;
+                    case 'import':
+                        document.getElementById('presetImportInput').click();
+                        break;
+                }
+            });
+        });
+
+        document.getElementById('presetSelect').addEventListener('change', (event) => {
+            if (event.target.value) {
+                this.loadPreset(event.target.value);
+            }
+        });
+
+        document.getElementById('presetImportInput').addEventListener('change', async (event) => {
+            const file = event.target.files[0];
+            event.target.value = '';
+            if (file) {
+                await this.importPresets(file);
+            }
+        });
+
+        this.renderPresetOptions();
+    }
+
+    /**
+     * Rebuild the preset picker options
+     * @param {string} selectedName - Preset to select afterwards
+     */
+    renderPresetOptions(selectedName = '') {
+        const select = document.getElementById('presetSelect');
+        if (!select) return;
+
+        select.innerHTML = '<option value="">Choose a preset...</option>';
+
+        Object.keys(this.presets)
+            .sort((a, b) => a.localeCompare(b))
+            .forEach(name => {
+                const option = document.createElement('option');
+                option.value = name;
+                option.textContent = name;
+                select.appendChild(option);
+            });
+
+        select.value = selectedName;
+    }
+
+    /**
+     * Capture the current UI settings and engine parameters
+     * @returns {Object} Preset body { settings, advanced }
+     */
+    captureCurrentSettings() {
+        const settings = { ...window.AppState.currentSettings };
+        this.excludedSettings.forEach(key => delete settings[key]);
+
+        const advanced = window.AdvancedSettings ? window.AdvancedSettings.readEngineValues() : {};
+
+        return { settings, advanced };
+    }
+
+    /**
+     * Ask for a name and store the current settings under it
+     */
+    saveCurrentAsPreset() {
+        const select = document.getElementById('presetSelect');
+        const name = (prompt('Preset name:', select ? select.value : '') || '').trim();
+        if (!name) return;
+
+        if (this.presets[name] && !confirm(`Replace the existing preset "${name}"?`)) {
+            return;
+        }
+
+        this.presets[name] = {
+            ...this.captureCurrentSettings(),
+            savedAt: new Date().toISOString()
+        };
+
+        this.savePresets();
+        this.renderPresetOptions(name);
+
+        console.log(`Preset saved: ${name}`);
+    }
+
+    /**
+     * Apply a stored preset to the UI and the engines
+     * @param {string} name - Preset name
+     */
+    loadPreset(name) {
+        const preset = this.presets[name];
+        if (!preset) return;
+
+        const settings = this.validateSettings(preset.settings);
+
+        // UI settings: merge so excluded values (project title) are kept
+        Object.keys(settings).forEach(key => {
+            document.getElementById(key).value = settings[key];
+        });
+        window.AppState.currentSettings = { ...window.AppState.currentSettings, ...settings };
+
+        if (window.AppController) {
+            window.AppController.saveSettings();
+        }
+
+        if (window.AdvancedSettings) {
+            window.AdvancedSettings.applyValues(preset.advanced || {});
+            window.AdvancedSettings.saveValues();
+            window.AdvancedSettings.renderPanel();
+        }
+
+        document.dispatchEvent(new CustomEvent('settings:changed', {
+            detail: {
+                setting: 'preset',
+                value: name,
+                advanced: true,
+                timestamp: new Date().toISOString()
+            }
+        }));
+
+        console.log(`Preset loaded: ${name}`);
+    }
+
+    /**
+     * Delete the preset currently chosen in the picker
+     */
+    deleteSelectedPreset() {
+        const select = document.getElementById('presetSelect');
+        const name = select ? select.value : '';
+
+        if (!name) {
+            alert('📋 Choose a preset to delete first.');
+            return;
+        }
+
+        if (!confirm(`Delete the preset "${name}"?`)) return;
+
+        delete this.presets[name];
+        this.savePresets();
+        this.renderPresetOptions();
+    }
+
+    /**
+     * Keep only known UI settings with values their inputs accept
+     * @param {Object} settings - Raw settings
+     * @returns {Object} Valid settings
+     */
+    validateSettings(settings) {
+        const valid = {};
+        if (!settings || typeof settings !== 'object') return valid;
+
+        Object.keys(settings).forEach(key => {
+            const element = document.getElementById(key);
+            const value = settings[key];
+
+            if (!element || !element.classList.contains('setting-input') || this.excludedSettings.includes(key)) {
+                return;
+            }
+            if (typeof value !== 'string') return;
+
+            // Selects only accept one of their options
+            if (element.tagName === 'SELECT' && !Array.from(element.options).some(option => option.value === value)) {
+                console.warn(`Ignoring unknown value for ${key}: ${value}`);
+                return;
+            }
+
+            valid[key] = value;
+        });
+
+        return valid;
+    }
+
+    /**
+     * Keep only known engine parameters, clamped to their ranges
+     * @param {Object} advanced - Raw engine parameters
+     * @returns {Object} Valid engine parameters
+     */
+    validateAdvanced(advanced) {
+        const valid = {};
+        if (!advanced || typeof advanced !== 'object' || !window.AdvancedSettings) return valid;
+
+        window.AdvancedSettings.parameters.forEach(parameter => {
+            if (!(parameter.key in advanced)) return;
+
+            const value = window.AdvancedSettings.validateValue(parameter, advanced[parameter.key]);
+            if (value !== null) {
+                valid[parameter.key] = value;
+            }
+        });
+
+        return valid;
+    }
+
+    /**
+     * Download all presets as a JSON file
+     */
+    exportPresets() {
+        const names = Object.keys(this.presets);
+
+        if (names.length === 0) {
+            alert('📋 There are no presets to export yet. Save one first.');
+            return;
+        }
+
+        const payload = {
+            format: this.fileFormat,
+            version: this.formatVersion,
+            exportedAt: new Date().toISOString(),
+            presets: names.map(name => ({
+                name: name,
+                settings: this.presets[name].settings,
+                advanced: this.presets[name].advanced
+            }))
+        };
+
+        const blob = new Blob([JSON.stringify(payload, null, 2)], { type: 'application/json' });
+        this.triggerDownload(blob, 'coloring-presets.json');
+    }
+
+    /**
+     * Import presets from a JSON file exported by this app
+     * Presets with the same name are replaced.
+     * @param {File} file - JSON file
+     */
+    async importPresets(file) {
+        let payload;
+
+        try {
+            payload = JSON.parse(await file.text());
+        } catch (error) {
+            alert(`❌ "${file.name}" is not a valid JSON file.`);
+            return;
+        }
+
+        if (!payload || payload.format !== this.fileFormat || !Array.isArray(payload.presets)) {
+            alert(`❌ "${file.name}" is not a presets file exported by Photo Coloring Converter.`);
+            return;
+        }
+
+        if (payload.version > this.formatVersion) {
+            alert('❌ These presets were exported by a newer version of the app.');
+            return;
+        }
+
+        const imported = [];
+        payload.presets.forEach(entry => {
+            const name = entry && typeof entry.name === 'string' ? entry.name.trim() : '';
+            if (!name) return;
+
+            this.presets[name] = {
+                settings: this.validateSettings(entry.settings),
+                advanced: this.validateAdvanced(entry.advanced),
+                savedAt: new Date().toISOString()
+            };
+            imported.push(name);
+        });
+
+        if (imported.length === 0) {
+            alert(`❌ No usable presets found in "${file.name}".`);
+            return;
+        }
+
+        this.savePresets();
+        this.renderPresetOptions();
+
+        alert(`✅ Imported ${imported.length} preset${imported.length === 1 ? '' : 's'}: ${imported.join(', ')}`);
+    }
+
+    /**
+     * Load presets from localStorage
+     * @returns {Object} Presets keyed by name (prototype-free object)
+     */
+    loadPresets() {
+        const presets = Object.create(null);
+
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey));
+            if (saved && saved.presets) Object.assign(presets, saved.presets);
+        } catch (error) {
+            console.log('No saved presets found or invalid presets');
+        }
+
+        return presets;
+    }
+
+    /**
+     * Save presets to localStorage
+     */
+    savePresets() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({
+                version: this.formatVersion,
+                presets: this.presets
+            }));
+        } catch (error) {
+            console.log('Could not save presets to localStorage');
+        }
+    }
+
+    /**
+     * Trigger a file download
+     * @param {Blob} blob - File contents
+     * @param {string} filename - File name
+     */
+    triggerDownload(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.style.display = 'none';
+
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+
+        setTimeout(() => URL.revokeObjectURL(url), 100);
+        
+        console.log(`Downloaded: ${filename}`);
+    }
+}
+
+// Initialize global preset manager
+window.PresetManager = new SettingsPresetManager();
+
+console.log('Settings Preset Manager loaded successfully');
@@ -0,0 +1,42 @@
+/**
+ * Photo Coloring Converter - Processing Worker
+ * Runs the pixel stages of the image processing pipeline off the main thread
+ * Receives transferable ImageData buffers and reports stage progress back
+ */
+
+importScripts('subjectSegmenter.js', 'colorRegionSegmenter.js', 'imageProcessor.js');
+
+const engine = new ImageProcessingEngine();
+
+self.onmessage = async (event) => {
+    const { id, type, width, height, buffer, settings, processingSettings } = event.data;
+
+    if (type !== 'process') return;
+
+    try {
+        // Engine parameters come from the main thread so both sides stay in sync
+        engine.processingSettings = { ...engine.processingSettings, ...processingSettings };
+
+        const imageData = new ImageData(new Uint8ClampedArray(buffer), width, height);
+        const result = await engine.applyProcessingPipeline(imageData, settings, {
+            yieldToUI: false,
+            onProgress: (fraction, stage) => {
+                self.postMessage({ id, type: 'progress', fraction, stage });
+            },
+            onRegionMap: (regionMap) => {
+                self.postMessage({ id, type: 'regions', regionMap }, [regionMap.labels.buffer]);
+            }
+        });
+
+        self.postMessage({
+            id,
+            type: 'result',
+            width: result.width,
+            height: result.height,
+            buffer: result.data.buffer
+        }, [result.data.buffer]);
+
+    } catch (error) {
+        self.postMessage({ id, type: 'error', message: error.message });
+    }
+};
@@ -0,0 +1,227 @@
+/**
+ * Photo Coloring Converter - Processing Worker Pool
+ * Distributes image processing jobs across Web Workers
+ * Transfers ImageData buffers and relays per-stage progress to the caller
+ */
+
+class ProcessingWorkerPool {
+    constructor() {
+        this.workerUrl = 'src/js/processingWorker.js';
+        this.size = 1;
+        this.slots = [];
+        this.queue = [];
+        this.nextJobId = 1;
+        this.isSupported = false;
+
+        this.initializePool();
+    }
+
+    /**
+     * Initialize pool size and feature detection
+     * Workers themselves are started lazily on the first job.
+     */
+    initializePool() {
+        // Workers cannot be started from file:// pages in most browsers
+        this.isSupported = typeof Worker !== 'undefined' &&
+            typeof OffscreenCanvas !== 'undefined' &&
+            window.location.protocol !== 'file:';
+
+        // Leave one core for the UI thread
+        const cores = navigator.hardwareConcurrency || 2;
+        this.size = Math.max(1, Math.min(4, cores - 1));
+
+        console.log(`Processing Worker Pool initialized (${this.isSupported ? this.size + ' workers' : 'main thread fallback'})`);
+    }
+
+    /**
+     * Run the processing pipeline on a worker
+     * @param {ImageData} imageData - Source image data (copied, not detached)
+     * @param {Object} settings - User settings
+     * @param {Object} processingSettings - Engine parameters
+     * @param {Object} options - { onProgress, onRegionMap, signal }
+     * @returns {Promise<ImageData>} Processed image data
+     */
+    run(imageData, settings, processingSettings, options = {}) {
+        const signal = options.signal;
+
+        return new Promise((resolve, reject) => {
+            if (signal && signal.aborted) {
+                reject(new DOMException('Image processing cancelled', 'AbortError'));
+                return;
+            }
+
+            const job = {
+                id: this.nextJobId++,
+                imageData,
+                settings,
+                processingSettings,
+                onProgress: options.onProgress,
+                onRegionMap: options.onRegionMap,
+                resolve,
+                reject
+            };
+
+            if (signal) {
+                signal.addEventListener('abort', () => this.cancelJob(job), { once: true });
+            }
+
+            this.queue.push(job);
+            this.dispatch();
+        });
+    }
+
+    /**
+     * Cancel a job: drop it from the queue or stop the worker running it
+     * @param {Object} job - Pool job
+     */
+    cancelJob(job) {
+        const slot = this.slots.find(item => item.job === job);
+
+        if (slot) {
+            // The pipeline is synchronous inside the worker; terminating is the only prompt stop
+            this.removeSlot(slot);
+        } else if (this.queue.includes(job)) {
+            this.queue = this.queue.filter(item => item !== job);
+        } else {
+            return; // Already finished
+        }
+
+        job.reject(new DOMException('Image processing cancelled', 'AbortError'));
+        this.dispatch();
+    }
+
+    /**
+     * Start queued jobs on idle workers
+     */
+    dispatch() {
+        while (this.queue.length > 0) {
+            const slot = this.getIdleSlot();
+            if (!slot) return;
+
+            const job = this.queue.shift();
+            slot.job = job;
+
+            // Copy the pixels so the caller keeps its ImageData; transfer the copy
+            const buffer = job.imageData.data.slice().buffer;
+
+            slot.worker.postMessage({
+                id: job.id,
+                type: 'process',
+                width: job.imageData.width,
+                height: job.imageData.height,
+                buffer: buffer,
+                settings: { ...job.settings },
+                processingSettings: { ...job.processingSettings }
+            }, [buffer]);
+        }
+    }
+
+    /**
+     * Find an idle worker, starting a new one while below pool size
+     * @returns {Object|null} Worker slot
+     */
+    getIdleSlot() {
+        const idle = this.slots.find(slot => !slot.job);
+        if (idle) return idle;
+
+        if (this.slots.length >= this.size) return null;
+
+        const slot = { worker: new Worker(this.workerUrl), job: null, hasResponded: false };
+        slot.worker.onmessage = (event) => this.handleMessage(slot, event.data);
+        slot.worker.onerror = (event) => this.handleWorkerError(slot, event);
+        this.slots.push(slot);
+
+        return slot;
+    }
+
+    /**
+     * Handle a message from a worker
+     * @param {Object} slot - Worker slot
+     * @param {Object} message - Worker message
+     */
+    handleMessage(slot, message) {
+        const job = slot.job;
+        if (!job || message.id !== job.id) return;
+
+        slot.hasResponded = true;
+
+        switch (message.type) {
+            case 'progress':
+                if (job.onProgress) {
+                    job.onProgress(message.fraction, message.stage);
+                }
+                break;
+
+            case 'regions':
+                if (job.onRegionMap) {
+                    job.onRegionMap(message.regionMap);
+                }
+                break;
+
+            case 'result':
+                slot.job = null;
+                job.resolve(new ImageData(new Uint8ClampedArray(message.buffer), message.width, message.height));
+                this.dispatch();
+                break;
+
+            case 'error':
+                slot.job = null;
+                job.reject(new Error(message.message));
+                this.dispatch();
+                break;
+        }
+    }
+
+    /**
+     * Handle a worker failing to load or crashing
+     * @param {Object} slot - Worker slot
+     * @param {ErrorEvent} event - Error event
+     */
+    handleWorkerError(slot, event) {
+        console.error('Processing worker error:', event.message);
+
+        const job = slot.job;
+        this.removeSlot(slot);
+
+        // A worker that never answered could not be started: stop using workers
+        if (!slot.hasResponded) {
+            this.isSupported = false;
+        }
+
+        if (job) {
+            const error = new Error(event.message || 'Processing worker failed');
+            error.workerUnavailable = !slot.hasResponded;
+            job.reject(error);
+        }
+
+        this.dispatch();
+    }
+
+    /**
+     * Terminate and forget a worker
+     * @param {Object} slot - Worker slot
+     */
+    removeSlot(slot) {
+        slot.worker.terminate();
+        this.slots = this.slots.filter(item => item !== slot);
+    }
+
+    /**
+     * Terminate all workers and reject pending jobs
+     */
+    terminate() {
+        this.slots.forEach(slot => {
+            if (slot.job) slot.job.reject(new Error('Worker pool terminated'));
+            slot.worker.terminate();
+        });
+        this.queue.forEach(job => job.reject(new Error('Worker pool terminated')));
+
+        this.slots = [];
+        this.queue = [];
+    }
+}
+
+// Initialize global worker pool
+window.ProcessingWorkers = new ProcessingWorkerPool();
+
+console.log('Processing Worker Pool loaded successfully');
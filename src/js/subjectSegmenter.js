@@ -0,0 +1,771 @@
+/**
+ * Photo Coloring Converter - Subject Segmenter
+ * GrabCut-style foreground extraction used to isolate the subject of a photo
+ * Colour models (Gaussian mixtures) and a min-cut over the pixel grid are
+ * refined in turns, seeded either by a user-drawn box or by a saliency guess
+ * Loaded by the page and by processing workers (no DOM access)
+ */
+
+class SubjectSegmenter {
+    constructor() {
+        this.segmentationSettings = {
+            workingSize: 160,      // Longest side of the downscaled image that is segmented
+            components: 5,         // Gaussians per colour model
+            iterations: 4,         // Model/cut refinement rounds
+            smoothness: 50,        // Weight of the neighbour term (GrabCut's gamma)
+            borderFraction: 0.04,  // Frame treated as background in automatic mode
+            maskMargin: 2,         // Working pixels added around the subject so its outline survives
+            minCoverage: 0.005,    // Masks outside this coverage range are treated as failures
+            maxCoverage: 0.98
+        };
+    }
+
+    /**
+     * Compute a subject mask for an image
+     * @param {ImageData} imageData - Colour source image
+     * @param {Object} options - Segmentation options
+     * @param {string} options.mode - 'auto' or 'box'
+     * @param {Object} options.box - Normalized { x, y, width, height } around the subject (box mode)
+     * @returns {Uint8Array|null} 1 for subject pixels at full resolution, or null when segmentation failed
+     */
+    segment(imageData, options = {}) {
+        const working = this.downscale(imageData);
+        const { width, height } = working;
+        const box = options.mode === 'box' ? this.toWorkingBox(options.box, width, height) : null;
+
+        const trimap = box
+            ? this.createBoxTrimap(width, height, box)
+            : this.createSaliencyTrimap(working);
+        if (!trimap) return null;
+
+        const pairwise = this.computePairwiseWeights(working);
+        let mask = null;
+
+        for (let iteration = 0; iteration < this.segmentationSettings.iterations; iteration++) {
+            const foregroundModel = this.fitMixture(working.colors, trimap, (state) => state === SubjectSegmenter.PROBABLE_FOREGROUND);
+            const backgroundModel = this.fitMixture(working.colors, trimap, (state) => state !== SubjectSegmenter.PROBABLE_FOREGROUND);
+            if (!foregroundModel || !backgroundModel) break;
+
+            mask = this.cutGraph(working, trimap, pairwise, foregroundModel, backgroundModel);
+
+            let changed = 0;
+            for (let i = 0; i < trimap.length; i++) {
+                if (trimap[i] === SubjectSegmenter.BACKGROUND) continue;
+
+                const state = mask[i] ? SubjectSegmenter.PROBABLE_FOREGROUND : SubjectSegmenter.PROBABLE_BACKGROUND;
+                if (trimap[i] !== state) changed++;
+                trimap[i] = state;
+            }
+
+            if (changed === 0) break;
+        }
+
+        if (!mask) return null;
+
+        mask = this.cleanMask(mask, width, height);
+
+        let coverage = 0;
+        for (let i = 0; i < mask.length; i++) coverage += mask[i];
+        coverage /= mask.length;
+
+        if (coverage < this.segmentationSettings.minCoverage || coverage > this.segmentationSettings.maxCoverage) {
+            console.warn(`Subject isolation skipped: mask covers ${(coverage * 100).toFixed(1)}% of the image`);
+            return null;
+        }
+
+        mask = this.dilateMask(mask, width, height, this.segmentationSettings.maskMargin);
+        return this.upscaleMask(mask, width, height, imageData.width, imageData.height);
+    }
+
+    /**
+     * Area-average the image down to working size
+     * @param {ImageData} imageData - Source image
+     * @returns {Object} { colors: Float32Array (rgb per pixel), width, height }
+     */
+    downscale(imageData) {
+        const scale = Math.min(1, this.segmentationSettings.workingSize / Math.max(imageData.width, imageData.height));
+        const width = Math.max(1, Math.round(imageData.width * scale));
+        const height = Math.max(1, Math.round(imageData.height * scale));
+        const colors = new Float32Array(width * height * 3);
+        const counts = new Uint32Array(width * height);
+        const data = imageData.data;
+
+        for (let y = 0; y < imageData.height; y++) {
+            const wy = Math.min(height - 1, Math.floor(y * height / imageData.height));
+
+            for (let x = 0; x < imageData.width; x++) {
+                const wx = Math.min(width - 1, Math.floor(x * width / imageData.width));
+                const target = wy * width + wx;
+                const source = (y * imageData.width + x) * 4;
+
+                colors[target * 3] += data[source];
+                colors[target * 3 + 1] += data[source + 1];
+                colors[target * 3 + 2] += data[source + 2];
+                counts[target]++;
+            }
+        }
+
+        for (let i = 0; i < counts.length; i++) {
+            const count = counts[i] || 1;
+            colors[i * 3] /= count;
+            colors[i * 3 + 1] /= count;
+            colors[i * 3 + 2] /= count;
+        }
+
+        return { colors, width, height };
+    }
+
+    /**
+     * Convert a normalized box to working pixel bounds
+     * @param {Object} box - Normalized { x, y, width, height }
+     * @param {number} width - Working width
+     * @param {number} height - Working height
+     * @returns {Object|null} { left, top, right, bottom } (exclusive right/bottom), or null when unusable
+     */
+    toWorkingBox(box, width, height) {
+        if (!box || !(box.width > 0) || !(box.height > 0)) return null;
+
+        const left = Math.max(0, Math.floor(box.x * width));
+        const top = Math.max(0, Math.floor(box.y * height));
+        const right = Math.min(width, Math.ceil((box.x + box.width) * width));
+        const bottom = Math.min(height, Math.ceil((box.y + box.height) * height));
+
+        return right - left >= 2 && bottom - top >= 2 ? { left, top, right, bottom } : null;
+    }
+
+    /**
+     * Box seed: outside is background for sure, inside is probably the subject
+     * A box touching every edge leaves no background sample, so the outer ring
+     * of pixels is used instead.
+     * @param {number} width - Working width
+     * @param {number} height - Working height
+     * @param {Object} box - Working box bounds
+     * @returns {Uint8Array} Trimap
+     */
+    createBoxTrimap(width, height, box) {
+        const trimap = new Uint8Array(width * height);
+
+        const coversFrame = box.left === 0 && box.top === 0 && box.right === width && box.bottom === height;
+        const inset = coversFrame ? 1 : 0;
+
+        for (let y = box.top + inset; y < box.bottom - inset; y++) {
+            for (let x = box.left + inset; x < box.right - inset; x++) {
+                trimap[y * width + x] = SubjectSegmenter.PROBABLE_FOREGROUND;
+            }
+        }
+
+        return trimap;
+    }
+
+    /**
+     * Automatic seed: the image border is background; inside it, pixels whose colour
+     * is unlikely under the border's colour model (weighted towards the centre) are
+     * probably the subject. Otsu's method splits the saliency scores.
+     * @param {Object} working - Working image
+     * @returns {Uint8Array|null} Trimap, or null when no subject stands out
+     */
+    createSaliencyTrimap(working) {
+        const { colors, width, height } = working;
+        const trimap = new Uint8Array(width * height);
+        const border = Math.max(1, Math.round(Math.min(width, height) * this.segmentationSettings.borderFraction));
+
+        for (let y = border; y < height - border; y++) {
+            for (let x = border; x < width - border; x++) {
+                trimap[y * width + x] = SubjectSegmenter.PROBABLE_BACKGROUND;
+            }
+        }
+
+        const borderModel = this.fitMixture(colors, trimap, (state) => state === SubjectSegmenter.BACKGROUND);
+        if (!borderModel) return null;
+
+        const scores = new Float32Array(width * height);
+        let maxScore = 0;
+
+        for (let y = border; y < height - border; y++) {
+            for (let x = border; x < width - border; x++) {
+                const i = y * width + x;
+                const dx = (x / (width - 1 || 1)) * 2 - 1;
+                const dy = (y / (height - 1 || 1)) * 2 - 1;
+                const centerPrior = 1 - 0.5 * Math.min(1, (dx * dx + dy * dy) / 2);
+
+                scores[i] = Math.max(0, -this.logLikelihood(borderModel, colors, i)) * centerPrior;
+                maxScore = Math.max(maxScore, scores[i]);
+            }
+        }
+
+        if (maxScore === 0) return null;
+
+        const histogram = new Uint32Array(256);
+        for (let i = 0; i < trimap.length; i++) {
+            if (trimap[i] === SubjectSegmenter.PROBABLE_BACKGROUND) {
+                histogram[Math.round((scores[i] / maxScore) * 255)]++;
+            }
+        }
+
+        const threshold = (ImageProcessingEngine.calculateOtsuThreshold(histogram) / 255) * maxScore;
+        let seeded = 0;
+
+        for (let i = 0; i < trimap.length; i++) {
+            if (trimap[i] === SubjectSegmenter.PROBABLE_BACKGROUND && scores[i] > threshold) {
+                trimap[i] = SubjectSegmenter.PROBABLE_FOREGROUND;
+                seeded++;
+            }
+        }
+
+        return seeded > 0 ? trimap : null;
+    }
+
+    /**
+     * Fit a diagonal-covariance Gaussian mixture to the selected pixels
+     * Components start at luminance quantiles and are refined with k-means.
+     * @param {Float32Array} colors - Working colours
+     * @param {Uint8Array} trimap - Pixel states
+     * @param {Function} select - Predicate on the pixel state
+     * @returns {Object|null} { weights, means, variances, logNorms }, or null without samples
+     */
+    fitMixture(colors, trimap, select) {
+        const samples = [];
+        for (let i = 0; i < trimap.length; i++) {
+            if (select(trimap[i])) samples.push(i);
+        }
+        if (samples.length === 0) return null;
+
+        const count = Math.min(this.segmentationSettings.components, samples.length);
+        const luminance = (i) => 0.299 * colors[i * 3] + 0.587 * colors[i * 3 + 1] + 0.114 * colors[i * 3 + 2];
+        const sorted = samples.slice().sort((a, b) => luminance(a) - luminance(b));
+
+        const means = new Float64Array(count * 3);
+        for (let k = 0; k < count; k++) {
+            const i = sorted[Math.floor(((k + 0.5) / count) * sorted.length)];
+            means.set([colors[i * 3], colors[i * 3 + 1], colors[i * 3 + 2]], k * 3);
+        }
+
+        const assignment = new Uint8Array(samples.length);
+        const sums = new Float64Array(count * 3);
+        const squares = new Float64Array(count * 3);
+        const sizes = new Float64Array(count);
+
+        for (let round = 0; round < 5; round++) {
+            sums.fill(0);
+            squares.fill(0);
+            sizes.fill(0);
+
+            samples.forEach((i, s) => {
+                let best = 0;
+                let bestDistance = Infinity;
+
+                for (let k = 0; k < count; k++) {
+                    const dr = colors[i * 3] - means[k * 3];
+                    const dg = colors[i * 3 + 1] - means[k * 3 + 1];
+                    const db = colors[i * 3 + 2] - means[k * 3 + 2];
+                    const distance = dr * dr + dg * dg + db * db;
+                    if (distance < bestDistance) {
+                        bestDistance = distance;
+                        best = k;
+                    }
+                }
+
+                assignment[s] = best;
+                sizes[best]++;
+                for (let c = 0; c < 3; c++) {
+                    const value = colors[i * 3 + c];
+                    sums[best * 3 + c] += value;
+                    squares[best * 3 + c] += value * value;
+                }
+            });
+
+            for (let k = 0; k < count; k++) {
+                if (sizes[k] === 0) continue;
+                for (let c = 0; c < 3; c++) {
+                    means[k * 3 + c] = sums[k * 3 + c] / sizes[k];
+                }
+            }
+        }
+
+        const weights = new Float64Array(count);
+        const variances = new Float64Array(count * 3);
+        const logNorms = new Float64Array(count);
+
+        for (let k = 0; k < count; k++) {
+            weights[k] = sizes[k] / samples.length;
+            let logDeterminant = 0;
+
+            for (let c = 0; c < 3; c++) {
+                const mean = sizes[k] > 0 ? sums[k * 3 + c] / sizes[k] : means[k * 3 + c];
+                const variance = sizes[k] > 0 ? squares[k * 3 + c] / sizes[k] - mean * mean : 0;
+
+                // Floor keeps flat regions (studio backdrops) from producing infinite likelihoods
+                variances[k * 3 + c] = Math.max(variance, 16);
+                logDeterminant += Math.log(variances[k * 3 + c]);
+            }
+
+            logNorms[k] = Math.log(Math.max(weights[k], 1e-12)) - 0.5 * logDeterminant - 1.5 * Math.log(2 * Math.PI);
+        }
+
+        return { weights, means, variances, logNorms, count };
+    }
+
+    /**
+     * Log-likelihood of a pixel colour under a mixture
+     * @param {Object} model - Gaussian mixture
+     * @param {Float32Array} colors - Working colours
+     * @param {number} i - Pixel index
+     * @returns {number} log p(colour)
+     */
+    logLikelihood(model, colors, i) {
+        let maxTerm = -Infinity;
+        const terms = new Float64Array(model.count);
+
+        for (let k = 0; k < model.count; k++) {
+            if (model.weights[k] === 0) {
+                terms[k] = -Infinity;
+                continue;
+            }
+
+            let exponent = 0;
+            for (let c = 0; c < 3; c++) {
+                const difference = colors[i * 3 + c] - model.means[k * 3 + c];
+                exponent += (difference * difference) / model.variances[k * 3 + c];
+            }
+
+            terms[k] = model.logNorms[k] - 0.5 * exponent;
+            maxTerm = Math.max(maxTerm, terms[k]);
+        }
+
+        let sum = 0;
+        for (let k = 0; k < model.count; k++) {
+            sum += Math.exp(terms[k] - maxTerm);
+        }
+
+        return maxTerm + Math.log(sum);
+    }
+
+    /**
+     * Neighbour weights: cutting between similar colours is expensive
+     * @param {Object} working - Working image
+     * @returns {Object} { right, down } Float64Array weights per pixel
+     */
+    computePairwiseWeights(working) {
+        const { colors, width, height } = working;
+        const right = new Float64Array(width * height);
+        const down = new Float64Array(width * height);
+
+        const distance = (a, b) => {
+            const dr = colors[a * 3] - colors[b * 3];
+            const dg = colors[a * 3 + 1] - colors[b * 3 + 1];
+            const db = colors[a * 3 + 2] - colors[b * 3 + 2];
+            return dr * dr + dg * dg + db * db;
+        };
+
+        let total = 0;
+        let pairs = 0;
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const i = y * width + x;
+                if (x + 1 < width) { right[i] = distance(i, i + 1); total += right[i]; pairs++; }
+                if (y + 1 < height) { down[i] = distance(i, i + width); total += down[i]; pairs++; }
+            }
+        }
+
+        // beta adapts the contrast sensitivity to the image (Rother et al.)
+        const beta = total > 0 ? pairs / (2 * total) : 0;
+        const gamma = this.segmentationSettings.smoothness;
+
+        for (let i = 0; i < right.length; i++) {
+            right[i] = gamma * Math.exp(-beta * right[i]);
+            down[i] = gamma * Math.exp(-beta * down[i]);
+        }
+
+        return { right, down };
+    }
+
+    /**
+     * Build the s-t graph and return the minimum cut labelling
+     * Source side is the subject; fixed background pixels are tied to the sink.
+     * @param {Object} working - Working image
+     * @param {Uint8Array} trimap - Pixel states
+     * @param {Object} pairwise - Neighbour weights
+     * @param {Object} foregroundModel - Subject colour model
+     * @param {Object} backgroundModel - Background colour model
+     * @returns {Uint8Array} 1 for subject pixels
+     */
+    cutGraph(working, trimap, pairwise, foregroundModel, backgroundModel) {
+        const { colors, width, height } = working;
+        const pixelCount = width * height;
+        const source = pixelCount;
+        const sink = pixelCount + 1;
+        const graph = this.createGraph(pixelCount + 2, pixelCount * 4);
+        const fixedCost = 1e9;
+
+        for (let i = 0; i < pixelCount; i++) {
+            if (trimap[i] === SubjectSegmenter.BACKGROUND) {
+                this.addEdge(graph, i, sink, fixedCost, 0);
+            } else {
+                // Only the difference of the two data costs matters to the cut
+                const foregroundCost = -this.logLikelihood(foregroundModel, colors, i);
+                const backgroundCost = -this.logLikelihood(backgroundModel, colors, i);
+
+                if (backgroundCost > foregroundCost) {
+                    this.addEdge(graph, source, i, backgroundCost - foregroundCost, 0);
+                } else if (foregroundCost > backgroundCost) {
+                    this.addEdge(graph, i, sink, foregroundCost - backgroundCost, 0);
+                }
+            }
+
+            const x = i % width;
+            if (x + 1 < width) this.addEdge(graph, i, i + 1, pairwise.right[i], pairwise.right[i]);
+            if (i + width < pixelCount) this.addEdge(graph, i, i + width, pairwise.down[i], pairwise.down[i]);
+        }
+
+        this.computeMaxFlow(graph, source, sink);
+
+        // Pixels still reachable from the source in the residual graph are the subject
+        const reachable = this.findReachable(graph, source);
+        return reachable.subarray(0, pixelCount);
+    }
+
+    /**
+     * Allocate an adjacency-list graph with paired residual edges
+     * @param {number} nodeCount - Number of nodes
+     * @param {number} edgeEstimate - Expected number of edge pairs
+     * @returns {Object} Graph
+     */
+    createGraph(nodeCount, edgeEstimate) {
+        const capacity = edgeEstimate * 2;
+
+        return {
+            nodeCount: nodeCount,
+            head: new Int32Array(nodeCount).fill(-1),
+            next: new Int32Array(capacity),
+            to: new Int32Array(capacity),
+            residual: new Float64Array(capacity),
+            edgeCount: 0
+        };
+    }
+
+    /**
+     * Add an edge and its reverse (edge e pairs with e ^ 1)
+     * @param {Object} graph - Graph
+     * @param {number} from - Tail node
+     * @param {number} to - Head node
+     * @param {number} capacity - Forward capacity
+     * @param {number} reverseCapacity - Backward capacity
+     */
+    addEdge(graph, from, to, capacity, reverseCapacity) {
+        if (graph.edgeCount + 2 > graph.to.length) {
+            this.growGraph(graph);
+        }
+
+        const e = graph.edgeCount;
+        graph.to[e] = to;
+        graph.residual[e] = capacity;
+        graph.next[e] = graph.head[from];
+        graph.head[from] = e;
+
+        graph.to[e + 1] = from;
+        graph.residual[e + 1] = reverseCapacity;
+        graph.next[e + 1] = graph.head[to];
+        graph.head[to] = e + 1;
+
+        graph.edgeCount += 2;
+    }
+
+    /**
+     * Double the edge storage of a graph
+     * @param {Object} graph - Graph
+     */
+    growGraph(graph) {
+        const size = graph.to.length * 2;
+        ['next', 'to'].forEach(key => {
+            const grown = new Int32Array(size);
+            grown.set(graph[key]);
+            graph[key] = grown;
+        });
+
+        const residual = new Float64Array(size);
+        residual.set(graph.residual);
+        graph.residual = residual;
+    }
+
+    /**
+     * Dinic's maximum flow: BFS levels, then blocking flows along level-increasing paths
+     * @param {Object} graph - Graph (residual capacities are updated in place)
+     * @param {number} source - Source node
+     * @param {number} sink - Sink node
+     * @returns {number} Flow value
+     */
+    computeMaxFlow(graph, source, sink) {
+        const epsilon = 1e-9;
+        const level = new Int32Array(graph.nodeCount);
+        const current = new Int32Array(graph.nodeCount);
+        const queue = new Int32Array(graph.nodeCount);
+        const path = new Int32Array(graph.nodeCount);
+        let flow = 0;
+
+        while (true) {
+            // Level graph
+            level.fill(-1);
+            level[source] = 0;
+            let queueStart = 0;
+            let queueEnd = 0;
+            queue[queueEnd++] = source;
+
+            while (queueStart < queueEnd) {
+                const node = queue[queueStart++];
+                for (let e = graph.head[node]; e !== -1; e = graph.next[e]) {
+                    const target = graph.to[e];
+                    if (level[target] === -1 && graph.residual[e] > epsilon) {
+                        level[target] = level[node] + 1;
+                        queue[queueEnd++] = target;
+                    }
+                }
+            }
+
+            if (level[sink] === -1) return flow;
+
+            current.set(graph.head);
+
+            // Blocking flow with an explicit path stack
+            let depth = 0;
+            let node = source;
+
+            while (true) {
+                if (node === sink) {
+                    let bottleneck = Infinity;
+                    for (let d = 0; d < depth; d++) {
+                        bottleneck = Math.min(bottleneck, graph.residual[path[d]]);
+                    }
+
+                    let firstSaturated = -1;
+                    for (let d = 0; d < depth; d++) {
+                        graph.residual[path[d]] -= bottleneck;
+                        graph.residual[path[d] ^ 1] += bottleneck;
+                        if (firstSaturated === -1 && graph.residual[path[d]] <= epsilon) {
+                            firstSaturated = d;
+                        }
+                    }
+
+                    flow += bottleneck;
+
+                    // Resume from the tail of the first saturated edge
+                    depth = firstSaturated;
+                    node = depth === 0 ? source : graph.to[path[depth - 1]];
+                    continue;
+                }
+
+                let advanced = false;
+                for (; current[node] !== -1; current[node] = graph.next[current[node]]) {
+                    const e = current[node];
+                    const target = graph.to[e];
+
+                    if (graph.residual[e] > epsilon && level[target] === level[node] + 1) {
+                        path[depth++] = e;
+                        node = target;
+                        advanced = true;
+                        break;
+                    }
+                }
+
+                if (advanced) continue;
+                if (node === source) break;
+
+                // Dead end: drop the node from this phase and retreat
+                level[node] = -1;
+                depth--;
+                node = depth === 0 ? source : graph.to[path[depth - 1]];
+                current[node] = graph.next[current[node]];
+            }
+        }
+    }
+
+    /**
+     * Find the nodes reachable from a node through unsaturated edges
+     * @param {Object} graph - Graph
+     * @param {number} start - Start node
+     * @returns {Uint8Array} 1 for reachable nodes
+     */
+    findReachable(graph, start) {
+        const reachable = new Uint8Array(graph.nodeCount);
+        const stack = [start];
+        reachable[start] = 1;
+
+        while (stack.length > 0) {
+            const node = stack.pop();
+            for (let e = graph.head[node]; e !== -1; e = graph.next[e]) {
+                const target = graph.to[e];
+                if (!reachable[target] && graph.residual[e] > 1e-9) {
+                    reachable[target] = 1;
+                    stack.push(target);
+                }
+            }
+        }
+
+        return reachable;
+    }
+
+    /**
+     * Keep the main subject regions and fill holes inside them
+     * Components smaller than a fifth of the largest are dropped as stray matches.
+     * @param {Uint8Array} mask - Raw cut labelling
+     * @param {number} width - Working width
+     * @param {number} height - Working height
+     * @returns {Uint8Array} Cleaned mask
+     */
+    cleanMask(mask, width, height) {
+        const components = this.labelComponents(mask, width, height, 1);
+        const largest = components.sizes.reduce((max, size) => Math.max(max, size), 0);
+        const cleaned = new Uint8Array(mask.length);
+
+        for (let i = 0; i < mask.length; i++) {
+            const label = components.labels[i];
+            if (label > 0 && components.sizes[label] >= largest / 5) {
+                cleaned[i] = 1;
+            }
+        }
+
+        // Background regions that do not reach the border are holes
+        const background = this.labelComponents(cleaned, width, height, 0);
+        const touchesBorder = new Uint8Array(background.sizes.length);
+
+        for (let x = 0; x < width; x++) {
+            touchesBorder[background.labels[x]] = 1;
+            touchesBorder[background.labels[(height - 1) * width + x]] = 1;
+        }
+        for (let y = 0; y < height; y++) {
+            touchesBorder[background.labels[y * width]] = 1;
+            touchesBorder[background.labels[y * width + width - 1]] = 1;
+        }
+
+        for (let i = 0; i < cleaned.length; i++) {
+            const label = background.labels[i];
+            if (label > 0 && !touchesBorder[label]) {
+                cleaned[i] = 1;
+            }
+        }
+
+        return cleaned;
+    }
+
+    /**
+     * Label 4-connected components of pixels with a given value
+     * @param {Uint8Array} mask - Binary mask
+     * @param {number} width - Width
+     * @param {number} height - Height
+     * @param {number} value - Pixel value to label
+     * @returns {Object} { labels: Int32Array (0 = other value), sizes: number[] indexed by label }
+     */
+    labelComponents(mask, width, height, value) {
+        const labels = new Int32Array(mask.length);
+        const sizes = [0];
+        const stack = [];
+
+        for (let start = 0; start < mask.length; start++) {
+            if (mask[start] !== value || labels[start] !== 0) continue;
+
+            const label = sizes.length;
+            let size = 0;
+            labels[start] = label;
+            stack.push(start);
+
+            while (stack.length > 0) {
+                const i = stack.pop();
+                const x = i % width;
+                size++;
+
+                const neighbors = [
+                    x > 0 ? i - 1 : -1,
+                    x + 1 < width ? i + 1 : -1,
+                    i >= width ? i - width : -1,
+                    i + width < mask.length ? i + width : -1
+                ];
+
+                neighbors.forEach(n => {
+                    if (n >= 0 && mask[n] === value && labels[n] === 0) {
+                        labels[n] = label;
+                        stack.push(n);
+                    }
+                });
+            }
+
+            sizes.push(size);
+        }
+
+        return { labels, sizes };
+    }
+
+    /**
+     * Grow a mask by a square radius
+     * @param {Uint8Array} mask - Binary mask
+     * @param {number} width - Width
+     * @param {number} height - Height
+     * @param {number} radius - Radius in pixels
+     * @returns {Uint8Array} Dilated mask
+     */
+    dilateMask(mask, width, height, radius) {
+        if (radius <= 0) return mask;
+
+        const horizontal = new Uint8Array(mask.length);
+        const result = new Uint8Array(mask.length);
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                for (let dx = -radius; dx <= radius; dx++) {
+                    const nx = x + dx;
+                    if (nx >= 0 && nx < width && mask[y * width + nx]) {
+                        horizontal[y * width + x] = 1;
+                        break;
+                    }
+                }
+            }
+        }
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                for (let dy = -radius; dy <= radius; dy++) {
+                    const ny = y + dy;
+                    if (ny >= 0 && ny < height && horizontal[ny * width + x]) {
+                        result[y * width + x] = 1;
+                        break;
+                    }
+                }
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Scale a working mask up to the source resolution (nearest neighbour)
+     * @param {Uint8Array} mask - Working mask
+     * @param {number} width - Working width
+     * @param {number} height - Working height
+     * @param {number} targetWidth - Source width
+     * @param {number} targetHeight - Source height
+     * @returns {Uint8Array} Full resolution mask
+     */
+    upscaleMask(mask, width, height, targetWidth, targetHeight) {
+        const result = new Uint8Array(targetWidth * targetHeight);
+
+        for (let y = 0; y < targetHeight; y++) {
+            const wy = Math.min(height - 1, Math.floor(y * height / targetHeight));
+            for (let x = 0; x < targetWidth; x++) {
+                const wx = Math.min(width - 1, Math.floor(x * width / targetWidth));
+                result[y * targetWidth + x] = mask[wy * width + wx];
+            }
+        }
+
+        return result;
+    }
+}
+
+// Trimap states
+SubjectSegmenter.BACKGROUND = 0;
+SubjectSegmenter.PROBABLE_BACKGROUND = 1;
+SubjectSegmenter.PROBABLE_FOREGROUND = 2;
+
+// Expose the segmenter class; the image processor creates its own instance
+if (typeof window !== 'undefined') {
+    window.SubjectSegmenter = SubjectSegmenter;
+
+    console.log('Subject Segmenter loaded successfully');
+}
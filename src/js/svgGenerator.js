@@ -31,27 +31,37 @@ class SVGVectorGenerator {
     /**
      * Convert processed images to SVG format
      * @param {Array} processedImages - Array of processed image data
+     * @param {Object} options - Conversion options
+     * @param {AbortSignal} options.signal - Cancels conversion; rejects with an AbortError
+     *     whose partialResults holds the pages converted so far
      * @returns {Array} SVG conversion results
      */
-    async convertToSVG(processedImages) {
+    async convertToSVG(processedImages, options = {}) {
         console.log(`Converting ${processedImages.length} images to SVG format`);
         
+        const signal = options.signal;
         const svgResults = [];
         
         try {
             for (let i = 0; i < processedImages.length; i++) {
+                this.throwIfAborted(signal, svgResults);
+                
                 const imageData = processedImages[i];
                 
                 console.log(`Converting image ${i + 1}/${processedImages.length} to SVG`);
                 
-                // Extract vector paths from bitmap
-                const vectorPaths = await this.extractVectorPaths(imageData.processedImageData);
+                // Per-image overrides (style, line weight, path parameters) for this page
+                const effective = this.resolvePageSettings(imageData);
+                
+                // Extract vector paths from bitmap (or take the paths edited in the path editor)
+                const vectorPaths = await this.getPageVectorPaths(imageData, effective);
                 
                 // Generate SVG document
-                const svgDocument = this.createSVGDocument(vectorPaths, imageData.metadata);
+                const regionMap = this.getPageRegionMap(imageData, effective.settings);
+                const svgDocument = this.createSVGDocument(vectorPaths, imageData.metadata, effective.settings, regionMap);
                 
-                // Optimize and clean paths
-                const optimizedSVG = this.optimizeSVGPaths(svgDocument);
+                // Optimize and clean paths (short borders between paint-by-number regions must stay)
+                const optimizedSVG = regionMap ? svgDocument : this.optimizeSVGPaths(svgDocument);
                 
                 // Add theme elements based on settings
                 const themedSVG = this.addThemeElements(optimizedSVG, imageData.metadata);
@@ -62,6 +72,7 @@ class SVGVectorGenerator {
                     svgDocument: themedSVG,
                     svgString: this.serializeSVG(themedSVG),
                     vectorPaths: vectorPaths,
+                    settings: effective.settings,
                     metadata: {
                         ...imageData.metadata,
                         pathCount: vectorPaths.length,
@@ -76,21 +87,103 @@ class SVGVectorGenerator {
                 await this.delay(50);
             }
             
+            this.throwIfAborted(signal, svgResults);
+            
             console.log('SVG conversion completed successfully');
             return svgResults;
             
         } catch (error) {
-            console.error('Error during SVG conversion:', error);
+            if (error.name !== 'AbortError') {
+                console.error('Error during SVG conversion:', error);
+            }
             throw error;
         }
     }
 
+    /**
+     * Resolve the settings used for one page, including per-image overrides
+     * The style settings are the ones stored when the page was processed.
+     * @param {Object} processedImage - Processing result
+     * @returns {Object} { settings, optimizationSettings }
+     */
+    resolvePageSettings(processedImage) {
+        if (window.ImageOverrides && processedImage.originalFile) {
+            return window.ImageOverrides.resolveResultSettings(processedImage);
+        }
+        
+        return {
+            settings: window.AppState.currentSettings,
+            optimizationSettings: this.optimizationSettings
+        };
+    }
+
+    /**
+     * Get the vector paths of one page
+     * Paths edited in the path editor win; otherwise the line art (with its
+     * brush edits applied) is traced with the page's path parameters.
+     * @param {Object} processedImage - Processing result
+     * @param {Object} effective - Resolved page settings (see resolvePageSettings)
+     * @returns {Promise<Array>} Vector path objects
+     */
+    async getPageVectorPaths(processedImage, effective = this.resolvePageSettings(processedImage)) {
+        if (processedImage.editedVectorPaths) {
+            return processedImage.editedVectorPaths;
+        }
+        
+        const lineArt = window.LineArtEditor
+            ? window.LineArtEditor.getEditedImageData(processedImage)
+            : processedImage.processedImageData;
+        
+        const generator = this.withOptimizationSettings(effective.optimizationSettings);
+        return generator.extractVectorPaths(lineArt, effective.settings);
+    }
+
+    /**
+     * Get the paint-by-number region map of one page
+     * @param {Object} processedImage - Processing result
+     * @param {Object} settings - Page settings
+     * @returns {Object|null} Region map, or null when the page is not paint by number
+     */
+    getPageRegionMap(processedImage, settings) {
+        if (settings.outputStyle !== 'paintByNumber' || !processedImage.regionMap) {
+            return null;
+        }
+        
+        return processedImage.regionMap;
+    }
+
+    /**
+     * Check whether a page is traced as single-stroke centerlines
+     * Paint-by-number borders are one pixel wide, so they are always traced this way.
+     * @param {Object} settings - Page settings
+     * @returns {boolean} True for centerline tracing
+     */
+    usesCenterlines(settings) {
+        return settings.vectorMode === 'centerline' || settings.outputStyle === 'paintByNumber';
+    }
+
+    /**
+     * Get a generator view that uses different path optimization parameters
+     * @param {Object} optimizationSettings - Path parameters for this page
+     * @returns {SVGVectorGenerator} This generator, or a view with its own parameters
+     */
+    withOptimizationSettings(optimizationSettings) {
+        if (!optimizationSettings || optimizationSettings === this.optimizationSettings) {
+            return this;
+        }
+        
+        const view = Object.create(this);
+        view.optimizationSettings = { ...this.optimizationSettings, ...optimizationSettings };
+        return view;
+    }
+
     /**
      * Extract vector paths from processed bitmap data
      * @param {ImageData} imageData - Processed bitmap image data
+     * @param {Object} settings - Page settings (output style, vector mode)
      * @returns {Array} Array of vector path objects
      */
-    async extractVectorPaths(imageData) {
+    async extractVectorPaths(imageData, settings = window.AppState.currentSettings) {
         const width = imageData.width;
         const height = imageData.height;
         const data = imageData.data;
@@ -98,14 +191,42 @@ class SVGVectorGenerator {
         // Create binary map for contour detection
         const binaryMap = this.createBinaryMap(data, width, height);
         
+        // Artistic style favours bolder, more geometric shapes
+        const toleranceScale = settings.outputStyle === 'artistic' ? 1.5 : 1;
+        const minLength = this.optimizationSettings.minPathLength;
+        
+        // Centerline mode draws every line once, along its skeleton
+        if (this.usesCenterlines(settings)) {
+            return this.extractCenterlinePaths(binaryMap, width, height, toleranceScale);
+        }
+        
         // Find contours using border following algorithm
         const contours = this.findContours(binaryMap, width, height);
         
-        // Convert contours to smooth vector paths
-        const vectorPaths = contours.map(contour => {
-            const smoothedContour = this.smoothContour(contour);
-            const simplifiedPath = this.simplifyPath(smoothedContour);
-            return this.createSVGPath(simplifiedPath);
+        const toRing = (contour) => {
+            const smoothedContour = this.smoothContour(contour.points);
+            return this.simplifyPath(smoothedContour, toleranceScale, true);
+        };
+        
+        // Each outer border becomes one compound path together with its holes
+        const vectorPaths = [];
+        contours.forEach(contour => {
+            if (contour.isHole || contour.points.length < minLength) return;
+            
+            const outer = toRing(contour);
+            if (outer.length < 3) return;
+            
+            const holes = contour.children
+                .map(childIndex => contours[childIndex])
+                .filter(child => child.isHole && child.points.length >= minLength)
+                .map(toRing)
+                .filter(ring => ring.length >= 3);
+            
+            vectorPaths.push(this.createSVGPath(outer, {
+                closed: true,
+                holes: holes,
+                depth: contour.depth
+            }));
         });
         
         // Filter out very small or invalid paths
@@ -114,6 +235,222 @@ class SVGVectorGenerator {
         );
     }
 
+    /**
+     * Extract one open stroke per line from the skeleton of the binary map
+     * @param {Array} binaryMap - 2D binary array
+     * @param {number} width - Map width
+     * @param {number} height - Map height
+     * @param {number} toleranceScale - Multiplier for the simplification tolerance
+     * @returns {Array} Array of vector path objects
+     */
+    extractCenterlinePaths(binaryMap, width, height, toleranceScale) {
+        const skeleton = this.thinZhangSuen(binaryMap, width, height);
+        const polylines = this.traceSkeletonPolylines(skeleton, width, height);
+        const minLength = this.optimizationSettings.minPathLength;
+        
+        const vectorPaths = [];
+        polylines.forEach(polyline => {
+            // Short spurs are thinning noise; short links between junctions keep lines connected
+            if (polyline.isSpur && polyline.points.length < minLength) return;
+            if (polyline.points.length < 2) return;
+            
+            const points = this.limitContourPoints(polyline.points);
+            const smoothed = this.smoothContour(points, polyline.closed);
+            const simplified = this.simplifyPath(smoothed, toleranceScale, polyline.closed);
+            
+            const path = this.createSVGPath(simplified, { closed: polyline.closed && simplified.length >= 3 });
+            if (path) vectorPaths.push(path);
+        });
+        
+        return vectorPaths;
+    }
+
+    /**
+     * Thin a binary map to a one pixel wide skeleton (Zhang-Suen)
+     * @param {Array} binaryMap - 2D binary array
+     * @param {number} width - Map width
+     * @param {number} height - Map height
+     * @returns {Uint8Array} Skeleton, 1 for skeleton pixels
+     */
+    thinZhangSuen(binaryMap, width, height) {
+        const skeleton = new Uint8Array(width * height);
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                skeleton[y * width + x] = binaryMap[y][x];
+            }
+        }
+        
+        const pixel = (x, y) => (x >= 0 && y >= 0 && x < width && y < height) ? skeleton[y * width + x] : 0;
+        const n = new Uint8Array(8); // Neighbours P2..P9, clockwise from north; reused for every pixel
+        let changed = true;
+        
+        while (changed) {
+            changed = false;
+            
+            for (let pass = 0; pass < 2; pass++) {
+                const toRemove = [];
+                
+                for (let y = 0; y < height; y++) {
+                    for (let x = 0; x < width; x++) {
+                        if (!skeleton[y * width + x]) continue;
+                        
+                        n[0] = pixel(x, y - 1);
+                        n[1] = pixel(x + 1, y - 1);
+                        n[2] = pixel(x + 1, y);
+                        n[3] = pixel(x + 1, y + 1);
+                        n[4] = pixel(x, y + 1);
+                        n[5] = pixel(x - 1, y + 1);
+                        n[6] = pixel(x - 1, y);
+                        n[7] = pixel(x - 1, y - 1);
+                        
+                        const count = n[0] + n[1] + n[2] + n[3] + n[4] + n[5] + n[6] + n[7];
+                        if (count < 2 || count > 6) continue;
+                        
+                        // Exactly one 0 -> 1 transition around the pixel
+                        let transitions = 0;
+                        for (let k = 0; k < 8; k++) {
+                            if (n[k] === 0 && n[(k + 1) % 8] === 1) transitions++;
+                        }
+                        if (transitions !== 1) continue;
+                        
+                        const p2 = n[0], p4 = n[2], p6 = n[4], p8 = n[6];
+                        const remove = pass === 0
+                            ? (p2 * p4 * p6 === 0 && p4 * p6 * p8 === 0)
+                            : (p2 * p4 * p8 === 0 && p2 * p6 * p8 === 0);
+                        
+                        if (remove) toRemove.push(y * width + x);
+                    }
+                }
+                
+                toRemove.forEach(index => { skeleton[index] = 0; });
+                if (toRemove.length > 0) changed = true;
+            }
+        }
+        
+        return skeleton;
+    }
+
+    /**
+     * Get the skeleton neighbours of a pixel using m-adjacency
+     * Diagonal neighbours are ignored when a shared 4-neighbour already connects them,
+     * so staircase steps do not show up as junctions.
+     * @param {Uint8Array} skeleton - Skeleton pixels
+     * @param {number} width - Map width
+     * @param {number} height - Map height
+     * @param {number} index - Pixel index
+     * @returns {number[]} Neighbour pixel indices
+     */
+    getSkeletonNeighbors(skeleton, width, height, index) {
+        const x = index % width;
+        const y = Math.floor(index / width);
+        const pixel = (px, py) => (px >= 0 && py >= 0 && px < width && py < height) ? skeleton[py * width + px] : 0;
+        const neighbors = [];
+        
+        [[1, 0], [0, 1], [-1, 0], [0, -1]].forEach(([dx, dy]) => {
+            if (pixel(x + dx, y + dy)) neighbors.push((y + dy) * width + (x + dx));
+        });
+        
+        [[1, 1], [-1, 1], [-1, -1], [1, -1]].forEach(([dx, dy]) => {
+            if (pixel(x + dx, y + dy) && !pixel(x + dx, y) && !pixel(x, y + dy)) {
+                neighbors.push((y + dy) * width + (x + dx));
+            }
+        });
+        
+        return neighbors;
+    }
+
+    /**
+     * Convert a skeleton into polylines by walking its pixel graph
+     * Endpoints and junctions are graph nodes; every edge between them becomes one polyline.
+     * Loops without any node are traced as closed polylines.
+     * @param {Uint8Array} skeleton - Skeleton pixels
+     * @param {number} width - Map width
+     * @param {number} height - Map height
+     * @returns {Array} Polylines { points, closed, isSpur }
+     */
+    traceSkeletonPolylines(skeleton, width, height) {
+        const neighborCache = new Map();
+        const neighborsOf = (index) => {
+            if (!neighborCache.has(index)) {
+                neighborCache.set(index, this.getSkeletonNeighbors(skeleton, width, height, index));
+            }
+            return neighborCache.get(index);
+        };
+        
+        const size = width * height;
+        const visitedEdges = new Set();
+        const visitedPixels = new Uint8Array(size);
+        const edgeKey = (a, b) => a < b ? a * size + b : b * size + a;
+        const toPoint = (index) => ({ x: index % width, y: Math.floor(index / width) });
+        const polylines = [];
+        
+        // Walk from a start pixel through degree-2 pixels until reaching a node
+        const walk = (start, next) => {
+            const trace = [start];
+            let previous = start;
+            let current = next;
+            visitedEdges.add(edgeKey(start, next));
+            visitedPixels[start] = 1;
+            
+            for (;;) {
+                trace.push(current);
+                visitedPixels[current] = 1;
+                
+                const neighbors = neighborsOf(current);
+                if (neighbors.length !== 2 || current === start) break;
+                
+                const following = neighbors[0] === previous ? neighbors[1] : neighbors[0];
+                const key = edgeKey(current, following);
+                if (visitedEdges.has(key)) break;
+                
+                visitedEdges.add(key);
+                previous = current;
+                current = following;
+            }
+            
+            return trace;
+        };
+        
+        // Edges starting at endpoints and junctions
+        for (let index = 0; index < size; index++) {
+            if (!skeleton[index]) continue;
+            
+            const neighbors = neighborsOf(index);
+            if (neighbors.length === 2 || neighbors.length === 0) continue;
+            
+            neighbors.forEach(neighbor => {
+                if (visitedEdges.has(edgeKey(index, neighbor))) return;
+                
+                const trace = walk(index, neighbor);
+                const end = trace[trace.length - 1];
+                
+                // Links inside a junction cluster are covered by the round line caps
+                if (trace.length === 2 && neighbors.length > 2 && neighborsOf(end).length > 2) return;
+                
+                polylines.push({
+                    points: trace.map(toPoint),
+                    closed: false,
+                    isSpur: neighbors.length === 1 || neighborsOf(end).length === 1
+                });
+            });
+        }
+        
+        // Remaining pixels belong to closed loops
+        for (let index = 0; index < size; index++) {
+            if (!skeleton[index] || visitedPixels[index]) continue;
+            
+            const neighbors = neighborsOf(index);
+            if (neighbors.length !== 2) continue;
+            
+            const trace = walk(index, neighbors[0]);
+            if (trace[trace.length - 1] === index) trace.pop();
+            
+            polylines.push({ points: trace.map(toPoint), closed: true, isSpur: false });
+        }
+        
+        return polylines;
+    }
+
     /**
      * Create binary map from image data
      * @param {Uint8ClampedArray} data - Image pixel data
@@ -137,96 +474,202 @@ class SVGVectorGenerator {
     }
 
     /**
-     * Find contours using border following algorithm
+     * Find contours using Suzuki-Abe border following
+     * Returns ordered outer borders and hole borders with their hierarchy.
      * @param {Array} binaryMap - 2D binary array
      * @param {number} width - Map width
      * @param {number} height - Map height
-     * @returns {Array} Array of contour point arrays
+     * @returns {Array} Contours { points, isHole, parent, children, depth } (parent/children are indices)
      */
     findContours(binaryMap, width, height) {
-        const contours = [];
-        const visited = Array(height).fill().map(() => Array(width).fill(false));
+        // Padded label image: 0 = background, 1 = unvisited foreground, ±NBD = border labels
+        const paddedWidth = width + 2;
+        const paddedHeight = height + 2;
+        const labels = new Int32Array(paddedWidth * paddedHeight);
         
-        // Directions for 8-connectivity (Moore neighborhood)
-        const directions = [
-            [-1, -1], [-1, 0], [-1, 1],
-            [0, -1],           [0, 1],
-            [1, -1],  [1, 0],  [1, 1]
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                labels[(y + 1) * paddedWidth + (x + 1)] = binaryMap[y][x];
+            }
+        }
+        
+        // Moore neighbourhood in counter-clockwise order: E, NE, N, NW, W, SW, S, SE
+        const offsets = [
+            1, 1 - paddedWidth, -paddedWidth, -1 - paddedWidth,
+            -1, paddedWidth - 1, paddedWidth, paddedWidth + 1
         ];
         
-        for (let y = 1; y < height - 1; y++) {
-            for (let x = 1; x < width - 1; x++) {
-                if (binaryMap[y][x] === 1 && !visited[y][x]) {
-                    const contour = this.traceContour(
-                        binaryMap, visited, x, y, width, height, directions
-                    );
-                    
-                    if (contour.length >= this.optimizationSettings.minPathLength) {
-                        contours.push(contour);
-                    }
+        // Border info by sequential border number (NBD); NBD 1 is the image frame
+        const borders = [null, { isHole: true, parent: 0, contourIndex: -1 }];
+        const contours = [];
+        let nbd = 1;
+        
+        for (let y = 1; y < paddedHeight - 1; y++) {
+            let lnbd = 1; // Last border number encountered on this row
+            
+            for (let x = 1; x < paddedWidth - 1; x++) {
+                const index = y * paddedWidth + x;
+                const value = labels[index];
+                if (value === 0) continue;
+                
+                let isHole;
+                let startDirection;
+                
+                if (value === 1 && labels[index - 1] === 0) {
+                    // Outer border starts here, previous pixel is to the west
+                    isHole = false;
+                    startDirection = 4;
+                } else if (value >= 1 && labels[index + 1] === 0) {
+                    // Hole border starts here, previous pixel is to the east
+                    isHole = true;
+                    startDirection = 0;
+                    if (value > 1) lnbd = value;
+                } else {
+                    if (value !== 1) lnbd = Math.abs(value);
+                    continue;
                 }
+                
+                nbd++;
+                
+                // Parent: same border type as LNBD shares its parent, otherwise LNBD itself
+                const lastBorder = borders[lnbd];
+                const parent = isHole === lastBorder.isHole ? lastBorder.parent : lnbd;
+                
+                const trace = this.traceContour(labels, offsets, index, startDirection, nbd);
+                borders[nbd] = { isHole, parent, contourIndex: contours.length };
+                
+                contours.push({
+                    points: this.limitContourPoints(trace.map(position => ({
+                        x: (position % paddedWidth) - 1,
+                        y: Math.floor(position / paddedWidth) - 1
+                    }))),
+                    isHole: isHole,
+                    parentBorder: parent,
+                    parent: -1,
+                    children: [],
+                    depth: 0
+                });
+                
+                if (labels[index] !== 1) lnbd = Math.abs(labels[index]);
             }
         }
         
+        // Resolve border numbers into contour indices (contours are created parent-first)
+        contours.forEach((contour, index) => {
+            const parentBorder = borders[contour.parentBorder];
+            if (parentBorder && parentBorder.contourIndex >= 0) {
+                contour.parent = parentBorder.contourIndex;
+                contour.depth = contours[contour.parent].depth + 1;
+                contours[contour.parent].children.push(index);
+            }
+            delete contour.parentBorder;
+        });
+        
         return contours;
     }
 
     /**
-     * Trace a single contour starting from given point
-     * @param {Array} binaryMap - 2D binary array
-     * @param {Array} visited - Visited pixels tracker
-     * @param {number} startX - Starting X coordinate
-     * @param {number} startY - Starting Y coordinate
-     * @param {number} width - Map width
-     * @param {number} height - Map height
-     * @param {Array} directions - Direction vectors
-     * @returns {Array} Contour points
+     * Follow one border (Suzuki-Abe step 3), labelling it in place
+     * @param {Int32Array} labels - Padded label image (modified)
+     * @param {Array} offsets - Counter-clockwise neighbour offsets
+     * @param {number} start - Index of the border starting pixel
+     * @param {number} startDirection - Direction of the background pixel the border was entered from
+     * @param {number} nbd - Border number to assign
+     * @returns {Array} Border pixel indices in boundary order
      */
-    traceContour(binaryMap, visited, startX, startY, width, height, directions) {
-        const contour = [];
-        const stack = [[startX, startY]];
+    traceContour(labels, offsets, start, startDirection, nbd) {
+        // 3.1: search clockwise for the first non-zero neighbour
+        let direction = startDirection;
+        let first = -1;
+        for (let k = 0; k < 8; k++) {
+            direction = (direction + 7) & 7;
+            if (labels[start + offsets[direction]] !== 0) {
+                first = start + offsets[direction];
+                break;
+            }
+        }
+        
+        // Isolated pixel
+        if (first < 0) {
+            labels[start] = -nbd;
+            return [start];
+        }
         
-        while (stack.length > 0 && contour.length < this.optimizationSettings.maxPoints) {
-            const [x, y] = stack.pop();
+        const trace = [];
+        let current = start;
+        
+        for (;;) {
+            // 3.3: search counter-clockwise, starting after the previous border pixel
+            let next;
+            let eastIsBackground = false;
+            let searchDirection = direction;
             
-            if (x < 0 || x >= width || y < 0 || y >= height || 
-                visited[y][x] || binaryMap[y][x] === 0) {
-                continue;
+            for (;;) {
+                searchDirection = (searchDirection + 1) & 7;
+                next = current + offsets[searchDirection];
+                if (labels[next] !== 0) break;
+                if (searchDirection === 0) eastIsBackground = true;
             }
             
-            visited[y][x] = true;
-            contour.push({ x, y });
-            
-            // Check neighbors
-            for (const [dx, dy] of directions) {
-                const nx = x + dx;
-                const ny = y + dy;
-                
-                if (nx >= 0 && nx < width && ny >= 0 && ny < height &&
-                    !visited[ny][nx] && binaryMap[ny][nx] === 1) {
-                    stack.push([nx, ny]);
-                }
+            // 3.4: mark the pixel; negative labels flag a right-hand border
+            if (eastIsBackground) {
+                labels[current] = -nbd;
+            } else if (labels[current] === 1) {
+                labels[current] = nbd;
             }
+            trace.push(current);
+            
+            // 3.5: stop when we are back at the start heading the same way
+            if (next === start && current === first) break;
+            
+            direction = (searchDirection + 4) & 7;
+            current = next;
         }
         
-        return contour;
+        return trace;
+    }
+
+    /**
+     * Evenly decimate a contour that exceeds the configured point budget
+     * @param {Array} points - Contour points
+     * @returns {Array} Contour points (at most maxPoints)
+     */
+    limitContourPoints(points) {
+        const maxPoints = this.optimizationSettings.maxPoints;
+        if (points.length <= maxPoints) return points;
+        
+        const step = points.length / maxPoints;
+        const limited = [];
+        for (let i = 0; i < maxPoints; i++) {
+            limited.push(points[Math.floor(i * step)]);
+        }
+        
+        return limited;
     }
 
     /**
      * Smooth contour using moving average
      * @param {Array} contour - Array of contour points
+     * @param {boolean} closed - Whether the contour wraps around (default true)
      * @returns {Array} Smoothed contour points
      */
-    smoothContour(contour) {
+    smoothContour(contour, closed = true) {
         if (contour.length < 5) return contour;
         
         const smoothed = [];
-        const windowSize = Math.min(5, Math.floor(contour.length / 10));
+        // The default smoothingFactor of 1.5 keeps the original half-window of 5 points
+        const windowSize = Math.min(
+            Math.round(this.optimizationSettings.smoothingFactor * 3),
+            Math.floor(contour.length / 10)
+        );
         
         for (let i = 0; i < contour.length; i++) {
             let sumX = 0, sumY = 0, count = 0;
             
             for (let j = -windowSize; j <= windowSize; j++) {
+                // Open paths clamp the window so the end points stay in place
+                if (!closed && (i + j < 0 || i + j >= contour.length)) continue;
+                
                 const idx = (i + j + contour.length) % contour.length;
                 sumX += contour[idx].x;
                 sumY += contour[idx].y;
@@ -245,12 +688,36 @@ class SVGVectorGenerator {
     /**
      * Simplify path using Douglas-Peucker algorithm
      * @param {Array} points - Array of path points
+     * @param {number} toleranceScale - Multiplier for the configured tolerance
+     * @param {boolean} closed - Treat the points as a closed ring
      * @returns {Array} Simplified path points
      */
-    simplifyPath(points) {
+    simplifyPath(points, toleranceScale = 1, closed = false) {
         if (points.length <= 2) return points;
         
-        return this.douglasPeucker(points, this.optimizationSettings.simplifyTolerance);
+        const tolerance = this.optimizationSettings.simplifyTolerance * toleranceScale;
+        
+        if (!closed) {
+            return this.douglasPeucker(points, tolerance);
+        }
+        
+        // Split the ring at the point farthest from the start and simplify both halves
+        let farthestIndex = 0;
+        let farthestDistance = -1;
+        points.forEach((point, index) => {
+            const distance = Math.hypot(point.x - points[0].x, point.y - points[0].y);
+            if (distance > farthestDistance) {
+                farthestDistance = distance;
+                farthestIndex = index;
+            }
+        });
+        
+        if (farthestIndex === 0) return [points[0]];
+        
+        const firstHalf = this.douglasPeucker(points.slice(0, farthestIndex + 1), tolerance);
+        const secondHalf = this.douglasPeucker(points.slice(farthestIndex).concat([points[0]]), tolerance);
+        
+        return firstHalf.slice(0, -1).concat(secondHalf.slice(0, -1));
     }
 
     /**
@@ -335,19 +802,31 @@ class SVGVectorGenerator {
 
     /**
      * Create SVG path object from simplified points
-     * @param {Array} points - Simplified path points
+     * @param {Array} points - Simplified path points (outer ring for closed paths)
+     * @param {Object} options - Path options
+     * @param {boolean} options.closed - Close every subpath with Z
+     * @param {Array} options.holes - Inner rings drawn as extra subpaths (even-odd)
+     * @param {number} options.depth - Nesting depth in the contour hierarchy
      * @returns {Object} SVG path object
      */
-    createSVGPath(points) {
+    createSVGPath(points, options = {}) {
         if (points.length < 2) return null;
         
-        // Generate smooth SVG path using cubic Bezier curves
-        const pathData = this.generateSmoothPathData(points);
+        const closed = Boolean(options.closed);
+        const subpaths = [points, ...(options.holes || [])];
+        
+        // Generate smooth SVG path using quadratic Bezier curves, one subpath per ring
+        const pathData = subpaths
+            .map(subpath => this.generateSmoothPathData(subpath, closed))
+            .join(' ');
         
         return {
             points: points,
+            subpaths: subpaths,
+            closed: closed,
+            depth: options.depth || 0,
             pathData: pathData,
-            length: this.calculatePathLength(points),
+            length: subpaths.reduce((sum, subpath) => sum + this.calculatePathLength(subpath, closed), 0),
             bounds: this.calculateBounds(points)
         };
     }
@@ -355,11 +834,27 @@ class SVGVectorGenerator {
     /**
      * Generate smooth SVG path data using Bezier curves
      * @param {Array} points - Path points
+     * @param {boolean} closed - Close the path with Z
      * @returns {string} SVG path data string
      */
-    generateSmoothPathData(points) {
+    generateSmoothPathData(points, closed = false) {
         if (points.length < 2) return '';
         
+        if (closed && points.length >= 3) {
+            // Curve through segment midpoints, using each vertex as control point
+            const count = points.length;
+            const midpoint = (a, b) => ({ x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 });
+            const start = midpoint(points[count - 1], points[0]);
+            
+            let closedData = `M ${start.x} ${start.y}`;
+            for (let i = 0; i < count; i++) {
+                const end = midpoint(points[i], points[(i + 1) % count]);
+                closedData += ` Q ${points[i].x} ${points[i].y} ${end.x} ${end.y}`;
+            }
+            
+            return closedData + ' Z';
+        }
+        
         let pathData = `M ${points[0].x} ${points[0].y}`;
         
         if (points.length === 2) {
@@ -391,9 +886,10 @@ class SVGVectorGenerator {
     /**
      * Calculate path length
      * @param {Array} points - Path points
+     * @param {boolean} closed - Include the closing segment
      * @returns {number} Total path length
      */
-    calculatePathLength(points) {
+    calculatePathLength(points, closed = false) {
         let length = 0;
         
         for (let i = 1; i < points.length; i++) {
@@ -402,6 +898,11 @@ class SVGVectorGenerator {
             length += Math.sqrt(dx * dx + dy * dy);
         }
         
+        if (closed && points.length > 2) {
+            const last = points[points.length - 1];
+            length += Math.hypot(points[0].x - last.x, points[0].y - last.y);
+        }
+        
         return length;
     }
 
@@ -435,12 +936,13 @@ class SVGVectorGenerator {
      * Create complete SVG document
      * @param {Array} vectorPaths - Array of vector path objects
      * @param {Object} metadata - Image metadata
+     * @param {Object} settings - Page settings (defaults to the global settings)
+     * @param {Object} regionMap - Paint-by-number regions; adds number labels and a color legend
      * @returns {SVGElement} SVG document element
      */
-    createSVGDocument(vectorPaths, metadata) {
+    createSVGDocument(vectorPaths, metadata, settings = window.AppState.currentSettings, regionMap = null) {
         // Create SVG root element
         const svg = document.createElementNS(this.svgNamespace, 'svg');
-        const settings = window.AppState.currentSettings;
         
         // Set document properties
         const pageSize = this.getPageDimensions(settings.pageSize);
@@ -463,32 +965,333 @@ class SVGVectorGenerator {
         const mainGroup = document.createElementNS(this.svgNamespace, 'g');
         mainGroup.setAttribute('id', 'coloring-content');
         
-        // Scale and center the image content
+        // Scale and center the image content (above the legend, if any)
+        const legend = regionMap ? this.calculateLegendLayout(regionMap.palette, pageSize.width - 40) : null;
+        const reservedHeight = legend ? legend.height : 0;
+        
         const imageBounds = this.calculateOverallBounds(vectorPaths);
-        const transform = this.calculateTransform(imageBounds, pageSize);
+        const transform = this.calculateTransform(imageBounds, pageSize, reservedHeight);
         mainGroup.setAttribute('transform', transform);
         
         // Add vector paths
+        const strokeWidth = this.getContentStrokeWidth(imageBounds, pageSize, settings, reservedHeight);
+        const medianLength = this.calculateMedianLength(vectorPaths);
+        
         vectorPaths.forEach((path, index) => {
             if (path && path.pathData) {
-                const pathElement = document.createElementNS(this.svgNamespace, 'path');
-                pathElement.setAttribute('d', path.pathData);
-                pathElement.setAttribute('fill', 'none');
-                pathElement.setAttribute('stroke', 'black');
-                pathElement.setAttribute('stroke-width', this.getStrokeWidth(settings.lineWeight));
-                pathElement.setAttribute('stroke-linecap', 'round');
-                pathElement.setAttribute('stroke-linejoin', 'round');
-                pathElement.setAttribute('id', `path-${index}`);
-                
-                mainGroup.appendChild(pathElement);
+                this.createStyledPathElements(path, index, settings.outputStyle, strokeWidth, medianLength)
+                    .forEach(element => mainGroup.appendChild(element));
             }
         });
         
+        if (regionMap) {
+            const scale = this.calculateContentScale(imageBounds, pageSize, reservedHeight);
+            mainGroup.appendChild(this.createRegionLabels(regionMap, scale));
+        }
+        
         svg.appendChild(mainGroup);
         
+        if (legend) {
+            const legendX = (pageSize.width - legend.width) / 2;
+            const legendY = pageSize.height - 20 - legend.rows * legend.rowHeight;
+            svg.appendChild(this.createColorLegend(regionMap.palette, legend, legendX, legendY));
+        }
+        
         return svg;
     }
 
+    /**
+     * Create the number labels of paint-by-number regions
+     * Each number sits at its region's pole of inaccessibility and is sized to fit there.
+     * @param {Object} regionMap - Region map (image pixel coordinates)
+     * @param {number} scale - Content scale (mm per pixel)
+     * @returns {SVGGElement} Label group, in content coordinates
+     */
+    createRegionLabels(regionMap, scale) {
+        const group = document.createElementNS(this.svgNamespace, 'g');
+        group.setAttribute('id', 'region-labels');
+        group.setAttribute('font-family', 'Arial, sans-serif');
+        group.setAttribute('text-anchor', 'middle');
+        group.setAttribute('fill', '#555555');
+        
+        regionMap.regions.forEach(region => {
+            const color = regionMap.palette[region.colorIndex];
+            if (!color) return;
+            
+            const text = document.createElementNS(this.svgNamespace, 'text');
+            text.setAttribute('x', region.labelPoint.x.toFixed(2));
+            text.setAttribute('y', region.labelPoint.y.toFixed(2));
+            text.setAttribute('font-size', (this.getLabelFontSize(region, scale) / scale).toFixed(2));
+            text.setAttribute('dominant-baseline', 'central');
+            text.textContent = String(color.number);
+            group.appendChild(text);
+        });
+        
+        return group;
+    }
+
+    /**
+     * Get the printed font size of a region number
+     * @param {Object} region - Region with its label radius (pixels)
+     * @param {number} scale - Content scale (mm per pixel)
+     * @returns {number} Font size in mm
+     */
+    getLabelFontSize(region, scale) {
+        return Math.max(1.2, Math.min(3.5, region.labelRadius * scale * 1.2));
+    }
+
+    /**
+     * Lay out the paint-by-number color legend as a grid of swatches
+     * Shared by the SVG document and the PDF renderer so both outputs match.
+     * @param {Array} palette - Palette entries { number, hex }
+     * @param {number} availableWidth - Width the legend may use, in mm
+     * @returns {Object} { columns, rows, cellWidth, rowHeight, swatchSize, width, height } in mm;
+     *     height includes the gap above the legend
+     */
+    calculateLegendLayout(palette, availableWidth) {
+        const cellWidth = 22;
+        const rowHeight = 9;
+        
+        const columns = Math.max(1, Math.min(palette.length, Math.floor(availableWidth / cellWidth)));
+        const rows = Math.ceil(palette.length / columns);
+        
+        return {
+            columns,
+            rows,
+            cellWidth,
+            rowHeight,
+            swatchSize: 6,
+            width: columns * cellWidth,
+            height: rows * rowHeight + 4
+        };
+    }
+
+    /**
+     * Create the paint-by-number color legend: one swatch and number per palette color
+     * @param {Array} palette - Palette entries { number, hex }
+     * @param {Object} layout - Legend layout (see calculateLegendLayout)
+     * @param {number} originX - Left edge of the legend in mm
+     * @param {number} originY - Top of the first swatch row in mm
+     * @returns {SVGGElement} Legend group, in page coordinates
+     */
+    createColorLegend(palette, layout, originX, originY) {
+        const group = document.createElementNS(this.svgNamespace, 'g');
+        group.setAttribute('id', 'color-legend');
+        group.setAttribute('font-family', 'Arial, sans-serif');
+        group.setAttribute('font-size', '4');
+        
+        palette.forEach((color, index) => {
+            const x = originX + (index % layout.columns) * layout.cellWidth;
+            const y = originY + Math.floor(index / layout.columns) * layout.rowHeight;
+            
+            const swatch = document.createElementNS(this.svgNamespace, 'rect');
+            swatch.setAttribute('x', x.toFixed(2));
+            swatch.setAttribute('y', y.toFixed(2));
+            swatch.setAttribute('width', layout.swatchSize);
+            swatch.setAttribute('height', layout.swatchSize);
+            swatch.setAttribute('fill', color.hex);
+            swatch.setAttribute('stroke', 'black');
+            swatch.setAttribute('stroke-width', '0.3');
+            group.appendChild(swatch);
+            
+            const label = document.createElementNS(this.svgNamespace, 'text');
+            label.setAttribute('x', (x + layout.swatchSize + 2).toFixed(2));
+            label.setAttribute('y', (y + layout.swatchSize * 0.75).toFixed(2));
+            label.setAttribute('font-weight', 'bold');
+            label.textContent = String(color.number);
+            group.appendChild(label);
+        });
+        
+        return group;
+    }
+
+    /**
+     * Get the stroke width in content (image pixel) units
+     * Centerline strokes are the printed line itself, so the content scale is undone
+     * to keep them at the chosen width in mm.
+     * @param {Object} imageBounds - Overall bounds of the vector paths
+     * @param {Object} pageSize - Page dimensions in mm
+     * @param {Object} settings - User settings
+     * @param {number} reservedHeight - Page height (mm) kept free below the content
+     * @returns {number} Stroke width in content units
+     */
+    getContentStrokeWidth(imageBounds, pageSize, settings, reservedHeight = 0) {
+        const contentScale = this.usesCenterlines(settings)
+            ? this.calculateContentScale(imageBounds, pageSize, reservedHeight)
+            : 1;
+        
+        return this.getStrokeWidth(settings.lineWeight) / contentScale;
+    }
+
+    /**
+     * Serialize vector paths as a standalone SVG in image pixel coordinates
+     * Used to overlay the vector result on the source photo for comparison.
+     * @param {Array} vectorPaths - Vector path objects
+     * @param {number} width - Image width in pixels
+     * @param {number} height - Image height in pixels
+     * @param {Object} settings - User settings
+     * @returns {string} SVG markup
+     */
+    createImageSpaceSVGString(vectorPaths, width, height, settings = window.AppState.currentSettings) {
+        const pageSize = this.getPageDimensions(settings.pageSize);
+        const strokeWidth = this.getContentStrokeWidth(this.calculateOverallBounds(vectorPaths), pageSize, settings);
+        const medianLength = this.calculateMedianLength(vectorPaths);
+        const elements = [];
+        
+        vectorPaths.forEach((path, index) => {
+            if (!path || !path.pathData) return;
+            
+            this.getStyledStrokes(path, index, settings.outputStyle, medianLength).forEach(stroke => {
+                let attributes = `d="${stroke.pathData}" fill="none" stroke="black" ` +
+                    `stroke-width="${strokeWidth * stroke.widthScale}" stroke-linecap="round" stroke-linejoin="round"`;
+                if (path.closed) attributes += ' fill-rule="evenodd"';
+                if (stroke.opacity < 1) attributes += ` stroke-opacity="${stroke.opacity}"`;
+                elements.push(`<path ${attributes}/>`);
+            });
+        });
+        
+        return `<svg xmlns="${this.svgNamespace}" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">` +
+            `<rect width="${width}" height="${height}" fill="white"/>${elements.join('')}</svg>`;
+    }
+
+    /**
+     * Create the path element(s) for one vector path in the selected output style
+     * @param {Object} path - Vector path object
+     * @param {number} index - Path index
+     * @param {string} outputStyle - 'outline', 'sketch' or 'artistic'
+     * @param {number} strokeWidth - Base stroke width
+     * @param {number} medianLength - Median path length, used by the artistic style
+     * @returns {SVGPathElement[]} Path elements
+     */
+    createStyledPathElements(path, index, outputStyle, strokeWidth, medianLength) {
+        const strokes = this.getStyledStrokes(path, index, outputStyle, medianLength);
+        
+        return strokes.map((stroke, pass) => {
+            const id = strokes.length > 1 ? `path-${index}-${pass}` : `path-${index}`;
+            const element = this.createPathElement(stroke.pathData, strokeWidth * stroke.widthScale, id);
+            
+            // Outer ring plus holes: even-odd keeps holes open if the path is ever filled
+            if (path.closed) {
+                element.setAttribute('fill-rule', 'evenodd');
+            }
+            
+            if (stroke.opacity < 1) {
+                element.setAttribute('stroke-opacity', stroke.opacity);
+            }
+            return element;
+        });
+    }
+
+    /**
+     * Describe the strokes used to draw one path in the selected output style
+     * Shared by the SVG document and the PDF renderer so both outputs match.
+     * @param {Object} path - Vector path object
+     * @param {number} index - Path index (also seeds the sketch jitter)
+     * @param {string} outputStyle - 'outline', 'sketch' or 'artistic'
+     * @param {number} medianLength - Median path length, used by the artistic style
+     * @returns {Array} Stroke descriptors { pathData, widthScale, opacity }
+     */
+    getStyledStrokes(path, index, outputStyle, medianLength) {
+        if (outputStyle === 'sketch') {
+            // Several thin, slightly jittered passes imitate pencil strokes
+            const random = this.createRandom(index + 1);
+            const strokes = [];
+            
+            const subpaths = path.subpaths || [path.points];
+            
+            for (let pass = 0; pass < 3; pass++) {
+                const pathData = subpaths
+                    .map(subpath => this.generateSmoothPathData(this.jitterPoints(subpath, 1.0, random), path.closed))
+                    .join(' ');
+                
+                strokes.push({
+                    pathData: pathData,
+                    widthScale: 0.5,
+                    opacity: 0.8
+                });
+            }
+            
+            return strokes;
+        }
+        
+        if (outputStyle === 'artistic') {
+            // Major region outlines are drawn heavier than small details
+            return [{
+                pathData: path.pathData,
+                widthScale: path.length >= medianLength ? 1.4 : 0.8,
+                opacity: 1
+            }];
+        }
+        
+        return [{ pathData: path.pathData, widthScale: 1, opacity: 1 }];
+    }
+
+    /**
+     * Create a single stroked path element
+     * @param {string} pathData - SVG path data
+     * @param {number} strokeWidth - Stroke width
+     * @param {string} id - Element id
+     * @returns {SVGPathElement} Path element
+     */
+    createPathElement(pathData, strokeWidth, id) {
+        const pathElement = document.createElementNS(this.svgNamespace, 'path');
+        pathElement.setAttribute('d', pathData);
+        pathElement.setAttribute('fill', 'none');
+        pathElement.setAttribute('stroke', 'black');
+        pathElement.setAttribute('stroke-width', strokeWidth);
+        pathElement.setAttribute('stroke-linecap', 'round');
+        pathElement.setAttribute('stroke-linejoin', 'round');
+        pathElement.setAttribute('id', id);
+        
+        return pathElement;
+    }
+
+    /**
+     * Offset every point by a small random amount
+     * @param {Array} points - Path points
+     * @param {number} amplitude - Maximum offset in each direction
+     * @param {Function} random - Random number generator returning [0, 1)
+     * @returns {Array} Jittered points
+     */
+    jitterPoints(points, amplitude, random) {
+        return points.map(point => ({
+            x: point.x + (random() * 2 - 1) * amplitude,
+            y: point.y + (random() * 2 - 1) * amplitude
+        }));
+    }
+
+    /**
+     * Create a seeded pseudo-random generator (mulberry32)
+     * Seeding keeps sketch output identical between preview and export.
+     * @param {number} seed - Integer seed
+     * @returns {Function} Generator returning numbers in [0, 1)
+     */
+    createRandom(seed) {
+        let state = seed >>> 0;
+        
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    /**
+     * Calculate the median length of a set of paths
+     * @param {Array} vectorPaths - Array of vector paths
+     * @returns {number} Median path length
+     */
+    calculateMedianLength(vectorPaths) {
+        const lengths = vectorPaths
+            .filter(path => path && typeof path.length === 'number')
+            .map(path => path.length)
+            .sort((a, b) => a - b);
+        
+        return lengths.length > 0 ? lengths[Math.floor(lengths.length / 2)] : 0;
+    }
+
     /**
      * Get page dimensions based on page size setting
      * @param {string} pageSize - Page size setting
@@ -553,17 +1356,15 @@ class SVGVectorGenerator {
      * Calculate transform to fit and center content
      * @param {Object} contentBounds - Content bounding box
      * @param {Object} pageSize - Page dimensions
+     * @param {number} reservedHeight - Page height (mm) kept free below the content
      * @returns {string} SVG transform attribute
      */
-    calculateTransform(contentBounds, pageSize) {
+    calculateTransform(contentBounds, pageSize, reservedHeight = 0) {
         const margin = 20; // 20mm margin
         const availableWidth = pageSize.width - (margin * 2);
-        const availableHeight = pageSize.height - (margin * 2);
+        const availableHeight = pageSize.height - (margin * 2) - reservedHeight;
         
-        // Calculate scale to fit within available area
-        const scaleX = availableWidth / contentBounds.width;
-        const scaleY = availableHeight / contentBounds.height;
-        const scale = Math.min(scaleX, scaleY, 1); // Don't scale up
+        const scale = this.calculateContentScale(contentBounds, pageSize, reservedHeight);
         
         // Calculate centering offsets
         const scaledWidth = contentBounds.width * scale;
@@ -574,6 +1375,21 @@ class SVGVectorGenerator {
         return `translate(${offsetX}, ${offsetY}) scale(${scale})`;
     }
 
+    /**
+     * Calculate the scale that fits content within the page margins
+     * @param {Object} contentBounds - Content bounding box
+     * @param {Object} pageSize - Page dimensions
+     * @param {number} reservedHeight - Page height (mm) kept free below the content
+     * @returns {number} Scale factor (never above 1)
+     */
+    calculateContentScale(contentBounds, pageSize, reservedHeight = 0) {
+        const margin = 20; // 20mm margin
+        const scaleX = (pageSize.width - (margin * 2)) / contentBounds.width;
+        const scaleY = (pageSize.height - (margin * 2) - reservedHeight) / contentBounds.height;
+        
+        return Math.min(scaleX, scaleY, 1); // Don't scale up
+    }
+
     /**
      * Optimize SVG paths for better performance and quality
      * @param {SVGElement} svgDocument - SVG document to optimize
@@ -715,11 +1531,56 @@ class SVGVectorGenerator {
         return new Blob([this.serializeSVG(svgElement)]).size;
     }
 
+    /**
+     * Rasterize an SVG result to a PNG image at print resolution
+     * @param {Object} svgResult - SVG result object
+     * @param {number} dpi - Output resolution in dots per inch
+     * @returns {Promise<Blob>} PNG image blob
+     */
+    rasterizeSVG(svgResult, dpi = 150) {
+        const [, , widthMm, heightMm] = svgResult.svgDocument.getAttribute('viewBox').split(/\s+/).map(Number);
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(widthMm / 25.4 * dpi);
+        canvas.height = Math.round(heightMm / 25.4 * dpi);
+        
+        return new Promise((resolve, reject) => {
+            const img = new Image();
+            const url = URL.createObjectURL(new Blob([svgResult.svgString], { type: 'image/svg+xml' }));
+            
+            img.onload = () => {
+                const context = canvas.getContext('2d');
+                
+                // Paper-white background instead of transparency
+                context.fillStyle = 'white';
+                context.fillRect(0, 0, canvas.width, canvas.height);
+                context.drawImage(img, 0, 0, canvas.width, canvas.height);
+                URL.revokeObjectURL(url);
+                
+                canvas.toBlob(blob => {
+                    if (blob) {
+                        resolve(blob);
+                    } else {
+                        reject(new Error('PNG encoding failed'));
+                    }
+                }, 'image/png');
+            };
+            
+            img.onerror = () => {
+                URL.revokeObjectURL(url);
+                reject(new Error('SVG could not be rasterized'));
+            };
+            
+            img.src = url;
+        });
+    }
+
     /**
      * Export SVG files for download
      * @param {Array} processedImages - Processed image data
+     * @param {Object} options - Export options
+     * @param {AbortSignal} options.signal - Cancels the export before anything is downloaded
      */
-    async exportSVGFiles(processedImages) {
+    async exportSVGFiles(processedImages, options = {}) {
         try {
             console.log('Starting SVG export...');
             
@@ -728,9 +1589,11 @@ class SVGVectorGenerator {
             if (processedImages[0].svgDocument) {
                 svgResults = processedImages;
             } else {
-                svgResults = await this.convertToSVG(processedImages);
+                svgResults = await this.convertToSVG(processedImages, options);
             }
             
+            this.throwIfAborted(options.signal);
+            
             if (svgResults.length === 1) {
                 // Single file download
                 this.downloadSVGFile(svgResults[0]);
@@ -740,6 +1603,8 @@ class SVGVectorGenerator {
             }
             
         } catch (error) {
+            if (error.name === 'AbortError') throw error;
+            
             console.error('SVG export failed:', error);
             alert('SVG export failed. Please try again.');
         }
@@ -761,20 +1626,72 @@ class SVGVectorGenerator {
      * @param {Array} svgResults - Array of SVG results
      */
     async downloadSVGZip(svgResults) {
-        // For demo purposes, download the first SVG
-        // In a real implementation, you'd use a ZIP library like JSZip
-        console.log(`Would create ZIP with ${svgResults.length} SVG files`);
+        const settings = window.AppState.currentSettings;
+        const archive = new window.ZipArchiveWriter();
+        const manifest = {
+            project: settings.projectTitle || 'Coloring Pages',
+            generator: 'Photo Coloring Converter',
+            createdAt: new Date().toISOString(),
+            pageCount: svgResults.length,
+            files: []
+        };
         
-        if (svgResults.length > 0) {
-            this.downloadSVGFile(svgResults[0]);
-            alert(`SVG export: Generated ${svgResults.length} files. Downloading first file as demonstration.`);
-        }
+        svgResults.forEach((svgResult, index) => {
+            const filename = this.getArchiveFilename(svgResult, index);
+            archive.addFile(filename, svgResult.svgString);
+            
+            manifest.files.push({
+                filename: filename,
+                page: index + 1,
+                source: svgResult.originalImage.metadata.filename,
+                pathCount: svgResult.metadata.pathCount,
+                svgSize: svgResult.metadata.svgSize,
+                generatedAt: svgResult.metadata.generatedAt
+            });
+        });
+        
+        archive.addFile('manifest.json', JSON.stringify(manifest, null, 2));
+        
+        const zipBlob = await archive.generateBlob();
+        const timestamp = new Date().toISOString().split('T')[0];
+        const zipName = `${this.sanitizeFilename(settings.projectTitle || 'coloring-pages')}-svg-${timestamp}.zip`;
+        
+        this.triggerDownload(zipName, zipBlob, 'application/zip');
+        console.log(`Created ZIP with ${svgResults.length} SVG files`);
+    }
+
+    /**
+     * Get a stable, unique filename for an SVG inside an archive
+     * @param {Object} svgResult - SVG result object
+     * @param {number} index - Page index
+     * @returns {string} Archive entry name
+     */
+    getArchiveFilename(svgResult, index) {
+        const baseName = svgResult.originalImage.metadata.filename.replace(/\.[^/.]+$/, '');
+        const pageNumber = String(index + 1).padStart(2, '0');
+        
+        return `page-${pageNumber}-${this.sanitizeFilename(baseName)}-coloring.svg`;
+    }
+
+    /**
+     * Make a string safe for use as a file name
+     * @param {string} name - Raw name
+     * @returns {string} Sanitized name
+     */
+    sanitizeFilename(name) {
+        const cleaned = name
+            .replace(/[\\/:*?"<>|\x00-\x1f]+/g, '-')
+            .replace(/\s+/g, '-')
+            .replace(/-+/g, '-')
+            .replace(/^[-.]+|[-.]+$/g, '');
+        
+        return cleaned || 'untitled';
     }
 
     /**
      * Trigger file download
      * @param {string} filename - File name
-     * @param {string} content - File content
+     * @param {string|Blob} content - File content
      * @param {string} mimeType - MIME type
      */
     triggerDownload(filename, content, mimeType) {
@@ -795,6 +1712,19 @@ class SVGVectorGenerator {
         console.log(`Downloaded: ${filename}`);
     }
 
+    /**
+     * Throw an AbortError if the signal has been aborted
+     * @param {AbortSignal} signal - Cancellation signal
+     * @param {Array} partialResults - Results completed before cancellation
+     */
+    throwIfAborted(signal, partialResults = []) {
+        if (signal && signal.aborted) {
+            const error = new DOMException('SVG conversion cancelled', 'AbortError');
+            error.partialResults = partialResults.slice();
+            throw error;
+        }
+    }
+
     /**
      * Utility delay function
      * @param {number} ms - Delay in milliseconds
@@ -0,0 +1,439 @@
+/**
+ * Photo Coloring Converter - TrueType Font
+ * Minimal TrueType (glyf outline) font reader used for PDF font embedding
+ * Maps characters to glyphs, reads metrics and writes glyph subsets
+ */
+
+class TrueTypeFont {
+    /**
+     * @param {ArrayBuffer|Uint8Array} data - TrueType font file
+     */
+    constructor(data) {
+        this.bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+        this.view = new DataView(this.bytes.buffer, this.bytes.byteOffset, this.bytes.byteLength);
+        this.tables = this.readTableDirectory();
+
+        ['head', 'hhea', 'maxp', 'hmtx', 'loca', 'glyf', 'cmap'].forEach(tag => {
+            if (!this.tables[tag]) {
+                throw new Error(`Unsupported font: missing '${tag}' table`);
+            }
+        });
+
+        const head = this.tables.head.offset;
+        this.unitsPerEm = this.view.getUint16(head + 18);
+        this.bbox = [36, 38, 40, 42].map(offset => this.view.getInt16(head + offset));
+        this.indexToLocFormat = this.view.getInt16(head + 50);
+
+        const hhea = this.tables.hhea.offset;
+        this.ascent = this.view.getInt16(hhea + 4);
+        this.descent = this.view.getInt16(hhea + 6);
+        this.numberOfHMetrics = this.view.getUint16(hhea + 34);
+
+        this.numGlyphs = this.view.getUint16(this.tables.maxp.offset + 4);
+        this.glyphOffsets = this.readGlyphOffsets();
+        this.lookupGlyph = this.readCharacterMap();
+
+        const os2 = this.tables['OS/2'];
+        this.capHeight = os2 && os2.length >= 90 ? this.view.getInt16(os2.offset + 88) : Math.round(this.ascent * 0.7);
+        this.embeddingType = os2 ? this.view.getUint16(os2.offset + 8) : 0;
+
+        const post = this.tables.post;
+        this.italicAngle = post ? this.view.getInt32(post.offset + 4) / 65536 : 0;
+
+        this.postScriptName = this.readPostScriptName() || 'EmbeddedFont';
+    }
+
+    /**
+     * Check whether the font license allows embedding (OS/2 fsType is not "restricted")
+     * @returns {boolean} True when the font may be embedded
+     */
+    get isEmbeddable() {
+        return (this.embeddingType & 0x000F) !== 0x0002;
+    }
+
+    /**
+     * Read the table directory
+     * @returns {Object} Tag -> { offset, length }
+     */
+    readTableDirectory() {
+        const version = this.view.getUint32(0);
+        if (version !== 0x00010000 && version !== 0x74727565) {
+            throw new Error('Unsupported font: not a TrueType outline font');
+        }
+
+        const tables = {};
+        const count = this.view.getUint16(4);
+
+        for (let i = 0; i < count; i++) {
+            const record = 12 + i * 16;
+            const tag = String.fromCharCode(...this.bytes.subarray(record, record + 4));
+            tables[tag] = {
+                offset: this.view.getUint32(record + 8),
+                length: this.view.getUint32(record + 12)
+            };
+        }
+
+        return tables;
+    }
+
+    /**
+     * Read glyph start offsets from the loca table
+     * @returns {Uint32Array} numGlyphs + 1 offsets into glyf
+     */
+    readGlyphOffsets() {
+        const loca = this.tables.loca.offset;
+        const offsets = new Uint32Array(this.numGlyphs + 1);
+
+        for (let i = 0; i <= this.numGlyphs; i++) {
+            offsets[i] = this.indexToLocFormat === 0
+                ? this.view.getUint16(loca + i * 2) * 2
+                : this.view.getUint32(loca + i * 4);
+        }
+
+        return offsets;
+    }
+
+    /**
+     * Build the character to glyph lookup from the best Unicode cmap subtable
+     * Prefers format 12 (full Unicode), then format 4 (Basic Multilingual Plane).
+     * @returns {Function} Code point -> glyph id (0 when missing)
+     */
+    readCharacterMap() {
+        const cmap = this.tables.cmap.offset;
+        const count = this.view.getUint16(cmap + 2);
+        const subtables = {};
+
+        for (let i = 0; i < count; i++) {
+            const record = cmap + 4 + i * 8;
+            const platform = this.view.getUint16(record);
+            const encoding = this.view.getUint16(record + 2);
+            const offset = cmap + this.view.getUint32(record + 4);
+            const format = this.view.getUint16(offset);
+
+            if ((platform === 3 && (encoding === 10 || encoding === 1)) || platform === 0) {
+                subtables[format] = subtables[format] || offset;
+            }
+        }
+
+        if (subtables[12]) return this.readFormat12(subtables[12]);
+        if (subtables[4]) return this.readFormat4(subtables[4]);
+
+        throw new Error('Unsupported font: no Unicode character map');
+    }
+
+    /**
+     * Read a format 4 (segment mapping) cmap subtable
+     * @param {number} offset - Subtable offset
+     * @returns {Function} Code point -> glyph id
+     */
+    readFormat4(offset) {
+        const segments = this.view.getUint16(offset + 6) / 2;
+        const endCodes = offset + 14;
+        const startCodes = endCodes + segments * 2 + 2;
+        const deltas = startCodes + segments * 2;
+        const rangeOffsets = deltas + segments * 2;
+
+        return (codePoint) => {
+            if (codePoint > 0xFFFF) return 0;
+
+            for (let i = 0; i < segments; i++) {
+                if (codePoint > this.view.getUint16(endCodes + i * 2)) continue;
+
+                const start = this.view.getUint16(startCodes + i * 2);
+                if (codePoint < start) return 0;
+
+                const delta = this.view.getInt16(deltas + i * 2);
+                const rangeOffset = this.view.getUint16(rangeOffsets + i * 2);
+                if (rangeOffset === 0) return (codePoint + delta) & 0xFFFF;
+
+                const glyphAddress = rangeOffsets + i * 2 + rangeOffset + (codePoint - start) * 2;
+                const glyph = this.view.getUint16(glyphAddress);
+                return glyph === 0 ? 0 : (glyph + delta) & 0xFFFF;
+            }
+
+            return 0;
+        };
+    }
+
+    /**
+     * Read a format 12 (segmented coverage) cmap subtable
+     * @param {number} offset - Subtable offset
+     * @returns {Function} Code point -> glyph id
+     */
+    readFormat12(offset) {
+        const groups = this.view.getUint32(offset + 12);
+
+        return (codePoint) => {
+            let low = 0;
+            let high = groups - 1;
+
+            while (low <= high) {
+                const middle = (low + high) >> 1;
+                const group = offset + 16 + middle * 12;
+                const start = this.view.getUint32(group);
+                const end = this.view.getUint32(group + 4);
+
+                if (codePoint < start) {
+                    high = middle - 1;
+                } else if (codePoint > end) {
+                    low = middle + 1;
+                } else {
+                    return this.view.getUint32(group + 8) + (codePoint - start);
+                }
+            }
+
+            return 0;
+        };
+    }
+
+    /**
+     * Read the PostScript name (name ID 6)
+     * @returns {string|null} Name with only PostScript-safe characters
+     */
+    readPostScriptName() {
+        const table = this.tables.name;
+        if (!table) return null;
+
+        const count = this.view.getUint16(table.offset + 2);
+        const strings = table.offset + this.view.getUint16(table.offset + 4);
+
+        for (let i = 0; i < count; i++) {
+            const record = table.offset + 6 + i * 12;
+            if (this.view.getUint16(record + 6) !== 6) continue;
+
+            const platform = this.view.getUint16(record);
+            const length = this.view.getUint16(record + 8);
+            const start = strings + this.view.getUint16(record + 10);
+
+            let name = '';
+            if (platform === 3 || platform === 0) {
+                for (let j = 0; j < length; j += 2) name += String.fromCharCode(this.view.getUint16(start + j));
+            } else {
+                name = String.fromCharCode(...this.bytes.subarray(start, start + length));
+            }
+
+            name = name.replace(/[^A-Za-z0-9-]/g, '');
+            if (name) return name;
+        }
+
+        return null;
+    }
+
+    /**
+     * Get the glyph of a character
+     * @param {number} codePoint - Unicode code point
+     * @returns {number} Glyph id (0 = .notdef when the font lacks the character)
+     */
+    glyphForCodePoint(codePoint) {
+        const glyph = this.lookupGlyph(codePoint);
+        return glyph < this.numGlyphs ? glyph : 0;
+    }
+
+    /**
+     * Get a glyph's advance width
+     * @param {number} glyph - Glyph id
+     * @returns {number} Advance width in 1/1000 em (PDF glyph space)
+     */
+    getAdvanceWidth(glyph) {
+        const metric = Math.min(glyph, this.numberOfHMetrics - 1);
+        const advance = this.view.getUint16(this.tables.hmtx.offset + metric * 4);
+        return Math.round(advance * 1000 / this.unitsPerEm);
+    }
+
+    /**
+     * Scale a font unit value to PDF glyph space
+     * @param {number} value - Value in font units
+     * @returns {number} Value in 1/1000 em
+     */
+    toGlyphSpace(value) {
+        return Math.round(value * 1000 / this.unitsPerEm);
+    }
+
+    /**
+     * Collect the glyphs a set of glyphs depends on (composite glyph components)
+     * @param {Iterable<number>} glyphs - Glyph ids
+     * @returns {Set<number>} Glyph ids including .notdef and all components
+     */
+    resolveComponents(glyphs) {
+        const result = new Set();
+        const pending = [0, ...glyphs];
+        const glyf = this.tables.glyf.offset;
+
+        while (pending.length > 0) {
+            const glyph = pending.pop();
+            if (result.has(glyph) || glyph >= this.numGlyphs) continue;
+            result.add(glyph);
+
+            const start = this.glyphOffsets[glyph];
+            if (this.glyphOffsets[glyph + 1] === start) continue;
+
+            // Negative contour count marks a composite glyph
+            let offset = glyf + start;
+            if (this.view.getInt16(offset) >= 0) continue;
+            offset += 10;
+
+            let flags;
+            do {
+                flags = this.view.getUint16(offset);
+                const component = this.view.getUint16(offset + 2);
+                if (!result.has(component)) pending.push(component);
+
+                offset += 4 + (flags & 0x0001 ? 4 : 2);
+                if (flags & 0x0008) offset += 2;
+                else if (flags & 0x0040) offset += 4;
+                else if (flags & 0x0080) offset += 8;
+            } while (flags & 0x0020);
+        }
+
+        return result;
+    }
+
+    /**
+     * Write a subset font that keeps only the outlines of the given glyphs
+     * Glyph ids stay unchanged (unused glyphs become empty), so the subset works
+     * with an identity CID-to-glyph mapping and composite references stay valid.
+     * @param {Iterable<number>} glyphs - Glyph ids to keep
+     * @returns {Uint8Array} TrueType font file
+     */
+    subset(glyphs) {
+        const keep = this.resolveComponents(glyphs);
+        const glyf = this.tables.glyf.offset;
+
+        // New glyf and long-format loca tables
+        const glyphData = [];
+        const loca = new Uint8Array((this.numGlyphs + 1) * 4);
+        const locaView = new DataView(loca.buffer);
+        let position = 0;
+
+        for (let glyph = 0; glyph < this.numGlyphs; glyph++) {
+            locaView.setUint32(glyph * 4, position);
+            if (!keep.has(glyph)) continue;
+
+            const start = this.glyphOffsets[glyph];
+            const length = this.glyphOffsets[glyph + 1] - start;
+            if (length === 0) continue;
+
+            const padded = new Uint8Array(length + ((4 - length % 4) % 4));
+            padded.set(this.bytes.subarray(glyf + start, glyf + start + length));
+            glyphData.push(padded);
+            position += padded.length;
+        }
+        locaView.setUint32(this.numGlyphs * 4, position);
+
+        const head = this.copyTable('head');
+        const headView = new DataView(head.buffer);
+        headView.setUint32(8, 0);      // checkSumAdjustment, set below
+        headView.setInt16(50, 1);      // Long loca offsets
+
+        const tables = {
+            head: head,
+            hhea: this.copyTable('hhea'),
+            maxp: this.copyTable('maxp'),
+            hmtx: this.copyTable('hmtx'),
+            loca: loca,
+            glyf: this.concatBytes(glyphData)
+        };
+
+        // Hinting programs are kept so glyphs render as designed
+        ['cvt ', 'fpgm', 'prep'].forEach(tag => {
+            if (this.tables[tag]) tables[tag] = this.copyTable(tag);
+        });
+
+        const font = this.buildFontFile(tables);
+        const adjustment = (0xB1B0AFBA - this.calculateChecksum(font.bytes)) >>> 0;
+        new DataView(font.bytes.buffer).setUint32(font.headOffset + 8, adjustment);
+
+        return font.bytes;
+    }
+
+    /**
+     * Copy a table out of the source font
+     * @param {string} tag - Table tag
+     * @returns {Uint8Array} Table bytes (copy)
+     */
+    copyTable(tag) {
+        const table = this.tables[tag];
+        return this.bytes.slice(table.offset, table.offset + table.length);
+    }
+
+    /**
+     * Assemble a font file from tables
+     * @param {Object} tables - Tag -> bytes
+     * @returns {Object} { bytes, headOffset (position of the head table) }
+     */
+    buildFontFile(tables) {
+        const tags = Object.keys(tables).sort();
+        const count = tags.length;
+        const searchPower = Math.pow(2, Math.floor(Math.log2(count)));
+
+        const header = new Uint8Array(12 + count * 16);
+        const headerView = new DataView(header.buffer);
+        headerView.setUint32(0, 0x00010000);
+        headerView.setUint16(4, count);
+        headerView.setUint16(6, searchPower * 16);
+        headerView.setUint16(8, Math.log2(searchPower));
+        headerView.setUint16(10, count * 16 - searchPower * 16);
+
+        const parts = [header];
+        let offset = header.length;
+        let headOffset = 0;
+
+        tags.forEach((tag, index) => {
+            const data = tables[tag];
+            const record = 12 + index * 16;
+
+            for (let i = 0; i < 4; i++) header[record + i] = tag.charCodeAt(i);
+            headerView.setUint32(record + 4, this.calculateChecksum(data));
+            headerView.setUint32(record + 8, offset);
+            headerView.setUint32(record + 12, data.length);
+
+            if (tag === 'head') headOffset = offset;
+
+            const padded = new Uint8Array(data.length + ((4 - data.length % 4) % 4));
+            padded.set(data);
+            parts.push(padded);
+            offset += padded.length;
+        });
+
+        return { bytes: this.concatBytes(parts), headOffset };
+    }
+
+    /**
+     * TrueType checksum: sum of big-endian 32-bit words
+     * @param {Uint8Array} data - Bytes (zero-padded to a multiple of 4)
+     * @returns {number} Unsigned 32-bit checksum
+     */
+    calculateChecksum(data) {
+        let sum = 0;
+
+        for (let i = 0; i < data.length; i += 4) {
+            const word = ((data[i] << 24) | ((data[i + 1] || 0) << 16) | ((data[i + 2] || 0) << 8) | (data[i + 3] || 0)) >>> 0;
+            sum = (sum + word) >>> 0;
+        }
+
+        return sum;
+    }
+
+    /**
+     * Concatenate byte arrays
+     * @param {Uint8Array[]} parts - Byte arrays
+     * @returns {Uint8Array} Combined bytes
+     */
+    concatBytes(parts) {
+        const total = parts.reduce((sum, part) => sum + part.length, 0);
+        const result = new Uint8Array(total);
+        let offset = 0;
+
+        parts.forEach(part => {
+            result.set(part, offset);
+            offset += part.length;
+        });
+
+        return result;
+    }
+}
+
+// Expose the font class; fonts are parsed once and shared between exports
+window.TrueTypeFont = TrueTypeFont;
+
+console.log('TrueType Font reader loaded successfully');
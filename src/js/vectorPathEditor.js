@@ -0,0 +1,665 @@
+/**
+ * Photo Coloring Converter - Vector Path Editor
+ * Edits the traced paths of a page before export: select, delete, merge and
+ * simplify paths, re-simplify a selection with its own tolerance and drag the
+ * Bezier control nodes. Edited paths are stored on the result and used by
+ * SVGGenerator.getPageVectorPaths, so the SVG and PDF exports pick them up.
+ */
+
+class VectorPathEditor {
+    constructor() {
+        this.editorSettings = {
+            nodeRadius: 4,         // Node handle radius in screen pixels
+            maxNodes: 2000,        // Node handles are only shown for paths up to this size
+            historyLimit: 50
+        };
+
+        this.svgNamespace = 'http://www.w3.org/2000/svg';
+        this.activeEditor = null;
+
+        this.initializeEditor();
+    }
+
+    /**
+     * Initialize the path editor
+     */
+    initializeEditor() {
+        document.addEventListener('keydown', (event) => {
+            const state = this.activeEditor;
+            if (!state) return;
+
+            if (event.key === 'Escape') {
+                event.stopPropagation();
+                this.closeEditor();
+                return;
+            }
+
+            // Leave typing in the tolerance field alone
+            if (event.target.tagName === 'INPUT' && event.target.type !== 'range') return;
+
+            const key = event.key.toLowerCase();
+
+            if (event.key === 'Delete' || event.key === 'Backspace') {
+                event.preventDefault();
+                this.deleteSelection(state);
+            } else if ((event.ctrlKey || event.metaKey) && key === 'z' && !event.shiftKey) {
+                event.preventDefault();
+                this.undo(state);
+            } else if ((event.ctrlKey || event.metaKey) && (key === 'y' || (key === 'z' && event.shiftKey))) {
+                event.preventDefault();
+                this.redo(state);
+            } else if ((event.ctrlKey || event.metaKey) && key === 'a') {
+                event.preventDefault();
+                this.selectAll(state);
+            }
+        }, true);
+
+        console.log('Vector Path Editor initialized');
+    }
+
+    /**
+     * Open the path editor for a result
+     * @param {Object} result - Processing result
+     * @param {HTMLElement} card - Result card that opened the editor
+     */
+    async openEditor(result, card) {
+        if (!result || !window.SVGGenerator) return;
+
+        this.closeEditor();
+
+        const effective = window.SVGGenerator.resolvePageSettings(result);
+        const state = {
+            result: result,
+            card: card,
+            effective: effective,
+            paths: [],
+            selection: new Set(),
+            undoStack: [],
+            redoStack: [],
+            modal: this.createModal(result, effective)
+        };
+        this.activeEditor = state;
+        document.body.appendChild(state.modal);
+
+        this.setStatus(state, 'Tracing paths...');
+
+        try {
+            state.paths = (await window.SVGGenerator.getPageVectorPaths(result, effective)).filter(Boolean);
+        } catch (error) {
+            console.error('Path editor failed to trace paths:', error);
+            alert(`❌ Could not trace the paths of "${result.metadata.filename}".`);
+            this.closeEditor();
+            return;
+        }
+
+        // The editor may have been closed while tracing
+        if (this.activeEditor !== state) return;
+
+        this.setStatus(state, null);
+        this.setupControls(state);
+        this.setupCanvas(state);
+        this.render(state);
+    }
+
+    /**
+     * Close the active editor without saving
+     */
+    closeEditor() {
+        if (this.activeEditor) {
+            this.activeEditor.modal.remove();
+            this.activeEditor = null;
+        }
+    }
+
+    /**
+     * Build the editor dialog
+     * @param {Object} result - Processing result
+     * @param {Object} effective - Resolved page settings
+     * @returns {HTMLElement} Modal element
+     */
+    createModal(result, effective) {
+        const { width, height } = result.processedImageData;
+        const modal = document.createElement('div');
+        modal.className = 'photo-editor-modal path-editor-modal';
+        modal.setAttribute('role', 'dialog');
+        modal.setAttribute('aria-modal', 'true');
+
+        modal.innerHTML = `
+            <div class="photo-editor path-editor">
+                <h3>Edit paths</h3>
+                <p class="file-name"></p>
+                <div class="photo-editor-tools" role="group" aria-label="Selection">
+                    <button type="button" class="preset-btn" data-action="selectAll" title="Select all (Ctrl+A)">Select all</button>
+                    <button type="button" class="preset-btn" data-action="selectNone">Select none</button>
+                    <button type="button" class="preset-btn" data-action="delete" title="Delete (Del)">🗑️ Delete</button>
+                    <button type="button" class="preset-btn" data-action="merge" title="Join open strokes end to end, or combine closed shapes">🔗 Merge</button>
+                </div>
+                <div class="photo-editor-tools path-editor-simplify">
+                    <label>
+                        Simplify tolerance
+                        <input type="number" class="advanced-input path-tolerance-input" min="0.1" max="10" step="0.1">
+                    </label>
+                    <button type="button" class="preset-btn" data-action="simplify">〰️ Simplify selection</button>
+                </div>
+                <div class="path-editor-stage">
+                    <svg class="path-editor-canvas" xmlns="${this.svgNamespace}" viewBox="0 0 ${width} ${height}"
+                         preserveAspectRatio="xMidYMid meet">
+                        <rect class="path-editor-background" width="${width}" height="${height}"></rect>
+                        <g class="path-editor-paths"></g>
+                        <g class="path-editor-nodes"></g>
+                    </svg>
+                    <div class="comparison-status" hidden></div>
+                </div>
+                <p class="path-editor-info"></p>
+                <div class="photo-editor-actions">
+                    <button type="button" class="preset-btn" data-action="undo" title="Undo (Ctrl+Z)">↶ Undo</button>
+                    <button type="button" class="preset-btn" data-action="redo" title="Redo (Ctrl+Y)">↷ Redo</button>
+                    <button type="button" class="preset-btn" data-action="retrace" title="Discard path edits and trace the page again">↩️ Re-trace</button>
+                    <button type="button" class="preset-btn" data-action="cancel">Cancel</button>
+                    <button type="button" class="preset-btn primary" data-action="apply">✅ Apply</button>
+                </div>
+            </div>
+        `;
+
+        modal.querySelector('.file-name').textContent = result.metadata.filename;
+        modal.querySelector('.path-tolerance-input').value = effective.optimizationSettings.simplifyTolerance;
+
+        // Clicking the backdrop cancels
+        modal.addEventListener('click', (event) => {
+            if (event.target === modal) this.closeEditor();
+        });
+
+        return modal;
+    }
+
+    /**
+     * Wire the toolbar and dialog buttons
+     * @param {Object} state - Editor state
+     */
+    setupControls(state) {
+        state.modal.querySelectorAll('[data-action]').forEach(button => {
+            button.addEventListener('click', async () => {
+                switch (button.dataset.action) {
+                    case 'selectAll':
+                        this.selectAll(state);
+                        break;
+                    case 'selectNone':
+                        state.selection.clear();
+                        this.render(state);
+                        break;
+                    case 'delete':
+                        this.deleteSelection(state);
+                        break;
+                    case 'merge':
+                        this.mergeSelection(state);
+                        break;
+                    case 'simplify':
+                        this.simplifySelection(state);
+                        break;
+                    case 'undo':
+                        this.undo(state);
+                        break;
+                    case 'redo':
+                        this.redo(state);
+                        break;
+                    case 'retrace':
+                        await this.retrace(state);
+                        break;
+                    case 'cancel':
+                        this.closeEditor();
+                        break;
+                    case 'apply':
+                        this.applyEditor(state);
+                        break;
+                }
+            });
+        });
+    }
+
+    /**
+     * Clicking a path selects it (Shift/Ctrl adds to the selection), clicking the
+     * background clears the selection, dragging a node moves it
+     * @param {Object} state - Editor state
+     */
+    setupCanvas(state) {
+        const svg = state.modal.querySelector('.path-editor-canvas');
+
+        svg.addEventListener('pointerdown', (event) => {
+            if (event.button !== 0) return;
+
+            const node = event.target.closest('.path-editor-node');
+            if (node) {
+                event.preventDefault();
+                this.startNodeDrag(state, node, event);
+                return;
+            }
+
+            const pathElement = event.target.closest('[data-index]');
+            const additive = event.shiftKey || event.ctrlKey || event.metaKey;
+
+            if (!pathElement) {
+                if (!additive) state.selection.clear();
+            } else {
+                const index = parseInt(pathElement.dataset.index, 10);
+
+                if (additive) {
+                    if (state.selection.has(index)) {
+                        state.selection.delete(index);
+                    } else {
+                        state.selection.add(index);
+                    }
+                } else {
+                    state.selection = new Set([index]);
+                }
+            }
+
+            this.render(state);
+        });
+    }
+
+    /**
+     * Drag a Bezier control node of the selected path
+     * @param {Object} state - Editor state
+     * @param {SVGElement} node - Node handle element
+     * @param {PointerEvent} event - Pointer down event
+     */
+    startNodeDrag(state, node, event) {
+        const svg = state.modal.querySelector('.path-editor-canvas');
+        const pathIndex = parseInt(node.dataset.path, 10);
+        const subpathIndex = parseInt(node.dataset.subpath, 10);
+        const pointIndex = parseInt(node.dataset.point, 10);
+
+        this.pushHistory(state);
+
+        // Copy the path so the undo snapshot keeps the old geometry
+        const source = state.paths[pathIndex];
+        const subpaths = source.subpaths.map(subpath => subpath.map(point => ({ ...point })));
+        state.paths[pathIndex] = this.buildPath(subpaths, source);
+
+        const pathElements = svg.querySelectorAll(`[data-index="${pathIndex}"] path`);
+        svg.setPointerCapture(event.pointerId);
+
+        const onMove = (moveEvent) => {
+            const point = this.toImagePoint(svg, moveEvent);
+            subpaths[subpathIndex][pointIndex] = point;
+
+            node.setAttribute('cx', point.x);
+            node.setAttribute('cy', point.y);
+            const pathData = subpaths
+                .map(subpath => window.SVGGenerator.generateSmoothPathData(subpath, source.closed))
+                .join(' ');
+            pathElements.forEach(element => element.setAttribute('d', pathData));
+        };
+        const onUp = () => {
+            svg.removeEventListener('pointermove', onMove);
+            svg.removeEventListener('pointerup', onUp);
+            svg.removeEventListener('pointercancel', onUp);
+
+            state.paths[pathIndex] = this.buildPath(subpaths, source);
+            this.render(state);
+        };
+
+        svg.addEventListener('pointermove', onMove);
+        svg.addEventListener('pointerup', onUp);
+        svg.addEventListener('pointercancel', onUp);
+    }
+
+    /**
+     * Convert a pointer position to image coordinates
+     * @param {SVGSVGElement} svg - Editor canvas
+     * @param {PointerEvent} event - Pointer event
+     * @returns {Object} { x, y } in image pixels
+     */
+    toImagePoint(svg, event) {
+        const matrix = svg.getScreenCTM().inverse();
+        const point = new DOMPoint(event.clientX, event.clientY).matrixTransform(matrix);
+
+        return { x: Math.round(point.x * 10) / 10, y: Math.round(point.y * 10) / 10 };
+    }
+
+    /**
+     * Rebuild a path object from its subpaths
+     * @param {Array} subpaths - Point rings/polylines (the first is the outer one)
+     * @param {Object} template - Path whose closed flag and depth are kept
+     * @returns {Object|null} Vector path, or null when nothing drawable is left
+     */
+    buildPath(subpaths, template) {
+        const minPoints = template.closed ? 3 : 2;
+        const usable = subpaths.filter(subpath => subpath.length >= minPoints);
+        if (usable.length === 0) return null;
+
+        return window.SVGGenerator.createSVGPath(usable[0], {
+            closed: template.closed,
+            holes: usable.slice(1),
+            depth: template.depth
+        });
+    }
+
+    /**
+     * Select every path
+     * @param {Object} state - Editor state
+     */
+    selectAll(state) {
+        state.selection = new Set(state.paths.map((path, index) => index));
+        this.render(state);
+    }
+
+    /**
+     * Delete the selected paths
+     * @param {Object} state - Editor state
+     */
+    deleteSelection(state) {
+        if (state.selection.size === 0) return;
+
+        this.pushHistory(state);
+        state.paths = state.paths.filter((path, index) => !state.selection.has(index));
+        state.selection.clear();
+        this.render(state);
+    }
+
+    /**
+     * Merge the selected paths into one
+     * Open strokes are chained end to end through their nearest endpoints;
+     * closed shapes become one compound path.
+     * @param {Object} state - Editor state
+     */
+    mergeSelection(state) {
+        const indices = Array.from(state.selection).sort((a, b) => a - b);
+
+        if (indices.length < 2) {
+            alert('📋 Select at least two paths to merge (Shift+click adds to the selection).');
+            return;
+        }
+
+        const selected = indices.map(index => state.paths[index]);
+        const closed = selected[0].closed;
+
+        if (selected.some(path => path.closed !== closed)) {
+            alert('❌ Open strokes and closed shapes cannot be merged together.');
+            return;
+        }
+
+        const merged = closed
+            ? this.buildPath(selected.flatMap(path => path.subpaths), selected[0])
+            : this.buildPath([this.chainPolylines(selected.flatMap(path => path.subpaths))], selected[0]);
+        if (!merged) return;
+
+        this.pushHistory(state);
+
+        // The merged path takes the place of the first selected one
+        const remaining = state.paths.filter((path, index) => !state.selection.has(index) || index === indices[0]);
+        const mergedIndex = remaining.indexOf(state.paths[indices[0]]);
+        remaining[mergedIndex] = merged;
+
+        state.paths = remaining;
+        state.selection = new Set([mergedIndex]);
+        this.render(state);
+    }
+
+    /**
+     * Join polylines into one, always continuing with the nearest remaining endpoint
+     * @param {Array} polylines - Point lists
+     * @returns {Array} Joined points
+     */
+    chainPolylines(polylines) {
+        const pending = polylines.filter(polyline => polyline.length > 0);
+        let chain = pending.shift().slice();
+
+        while (pending.length > 0) {
+            const end = chain[chain.length - 1];
+            let best = 0;
+            let bestDistance = Infinity;
+            let reverse = false;
+
+            pending.forEach((polyline, index) => {
+                const toStart = Math.hypot(polyline[0].x - end.x, polyline[0].y - end.y);
+                const toEnd = Math.hypot(polyline[polyline.length - 1].x - end.x, polyline[polyline.length - 1].y - end.y);
+
+                if (toStart < bestDistance) {
+                    bestDistance = toStart;
+                    best = index;
+                    reverse = false;
+                }
+                if (toEnd < bestDistance) {
+                    bestDistance = toEnd;
+                    best = index;
+                    reverse = true;
+                }
+            });
+
+            const next = pending.splice(best, 1)[0];
+            chain = chain.concat(reverse ? next.slice().reverse() : next);
+        }
+
+        return chain;
+    }
+
+    /**
+     * Simplify the selected paths with the tolerance entered in the editor
+     * @param {Object} state - Editor state
+     */
+    simplifySelection(state) {
+        if (state.selection.size === 0) {
+            alert('📋 Select the paths to simplify first.');
+            return;
+        }
+
+        const input = state.modal.querySelector('.path-tolerance-input');
+        const tolerance = parseFloat(input.value);
+
+        if (!(tolerance >= 0.1 && tolerance <= 10)) {
+            alert('❌ Simplify tolerance must be between 0.1 and 10.');
+            return;
+        }
+
+        const generator = window.SVGGenerator.withOptimizationSettings({
+            ...state.effective.optimizationSettings,
+            simplifyTolerance: tolerance
+        });
+
+        this.pushHistory(state);
+
+        const paths = state.paths.map((path, index) => {
+            if (!state.selection.has(index)) return path;
+
+            const subpaths = path.subpaths.map(subpath => generator.simplifyPath(subpath, 1, path.closed));
+            return this.buildPath(subpaths, path);
+        });
+
+        // Paths that collapsed entirely are dropped, so the selection is rebuilt
+        const selected = new Set();
+        state.paths = [];
+        paths.forEach((path, index) => {
+            if (!path) return;
+            if (state.selection.has(index)) selected.add(state.paths.length);
+            state.paths.push(path);
+        });
+
+        state.selection = selected;
+        this.render(state);
+    }
+
+    /**
+     * Discard all path edits and trace the line art again
+     * @param {Object} state - Editor state
+     */
+    async retrace(state) {
+        const result = state.result;
+        const lineArt = window.LineArtEditor
+            ? window.LineArtEditor.getEditedImageData(result)
+            : result.processedImageData;
+        const generator = window.SVGGenerator.withOptimizationSettings(state.effective.optimizationSettings);
+
+        this.setStatus(state, 'Tracing paths...');
+        const paths = (await generator.extractVectorPaths(lineArt, state.effective.settings)).filter(Boolean);
+        this.setStatus(state, null);
+
+        this.pushHistory(state);
+        state.paths = paths;
+        state.selection.clear();
+        this.render(state);
+    }
+
+    /**
+     * Remember the paths before a change (path objects are never modified in place)
+     * @param {Object} state - Editor state
+     */
+    pushHistory(state) {
+        state.undoStack.push(state.paths.slice());
+        if (state.undoStack.length > this.editorSettings.historyLimit) {
+            state.undoStack.shift();
+        }
+        state.redoStack = [];
+    }
+
+    /**
+     * Undo the last change
+     * @param {Object} state - Editor state
+     */
+    undo(state) {
+        if (state.undoStack.length === 0) return;
+
+        state.redoStack.push(state.paths);
+        state.paths = state.undoStack.pop();
+        state.selection.clear();
+        this.render(state);
+    }
+
+    /**
+     * Redo the last undone change
+     * @param {Object} state - Editor state
+     */
+    redo(state) {
+        if (state.redoStack.length === 0) return;
+
+        state.undoStack.push(state.paths);
+        state.paths = state.redoStack.pop();
+        state.selection.clear();
+        this.render(state);
+    }
+
+    /**
+     * Draw the paths, the selection and the node handles of a single selected path
+     * @param {Object} state - Editor state
+     */
+    render(state) {
+        const modal = state.modal;
+        const svg = modal.querySelector('.path-editor-canvas');
+
+        // A wide transparent stroke under each path makes thin lines easy to click
+        modal.querySelector('.path-editor-paths').innerHTML = state.paths.map((path, index) => {
+            const selected = state.selection.has(index) ? ' selected' : '';
+            return `<g class="path-editor-item${selected}" data-index="${index}">` +
+                `<path class="path-editor-hit" d="${path.pathData}"/>` +
+                `<path class="path-editor-path" d="${path.pathData}"/></g>`;
+        }).join('');
+
+        const nodes = [];
+        if (state.selection.size === 1) {
+            const pathIndex = state.selection.values().next().value;
+            const path = state.paths[pathIndex];
+            const nodeCount = path.subpaths.reduce((sum, subpath) => sum + subpath.length, 0);
+
+            if (nodeCount <= this.editorSettings.maxNodes) {
+                // Handles keep a constant on-screen size whatever the image size
+                const rect = svg.getBoundingClientRect();
+                const scale = rect.width > 0 ? state.result.processedImageData.width / rect.width : 1;
+                const radius = this.editorSettings.nodeRadius * scale;
+
+                path.subpaths.forEach((subpath, subpathIndex) => {
+                    subpath.forEach((point, pointIndex) => {
+                        nodes.push(`<circle class="path-editor-node" cx="${point.x}" cy="${point.y}" r="${radius}" ` +
+                            `data-path="${pathIndex}" data-subpath="${subpathIndex}" data-point="${pointIndex}"/>`);
+                    });
+                });
+            }
+        }
+        modal.querySelector('.path-editor-nodes').innerHTML = nodes.join('');
+
+        const pointCount = state.paths.reduce((sum, path) =>
+            sum + path.subpaths.reduce((total, subpath) => total + subpath.length, 0), 0);
+        modal.querySelector('.path-editor-info').textContent =
+            `${state.paths.length} paths, ${pointCount} nodes` +
+            (state.selection.size > 0 ? ` · ${state.selection.size} selected` : '');
+
+        modal.querySelector('[data-action="undo"]').disabled = state.undoStack.length === 0;
+        modal.querySelector('[data-action="redo"]').disabled = state.redoStack.length === 0;
+        modal.querySelector('[data-action="merge"]').disabled = state.selection.size < 2;
+    }
+
+    /**
+     * Show or hide the status overlay
+     * @param {Object} state - Editor state
+     * @param {string|null} message - Status text, or null to hide
+     */
+    setStatus(state, message) {
+        const status = state.modal.querySelector('.comparison-status');
+        status.hidden = !message;
+        status.textContent = message || '';
+    }
+
+    /**
+     * Store the edited paths on the result and refresh its card
+     * @param {Object} state - Editor state
+     */
+    applyEditor(state) {
+        const result = state.result;
+
+        if (state.undoStack.length > 0) {
+            result.editedVectorPaths = state.paths;
+        }
+
+        this.updateCard(state);
+        this.closeEditor();
+
+        console.log(`Path edits saved: ${result.metadata.filename} (${state.paths.length} paths)`);
+    }
+
+    /**
+     * Forget the path edits of a result (its line art changed)
+     * @param {Object} result - Processing result
+     * @param {HTMLElement} card - Result card
+     */
+    clearEdits(result, card) {
+        delete result.editedVectorPaths;
+
+        const badge = card ? card.querySelector('.path-edit-badge') : null;
+        if (badge) badge.remove();
+    }
+
+    /**
+     * Show the edited paths in the card's vector view and add a badge
+     * @param {Object} state - Editor state
+     */
+    updateCard(state) {
+        const card = state.card;
+        const result = state.result;
+        if (!card || !result.editedVectorPaths) return;
+
+        const preview = card.querySelector('.result-preview');
+        if (preview && window.ComparisonViewer) {
+            const lineArt = window.LineArtEditor
+                ? window.LineArtEditor.getEditedImageData(result)
+                : result.processedImageData;
+
+            preview.innerHTML = '';
+            preview.appendChild(window.ComparisonViewer.createViewer({
+                ...result,
+                processedImageData: lineArt,
+                vectorPaths: result.editedVectorPaths
+            }));
+        }
+
+        if (!card.querySelector('.path-edit-badge')) {
+            const badge = document.createElement('span');
+            badge.className = 'override-badge path-edit-badge';
+            badge.textContent = 'Paths edited';
+            card.insertBefore(badge, card.firstChild);
+        }
+    }
+}
+
+// Initialize global path editor
+window.PathEditor = new VectorPathEditor();
+
+console.log('Vector Path Editor loaded successfully');
@@ -0,0 +1,305 @@
+/**
+ * Photo Coloring Converter - ZIP Archive Writer
+ * Minimal in-browser ZIP writer used for multi-file exports
+ * Supports stored and deflated entries (via CompressionStream when available)
+ */
+
+class ZipArchiveWriter {
+    /**
+     * @param {Object} options - Writer options
+     * @param {string} options.compression - 'deflate' (default) or 'store'
+     */
+    constructor(options = {}) {
+        this.entries = [];
+        this.compression = options.compression || 'deflate';
+        this.textEncoder = new TextEncoder();
+    }
+
+    /**
+     * Add a file to the archive
+     * @param {string} name - Path of the file inside the archive
+     * @param {string|Uint8Array|ArrayBuffer|Blob} data - File contents
+     * @param {Object} options - Entry options
+     * @param {Date} options.date - Modification date (defaults to now)
+     * @param {string} options.compression - Per-entry override ('deflate' or 'store')
+     */
+    addFile(name, data, options = {}) {
+        if (this.hasFile(name)) {
+            throw new Error(`Duplicate archive entry: ${name}`);
+        }
+
+        this.entries.push({
+            name: name,
+            data: data,
+            date: options.date || new Date(),
+            compression: options.compression || this.compression
+        });
+    }
+
+    /**
+     * Check whether an entry name is already used
+     * @param {string} name - Entry name
+     * @returns {boolean} True if the archive already contains the name
+     */
+    hasFile(name) {
+        return this.entries.some(entry => entry.name === name);
+    }
+
+    /**
+     * Get the number of entries in the archive
+     * @returns {number} Entry count
+     */
+    get fileCount() {
+        return this.entries.length;
+    }
+
+    /**
+     * Build the archive as a Blob
+     * @returns {Promise<Blob>} ZIP file blob
+     */
+    async generateBlob() {
+        const bytes = await this.generate();
+        return new Blob([bytes], { type: 'application/zip' });
+    }
+
+    /**
+     * Build the archive bytes
+     * @returns {Promise<Uint8Array>} ZIP file contents
+     */
+    async generate() {
+        const localParts = [];
+        const centralParts = [];
+        let offset = 0;
+
+        for (const entry of this.entries) {
+            const nameBytes = this.textEncoder.encode(entry.name);
+            const rawBytes = await this.toBytes(entry.data);
+            const crc = this.calculateCRC32(rawBytes);
+
+            // Only keep the deflated form when it actually saves space
+            let method = 0;
+            let storedBytes = rawBytes;
+            if (entry.compression === 'deflate' && rawBytes.length > 0) {
+                const deflated = await this.compress(rawBytes);
+                if (deflated && deflated.length < rawBytes.length) {
+                    method = 8;
+                    storedBytes = deflated;
+                }
+            }
+
+            const header = {
+                nameBytes: nameBytes,
+                method: method,
+                crc: crc,
+                compressedSize: storedBytes.length,
+                uncompressedSize: rawBytes.length,
+                ...this.getDOSDateTime(entry.date)
+            };
+
+            const localHeader = this.buildLocalHeader(header);
+            localParts.push(localHeader, storedBytes);
+            centralParts.push(this.buildCentralHeader(header, offset));
+
+            offset += localHeader.length + storedBytes.length;
+        }
+
+        const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+        const endRecord = this.buildEndOfCentralDirectory(this.entries.length, centralSize, offset);
+
+        return this.concatBytes([...localParts, ...centralParts, endRecord]);
+    }
+
+    /**
+     * Normalize supported data types to bytes
+     * @param {string|Uint8Array|ArrayBuffer|Blob} data - Entry data
+     * @returns {Promise<Uint8Array>} Byte array
+     */
+    async toBytes(data) {
+        if (typeof data === 'string') {
+            return this.textEncoder.encode(data);
+        }
+        if (data instanceof Uint8Array) {
+            return data;
+        }
+        if (data instanceof ArrayBuffer) {
+            return new Uint8Array(data);
+        }
+        if (data instanceof Blob) {
+            return new Uint8Array(await data.arrayBuffer());
+        }
+
+        throw new Error('Unsupported archive entry data type');
+    }
+
+    /**
+     * Raw-deflate bytes using the browser CompressionStream API
+     * @param {Uint8Array} bytes - Uncompressed bytes
+     * @returns {Promise<Uint8Array|null>} Deflated bytes, or null when unsupported
+     */
+    async compress(bytes) {
+        if (typeof CompressionStream === 'undefined') return null;
+
+        try {
+            const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+            return new Uint8Array(await new Response(stream).arrayBuffer());
+        } catch (error) {
+            console.log('deflate-raw not supported, storing entries uncompressed');
+            return null;
+        }
+    }
+
+    /**
+     * Build a local file header
+     * @param {Object} header - Entry header fields
+     * @returns {Uint8Array} Local file header bytes
+     */
+    buildLocalHeader(header) {
+        const bytes = new Uint8Array(30 + header.nameBytes.length);
+        const view = new DataView(bytes.buffer);
+
+        view.setUint32(0, 0x04034b50, true);        // Local file header signature
+        view.setUint16(4, 20, true);                // Version needed to extract (2.0)
+        view.setUint16(6, 0x0800, true);            // Flags: UTF-8 file names
+        view.setUint16(8, header.method, true);
+        view.setUint16(10, header.time, true);
+        view.setUint16(12, header.date, true);
+        view.setUint32(14, header.crc, true);
+        view.setUint32(18, header.compressedSize, true);
+        view.setUint32(22, header.uncompressedSize, true);
+        view.setUint16(26, header.nameBytes.length, true);
+        view.setUint16(28, 0, true);                // Extra field length
+        bytes.set(header.nameBytes, 30);
+
+        return bytes;
+    }
+
+    /**
+     * Build a central directory file header
+     * @param {Object} header - Entry header fields
+     * @param {number} localOffset - Offset of the matching local header
+     * @returns {Uint8Array} Central directory header bytes
+     */
+    buildCentralHeader(header, localOffset) {
+        const bytes = new Uint8Array(46 + header.nameBytes.length);
+        const view = new DataView(bytes.buffer);
+
+        view.setUint32(0, 0x02014b50, true);        // Central directory signature
+        view.setUint16(4, 20, true);                // Version made by
+        view.setUint16(6, 20, true);                // Version needed to extract
+        view.setUint16(8, 0x0800, true);            // Flags: UTF-8 file names
+        view.setUint16(10, header.method, true);
+        view.setUint16(12, header.time, true);
+        view.setUint16(14, header.date, true);
+        view.setUint32(16, header.crc, true);
+        view.setUint32(20, header.compressedSize, true);
+        view.setUint32(24, header.uncompressedSize, true);
+        view.setUint16(28, header.nameBytes.length, true);
+        view.setUint16(30, 0, true);                // Extra field length
+        view.setUint16(32, 0, true);                // Comment length
+        view.setUint16(34, 0, true);                // Disk number start
+        view.setUint16(36, 0, true);                // Internal attributes
+        view.setUint32(38, 0, true);                // External attributes
+        view.setUint32(42, localOffset, true);
+        bytes.set(header.nameBytes, 46);
+
+        return bytes;
+    }
+
+    /**
+     * Build the end of central directory record
+     * @param {number} entryCount - Number of entries
+     * @param {number} centralSize - Size of the central directory in bytes
+     * @param {number} centralOffset - Offset of the central directory
+     * @returns {Uint8Array} End record bytes
+     */
+    buildEndOfCentralDirectory(entryCount, centralSize, centralOffset) {
+        const bytes = new Uint8Array(22);
+        const view = new DataView(bytes.buffer);
+
+        view.setUint32(0, 0x06054b50, true);        // End of central directory signature
+        view.setUint16(4, 0, true);                 // Number of this disk
+        view.setUint16(6, 0, true);                 // Disk where central directory starts
+        view.setUint16(8, entryCount, true);
+        view.setUint16(10, entryCount, true);
+        view.setUint32(12, centralSize, true);
+        view.setUint32(16, centralOffset, true);
+        view.setUint16(20, 0, true);                // Comment length
+
+        return bytes;
+    }
+
+    /**
+     * Convert a date to MS-DOS time and date fields
+     * @param {Date} date - Date to convert
+     * @returns {Object} { time, date } 16-bit values
+     */
+    getDOSDateTime(date) {
+        const year = Math.max(1980, date.getFullYear());
+
+        return {
+            time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+            date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+        };
+    }
+
+    /**
+     * Calculate CRC-32 checksum (IEEE 802.3 polynomial)
+     * @param {Uint8Array} bytes - Input bytes
+     * @returns {number} Unsigned CRC-32 value
+     */
+    calculateCRC32(bytes) {
+        const table = ZipArchiveWriter.getCRCTable();
+        let crc = 0xFFFFFFFF;
+
+        for (let i = 0; i < bytes.length; i++) {
+            crc = table[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    /**
+     * Lazily build the shared CRC-32 lookup table
+     * @returns {Uint32Array} CRC lookup table
+     */
+    static getCRCTable() {
+        if (!ZipArchiveWriter.crcTable) {
+            const table = new Uint32Array(256);
+
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+                }
+                table[n] = c >>> 0;
+            }
+
+            ZipArchiveWriter.crcTable = table;
+        }
+
+        return ZipArchiveWriter.crcTable;
+    }
+
+    /**
+     * Concatenate byte arrays
+     * @param {Uint8Array[]} parts - Byte arrays
+     * @returns {Uint8Array} Combined bytes
+     */
+    concatBytes(parts) {
+        const total = parts.reduce((sum, part) => sum + part.length, 0);
+        const result = new Uint8Array(total);
+        let offset = 0;
+
+        parts.forEach(part => {
+            result.set(part, offset);
+            offset += part.length;
+        });
+
+        return result;
+    }
+}
+
+// Expose the writer class; archives are created per export
+window.ZipArchiveWriter = ZipArchiveWriter;
+
+console.log('ZIP Archive Writer loaded successfully');